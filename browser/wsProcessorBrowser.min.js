@@ -1 +1 @@
-class wsProcessor{constructor(e,t,s,i,a=((e,t)=>{}),o={},r=(e=>{})){this.stackNote={},this.stackRequest={},this.stackResponse={},this.sendingFunc=e,this.closingFunc=t,this.logger=a,this.cbTest=r,"openOnConstruct"in o||(o.openOnConstruct=!0),this.closing=!0,this.incomingNoteFunc=s,this.incomingRequestFunc=i,this.heartbeat={},this.heartbeat.minInterval=o.heartbeatMinInterval||2,this.heartbeat.rttIntervalMultiplicator=o.heartbeatRttIntervalMultiplicator||10,this.heartbeat.minTimeout=o.heartbeatMinTimeout||10,this.heartbeat.rttTimeoutMultiplicator=o.heartbeatRttTimeoutMutiplicator||50,this.heartbeat.lastRTT=.1,this.heartbeat.currentRTT=.1,this.heartbeat.nSent=0,this.heartbeat.nLastArrived=0,this.heartbeat.sent={},this.heartbeat.timeoutNext=void 0,o.openOnConstruct&&this.open()}open(){this.closing=!1,this.sendHeartbeat()}close(e=!1){if(!this.closing){e&&this.closingFunc(),this.closing=!0,clearTimeout(this.heartbeat.timeoutNext);for(let e in this.heartbeat.sent)clearTimeout(this.heartbeat.sent[e].timeout);this.heartbeat.sent={};for(let e in this.stackNote)clearTimeout(this.stackNote[e].ackTimeoutHandle),this.stackNote[e].cbAck(1,"Connection closed before noteAck arrived.");this.stackNote={};for(let e in this.stackRequest){let t=this.stackRequest[e];t.ackTimeoutHandle&&clearTimeout(t.ackTimeoutHandle),clearTimeout(this.stackRequest[e].requestTimeoutHandle),t.opt.sendAck?t.opt.ackArrived?t.cbFailure(1.1,"Connection closed before response arrived, but after successful acknowledgement."):t.opt.ackTimeout>0?t.opt.ackTimedOut?t.cbFailure(1.3,"Connection closed before response arrived and after the acknowledgement did not arrive within the timeout."):t.cbFailure(1.2,"Connection closed before response arrived and before the acknowledgement timed out."):t.cbFailure(1.2,"Connection closed before response arrived and before acknowledgement."):t.cbFailure(1,"Connection closed before response arrived.")}this.stackRequest={};for(let e in this.stackResponse)this.stackResponse[e].ackTimeoutHandle&&clearTimeout(this.stackResponse[e].ackTimeoutHandle),this.stackResponse[e].cbAck(1,"Connection closed before responseAck arrived.");this.stackResponse={},this.logger(0,"The ws connection got closed.")}}sendHeartbeat(){let e=++this.heartbeat.nSent,t={};this.heartbeat.sent["H"+e]=t;var s={type:"ping"};s.data=e;let i=JSON.stringify(s),a=new Date;t.time=a.getTime(),this.sendingFunc(i),this.logger(4,`Ping sent ${e}`);let o=(this.heartbeat.lastRTT+this.heartbeat.currentRTT)/2,r=1e3*Math.max(this.heartbeat.minTimeout,this.heartbeat.rttTimeoutMultiplicator*o);t.timeout=setTimeout(()=>{delete this.heartbeat.sent["H"+e],this.logger(0,`Pong did not arrive within the timeout of ${r/1e3}s. Pong nbr: ${e}`),this.close(!0)},r);let n=1e3*Math.max(this.heartbeat.minInterval,this.heartbeat.rttIntervalMultiplicator*o);this.heartbeat.timeoutNext=setTimeout(()=>{this.sendHeartbeat()},n)}sendError(e){var t={type:"error"};t.data=e;let s=JSON.stringify(t);this.logger(3,`Error sent per ws: ${s}`),this.sendingFunc(s)}sendNote(e,t={},s=((e,t)=>{})){t.sendAck=t.sendAck||!1,t.ackTimeout=t.ackTimeout||5;var i=this.uuidv4(),a={type:"note"};a.sendAck=t.sendAck,a.stamp=i,a.data=e;let o=JSON.stringify(a);if(t.sendAck){let e={};e.cbAck=s,e.message=o,e.stamp=i,e.opt=t,this.stackNote[i]=e,e.ackTimeoutHandle=setTimeout(()=>{let s=`No ack arrived within the timeout (${t.ackTimeout}s) of message ${e.message}. `;e.cbAck(2,s),this.logger(1,s),delete this.stackNote[i]},1e3*t.ackTimeout)}this.logger(3,`NoteAck sent per ws: ${o}`),this.sendingFunc(o)}sendRequest(e,t=(e=>{}),s=((e,t)=>{}),i={},a=((e,t)=>{})){i.requestTimeout=i.requestTimeout||10,i.sendAck=i.sendAck||!1,i.ackTimeout=i.ackTimeout||0;var o=this.uuidv4();let r={type:"request"};r.sendAck=i.sendAck,r.stamp=o,r.data=e;let n=JSON.stringify(r),c={};c.cbSuccess=t,c.cbFailure=s,c.cbAck=a,c.message=n,c.stamp=o,c.opt=i,this.stackRequest[o]=c,c.requestTimeoutHandle=setTimeout(()=>{let e;c.opt.sendAck?c.opt.ackArrived?(e=`No response arrived within the timeout (${i.requestTimeout}s), after the ack did arrive of message ${c.message}.`,c.cbFailure(2.1,e)):c.opt.ackTimeout>0?c.opt.ackTimedOut?(e=`No response arrived within the timeout (${i.requestTimeout}s)  and also no ack arrived within the ackTimeout (${i.ackTimeout}s) of message ${c.message}. `,c.cbFailure(2.3,e)):(clearTimeout(c.ackTimeoutHandle),e=`No response arrived within the timeout (${i.requestTimeout}s), but the ackTimeout (${i.ackTimeout}s) did not yet time out (should not happen, since the ackTimeout should always be smaller than the requestTimeout) of message ${c.message}. `,c.cbFailure(2.2,e)):(e=`No response arrived within the timeout (${i.requestTimeout}s) and also no ack arrived so far of message ${c.message}. `,c.cbFailure(2.2,e)):(e=`No response arrived within the request timeout (${i.requestTimeout}s) of message ${c.message}. `,c.cbFailure(2,e)),this.logger(1,e),delete this.stackRequest[c.stamp]},1e3*i.requestTimeout),i.sendAck&&(i.ackArrived=!1),i.ackTimeout>0&&i.sendAck&&(i.ackTimedOut=!1,c.ackTimeoutHandle=setTimeout(()=>{let e=`No ack arrived within the timeout (${i.ackTimeout}s) of message ${c.message}. `;c.cbAck(1,e),this.logger(1,e),delete c.ackTimeoutHandle,i.ackTimedOut=!0},1e3*i.ackTimeout)),this.logger(3,`Request sent per ws: ${n}`),this.sendingFunc(n)}uuidv4(){return"xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g,function(e){var t=16*Math.random()|0;return("x"==e?t:3&t|8).toString(16)})}onMessage(e){this.logger(4,"Message recieved per ws: "+e);var t={};try{t=JSON.parse(e)}catch(t){let s=`Message could not be parsed: ${e}`;this.sendError(s),this.logger(0,s)}if(!("type"in t)){let t='Message has no "type"-property and thus is deleted/dropped: '+e;return this.logger(0,t),void this.sendError(t)}if(!this.cbTest(t)){var s={note:()=>{if(t.sendAck){let e={type:"noteAck"};e.stamp=t.stamp,this.sendingFunc(JSON.stringify(e))}this.incomingNoteFunc(t.data)},noteAck:()=>{if(t.stamp)if(t.stamp in this.stackNote){let e=this.stackNote[t.stamp];e.cbAck(0,"Note successfully acknowledged."),clearTimeout(e.ackTimeoutHandle),delete this.stackNote[t.stamp]}else{let s=`Stamp ${t.stamp} was not on stack. This happens when 1) (unlikely) somebody tries to hack you or 2) (likely) the server was very busy and could not send you an answer within you default waiting time so you sent the requst again and the server finally also processed every request (n-1 times for nothing...) or 3) (little likely) two responses were sent for the same request and thus the request was already removed from the stack. It is not allowed to have more than one response (currently) and thus the now received (second or later) response is unhandled/deleted. Message: ${e}`;this.logger(0,s),this.sendError(s)}else{let t="NoteAck is not valid without stamp: "+e;this.sendError(t),this.logger(0,t)}},request:()=>{if(void 0!=t.data&&void 0!=t.stamp){if(this.closing)return;if(t.sendAck){let e={type:"requestAck",stamp:t.stamp},s=JSON.stringify(e);this.sendingFunc(s)}let e=(e,s=0,i={},a=((e,t)=>{}))=>{i.sendAck=i.sendAck||!1,i.ackTimeout=i.ackTimeout||5;let o={type:"response"};o.sendAck=i.sendAck,o.stamp=t.stamp,o.data=e,o.failureCode=s;let r=JSON.stringify(o),n={};if(i.sendAck&&(n.opt=i,n.stamp=t.stamp,n.response=e,n.cbAck=a,n.message=r,this.stackResponse[t.stamp]=n),this.closing)return a(3,`The connection was closed before the response (${r}) was sent.`),void(i.sendAck&&delete this.stackResponse[n.stamp]);i.sendAck&&(n.ackTimeoutHandle=setTimeout(()=>{let e=`The following response timed out and is now considered failed: ${n.message}`;this.logger(1,e),n.cbAck(2,e),delete this.stackResponse[n.stamp]},1e3*i.ackTimeout)),this.sendingFunc(r)};this.incomingRequestFunc(t.data,e)}else{let t="Request is not valid without stamp and data properties: "+e;this.sendError(t),this.logger(0,t)}},requestAck:()=>{if(!("stamp"in t)){let t=`Could not process requestAck because not all necessary properties were set: ${e}`;return this.logger(0,t),void this.sendError(t)}let s;if(!(s=this.stackRequest[t.stamp])){let t=`Could not process requestAck because it is not on the stack: ${e}`;return this.logger(0,t),void this.sendError(t)}if(s.opt.ackTimedOut){let e=`Acknowledgement arrived after it has timed out. It is ignored. Stamp: ${t.stamp}`;return this.logger(0,e),void this.sendError(e)}s.cbAck(0,"Request successfully acknowledged."),clearTimeout(s.ackTimeoutHandle),s.opt.ackArrived=!0},response:()=>{if(void 0!=t.data&&void 0!=t.stamp){let s;if(!(s=this.stackRequest[t.stamp])){let t=`Stamp was not on stack. This happens when 1) (unlikely) somebody tries to hack you or 2) (likely) the server was very busy and could not send you an answer within your default waiting time so you sent the requst again and the server finally also processed every request (n-1 or even n times (when none of the replys came within the time between the first and the last request) for nothing...) or 3) (little likely) two responses were sent for the same request and thus the request was already removed from the stack. It is not allowed to have more than one response (currently) and thus the now received (second or later) response is unhandled/deleted. Message: ${e}`;return this.logger(0,t),void this.sendError(t)}if(clearTimeout(s.requestTimeoutHandle),t.sendAck){let e={type:"responseAck",stamp:t.stamp},s=JSON.stringify(e);this.sendingFunc(s)}t.failureCode?s.cbFailure(t.failureCode,t.data):s.cbSuccess(t.data),delete this.stackRequest[t.stamp]}else{let t="Response is not valid without stamp and data properties: "+e;this.sendError(t),this.logger(0,t)}},responseAck:()=>{if(!("stamp"in t)){let t=`Could not process responseAck because not all necessary properties were set: ${e}`;return this.logger(0,t),void this.sendError(t)}let s;if(!(s=this.stackResponse[t.stamp])){let t=`Could not process responseAck because it is not on the stack: ${e}`;return this.logger(0,t),void this.sendError(t)}clearTimeout(s.ackTimeoutHandle),s.cbAck(0,"Response successfully acknowledged."),delete this.stackResponse[s.stamp]},error:()=>{this.logger(1,"A client returned an error for a ws-package: "+t.data.toString())},ping:()=>{let e={type:"pong"};e.data=t.data,this.sendingFunc(JSON.stringify(e)),this.logger(4,`Ping ${t.data} arrived. Pong sent.`)},pong:()=>{let e=this.heartbeat.sent["H"+t.data];if(void 0===e)return void this.logger(1,"Pong message did not match a sent ping. Pong is ignored.");let s=(new Date).getTime()-e.time;clearTimeout(e.timeout),this.heartbeat.lastRTT=this.heartbeat.currentRTT,this.heartbeat.currentRTT=s/1e3,this.heartbeat.nLastArrived+1!=t.data&&this.logger(1,`Pong ${t.data} arrived out of order. Last pong was ${this.heartbeat.nLastArrived}`),this.heartbeat.nLastArrived=t.data,delete this.heartbeat.sent["H"+t.data],this.logger(4,`Pong ${t.data} arrived within ${s} ms.`)}};"function"==typeof s[t.type]?s[t.type]():this.logger(1,t.type+" is not a supported type of WebSocket data.")}}}
\ No newline at end of file
+class wsProcessor{constructor(e,t,s,i,r=(e,t)=>{},o={},n=e=>{}){if(this.stackNote={},this.stackRequest={},this.stackResponse={},this.stackIncoming={},this.pendingRetries={},this.cancelledRequests={},this.sendingFunc=e,this.closingFunc=t,this.logger=r,this.cbTest=n,"openOnConstruct"in o||(o.openOnConstruct=!0),this.closing=!0,this.incomingNoteFunc=s,this.incomingRequestFunc=i,this.requestHandlers=new Map,this.noteHandlers=new Map,this.batchHandler=void 0,this.maxBatchSize=o.maxBatchSize||100,this.sendQueue=[],this.inFlight=new Set,this.drainWaiting=[],this.drainHandle=void 0,this.bufferedAmount=o.bufferedAmount,o.flowControl&&(this.flowControl={maxInFlight:o.flowControl.maxInFlight||100,maxBufferedAmount:"maxBufferedAmount"in o.flowControl?o.flowControl.maxBufferedAmount:1048576,pollInterval:o.flowControl.pollInterval||.05}),o.priorityQueue){let e=!0===o.priorityQueue?{}:o.priorityQueue;this.priorityQueue={bytesPerTick:e.bytesPerTick||65536,maxBufferedAmount:"maxBufferedAmount"in e?e.maxBufferedAmount:65536,pollInterval:e.pollInterval||.05}}this.maxConcurrentIncoming=o.maxConcurrentIncoming||1/0;let a=o.incomingQueue||{};if(this.incomingQueueOpt={maxLength:"maxLength"in a?a.maxLength:1e3,order:a.order||"fifo",onDepth:a.onDepth||((e,t)=>{})},this.incomingQueue=[],this.incomingRunning=0,this.startingIncoming=!1,this.incomingStats={queued:0,maxQueued:0,rejected:0},o.rateLimit){let e=e=>e?{rate:e.rate,burst:e.burst||e.rate,tokens:e.burst||e.rate,time:Date.now()}:void 0;this.rateLimit={request:e(o.rateLimit.requests),note:e(o.rateLimit.notes),methods:new Map(Object.entries(o.rateLimit.methods||{}).map(([t,s])=>[t,e(s)])),offenses:o.rateLimit.closeAfter?e({rate:o.rateLimit.closeAfter.violations/(o.rateLimit.closeAfter.period||10),burst:o.rateLimit.closeAfter.violations}):void 0}}this.rateLimitStats={requests:0,notes:0};let h=o.ordering||{};this.ordering={bufferSize:h.bufferSize||100,gapTimeout:h.gapTimeout||5,historySize:"historySize"in h?h.historySize:100,onGap:h.onGap||((e,t,s)=>{})},this.orderedSend=new Map,this.orderedReceive=new Map,this.requestSchemas=new Map,this.noteSchemas=new Map,this.subscriptions=new Map,this.remoteSubscriptions=new Set,this.receivedNotes=new Map,this.duplicateCacheSize="duplicateCacheSize"in o?o.duplicateCacheSize:1e3,this.duplicateRetention=o.duplicateRetention||60,this.duplicateNotes=0,this.outbox=[],o.outbox&&(this.outboxOpt={maxSize:o.outbox.maxSize||100,expiry:"expiry"in o.outbox?o.outbox.expiry:60,overflow:o.outbox.overflow||"dropOldest",timeoutStart:o.outbox.timeoutStart||"enqueue"}),o.session&&(this.session={role:o.session.role,resumeGracePeriod:o.session.resumeGracePeriod||30,store:o.session.store||wsProcessor.sessions,id:void 0,sent:0,received:0,buffer:[],graceHandle:void 0}),this.codecs=new Map;for(let e of o.codecs||[])"string"==typeof e&&(e=wsProcessor.codecs[e]),this.codecs.set(e.name,e);this.codecs.has("json")||this.codecs.set("json",wsProcessor.codecs.json),this.codecSend=this.codecs.get("json"),this.codecReceive=this.codecSend,this.name=o.name,this.meta=o.meta,this.features=o.features||[],this.protocol=o.protocol,this.onPeer=o.onPeer||(e=>{}),this.peer=void 0,this.compressSend=!1,this.compressReceive=!1,this.sendChain=void 0,this.receiveChain=void 0,this.compressionStats={compressedSent:0,incompressible:0,uncompressedBytesSent:0,compressedBytesSent:0,compressedReceived:0,compressedBytesReceived:0,uncompressedBytesReceived:0,time:0},o.compression&&(wsProcessor.compressor?this.compression={threshold:"threshold"in o.compression?o.compression.threshold:1024,level:o.compression.level}:this.logger(1,"Compression is not available (neither zlib nor CompressionStream) and thus disabled.")),this.maxFrameSize=o.maxFrameSize?Math.max(o.maxFrameSize,64):void 0,this.fragmentId=0,this.fragmentQueue=[],this.fragmentStamps=new Map,this.fragmentBarriers=0,this.fragmentHandle=void 0,this.fragments=new Map,this.fragmentsSize=0,this.maxReassemblySize=o.maxReassemblySize||67108864,this.fragmentTimeout=o.fragmentTimeout||30,this.autoRespond=o.autoRespond||!1,this.heartbeat={},this.heartbeat.minInterval=o.heartbeatMinInterval||2,this.heartbeat.rttIntervalMultiplicator=o.heartbeatRttIntervalMultiplicator||10,this.heartbeat.minTimeout=o.heartbeatMinTimeout||10,this.heartbeat.rttTimeoutMultiplicator=o.heartbeatRttTimeoutMutiplicator||50,this.heartbeat.lastRTT=.1,this.heartbeat.currentRTT=.1,this.heartbeat.nSent=0,this.heartbeat.nLastArrived=0,this.heartbeat.sent={},this.heartbeat.timeoutNext=void 0,o.openOnConstruct&&this.open()}open(){this.codecSend=this.codecs.get("json"),this.codecReceive=this.codecSend,this.compressSend=!1,this.compressReceive=!1,this.peer=void 0;let e={type:"hello",version:wsProcessor.protocolVersion,features:wsProcessor.features.concat(this.features),name:this.name,meta:this.meta,protocol:this.protocol,codecs:Array.from(this.codecs.keys())};if(this.compression&&(e.compression=["deflate"]),this.transmit(this.encode(e),!0),this.session){if("client"==this.session.role){let e={type:"sessionHello",id:this.session.id||null,received:this.session.received};this.transmit(this.encode(e),!0)}}else this.completeOpen()}completeOpen(){this.closing=!1,this.sendHeartbeat();for(let e of this.subscriptions.keys())this.sendSubscription("subscribe",e);this.drainQueue(),this.outboxOpt&&this.flushOutbox()}close(e=!1){if(!this.closing){this.closing=!0,e&&this.closingFunc(),clearTimeout(this.heartbeat.timeoutNext);for(let e in this.heartbeat.sent)clearTimeout(this.heartbeat.sent[e].timeout);this.heartbeat.sent={},this.remoteSubscriptions.clear(),clearTimeout(this.fragmentHandle),this.fragmentHandle=void 0,this.fragmentQueue=[],this.fragmentStamps.clear(),this.fragmentBarriers=0;for(let e of Array.from(this.fragments.keys()))this.dropFragments(e,`The incomplete message ${e} was dropped, since the connection was closed.`);if(this.session&&this.session.id)return this.logger(0,`The ws connection got closed. The session ${this.session.id} can be resumed within ${this.session.resumeGracePeriod}s.`),void(this.session.graceHandle=setTimeout(()=>{this.logger(1,`The session ${this.session.id} was not resumed within ${this.session.resumeGracePeriod}s.`),this.endSession()},1e3*this.session.resumeGracePeriod));this.failPending(),this.logger(0,"The ws connection got closed.")}}failPending(){clearTimeout(this.drainHandle),this.drainHandle=void 0;for(let e of this.sendQueue)e.awaitsAnswer||this.logger(1,`Connection closed before the note was sent: ${e.message}`);this.sendQueue=[],this.inFlight.clear(),this.resolveDrained(),this.resetOrdering();for(let e in this.pendingRetries)this.pendingRetries[e].stop(1,`Connection closed before the next attempt of ${e}.`);this.pendingRetries={};for(let e in this.stackNote)clearTimeout(this.stackNote[e].ackTimeoutHandle),this.stackNote[e].cbAck(1,"Connection closed before noteAck arrived.");this.stackNote={};for(let e in this.stackRequest){let t=this.stackRequest[e];t.ackTimeoutHandle&&clearTimeout(t.ackTimeoutHandle),clearTimeout(this.stackRequest[e].requestTimeoutHandle),this.removeAbortListener(t),t.opt.sendAck?t.opt.ackArrived?t.cbFailure(1.1,"Connection closed before response arrived, but after successful acknowledgement."):t.opt.ackTimeout>0?t.opt.ackTimedOut?t.cbFailure(1.3,"Connection closed before response arrived and after the acknowledgement did not arrive within the timeout."):t.cbFailure(1.2,"Connection closed before response arrived and before the acknowledgement timed out."):t.cbFailure(1.2,"Connection closed before response arrived and before acknowledgement."):t.cbFailure(1,"Connection closed before response arrived.")}this.stackRequest={};for(let e in this.stackResponse)this.stackResponse[e].ackTimeoutHandle&&clearTimeout(this.stackResponse[e].ackTimeoutHandle),this.stackResponse[e].cbAck(1,"Connection closed before responseAck arrived.");this.stackResponse={};for(let e of this.incomingQueue)e.queued=!1;this.incomingQueue=[];for(let e in this.stackIncoming){let t=this.stackIncoming[e];this.releaseIncoming(t),t.controller&&t.controller.abort()}this.stackIncoming={},this.reportIncoming();for(let e in this.cancelledRequests)clearTimeout(this.cancelledRequests[e]);this.cancelledRequests={}}sendMessage(e,t=this.codecSend.name,s=void 0,i=!1){if(this.session&&(this.session.buffer.push({n:++this.session.sent,message:e,codec:t,stamp:s}),this.closing))return;let r=i?this.updateTimeout(e,t,s):e;this.transmit(this.recode(r,t),void 0!==this.session,s)}updateTimeout(e,t,s){let i=void 0!==s?this.stackRequest[s]:void 0;if(!i||void 0===i.deadline||i.message!==e)return e;let r=Math.max(0,(i.deadline-Date.now())/1e3);if(r>=i.opt.requestTimeout)return e;let o=this.codecs.get(t),n=o.decode(e);return n.timeout=r,o.encode(n)}transmit(e,t=!1,s=void 0,i=!1){let r=this.compressSend&&("string"==typeof e?e.length:e.byteLength)>=this.compression.threshold;if(!this.sendChain&&(!r||wsProcessor.compressor.sync))return void this.sendFrame(r?this.compress(e):e,t,s,i);let o=(this.sendChain||Promise.resolve()).then(()=>r?this.compress(e):e).then(e=>{this.sendFrame(e,t,s,i)}).catch(e=>{this.logger(0,`Sending a message failed: ${e}`)}).then(()=>{this.sendChain===o&&(this.sendChain=void 0)});this.sendChain=o}sendFrame(e,t,s,i=!1){let r;if(this.maxFrameSize&&("string"!=typeof e?r=wsProcessor.binaryBytes(e):3*e.length>this.maxFrameSize&&(r=wsProcessor.text.encoder.encode(e))),!r||r.length<=this.maxFrameSize)return void(t&&this.fragmentQueue.length>0||this.fragmentStamps.has(s)||this.fragmentBarriers>0?this.queueFrame(e,s,i):this.sendingFunc(e));let o=++this.fragmentId,n=this.maxFrameSize-14,a=Math.ceil(r.length/n);for(let t=0;t<a;t++){let i=r.subarray(t*n,(t+1)*n),h=new Uint8Array(14+i.length),d=new DataView(h.buffer);h[0]=3,h[1]="string"==typeof e?1:2,d.setUint32(2,o),d.setUint32(6,t),d.setUint32(10,a),h.set(i,14),this.queueFrame(h,s)}this.logger(3,`Message split into ${a} fragments (id ${o}).`),this.sendFragments()}queueFrame(e,t,s=!1){this.fragmentQueue.push({frame:e,stamp:t,barrier:s}),s&&this.fragmentBarriers++,void 0!==t&&this.fragmentStamps.set(t,(this.fragmentStamps.get(t)||0)+1)}sendFragments(){void 0===this.fragmentHandle&&(this.fragmentHandle=setTimeout(()=>{if(this.fragmentHandle=void 0,0==this.fragmentQueue.length)return;let e=this.fragmentQueue.shift();if(e.barrier&&this.fragmentBarriers--,void 0!==e.stamp){let t=this.fragmentStamps.get(e.stamp)-1;t>0?this.fragmentStamps.set(e.stamp,t):this.fragmentStamps.delete(e.stamp)}this.sendingFunc(e.frame),this.sendFragments()},0))}reassemble(e){if(e.length<14)return void this.logger(0,`Invalid fragment of ${e.length} bytes.`);let t=new DataView(e.buffer,e.byteOffset,e.byteLength),s=t.getUint32(2),i=t.getUint32(6),r=t.getUint32(10),o=1==e[1],n=e.slice(14),a=this.fragments.get(s);if(1!=e[1]&&2!=e[1]||0==r||r>this.maxReassemblySize||i>=r||0==n.length||a&&(r!=a.count||o!=a.text||a.parts.has(i)))return void this.logger(0,`Invalid fragment ${i} of the message ${s} with ${r} fragments.`);if(this.fragmentsSize+n.length>this.maxReassemblySize)return void this.dropFragments(s,`The message ${s} was dropped, since the reassembly buffer would exceed the maximum of ${this.maxReassemblySize} bytes.`);if(a||(a={count:r,text:o,parts:new Map,size:0,timeoutHandle:void 0},this.fragments.set(s,a)),a.parts.set(i,n),a.size+=n.length,this.fragmentsSize+=n.length,clearTimeout(a.timeoutHandle),a.parts.size<a.count)return void(a.timeoutHandle=setTimeout(()=>{this.dropFragments(s,`The message ${s} was dropped, since only ${a.parts.size} of ${a.count} fragments arrived within ${this.fragmentTimeout}s.`)},1e3*this.fragmentTimeout));this.fragments.delete(s),this.fragmentsSize-=a.size;let h=new Uint8Array(a.size),d=0;for(let e=0;e<a.count;e++)h.set(a.parts.get(e),d),d+=a.parts.get(e).length;this.onMessage(a.text?wsProcessor.text.decoder.decode(h):h)}dropFragments(e,t){let s=this.fragments.get(e);s&&(clearTimeout(s.timeoutHandle),this.fragmentsSize-=s.size,this.fragments.delete(e)),this.logger(0,t)}compress(e){let t=Date.now(),s="string"==typeof e?wsProcessor.text.encoder.encode(e):wsProcessor.binaryBytes(e),i=i=>{let r=this.compressionStats;if(r.time+=Date.now()-t,r.uncompressedBytesSent+=s.byteLength,i.byteLength+1>=s.byteLength)return r.incompressible++,r.compressedBytesSent+=s.byteLength,e;r.compressedSent++,r.compressedBytesSent+=i.byteLength+1;let o=new Uint8Array(i.byteLength+1);return o[0]="string"==typeof e?1:2,o.set(i,1),o},r=wsProcessor.compressor.compress(s,this.compression.level);return r instanceof Promise?r.then(i):i(r)}decompress(e){let t,s=t=>(this.compressionStats.compressedReceived++,this.compressionStats.compressedBytesReceived+=e.byteLength,this.compressionStats.uncompressedBytesReceived+=t.byteLength,1==e[0]?wsProcessor.text.decoder.decode(t):t),i=t=>{let s=`A compressed message (${e.byteLength} bytes) could not be decompressed and is dropped: ${t.message}`;this.logger(0,s),this.sendError(s)};try{t=wsProcessor.compressor.decompress(e.subarray(1),this.maxReassemblySize)}catch(e){return i(e)}return t instanceof Promise?t.then(s,i):s(t)}canSend(){return!this.closing||void 0!==this.session&&void 0!==this.session.id}confirmSession(e){let t=this.session.buffer,s=0;for(;s<t.length&&t[s].n<=e;)s++;t.splice(0,s)}resumeSession(e){clearTimeout(this.session.graceHandle),this.session.graceHandle=void 0,this.confirmSession(e);for(let e of this.session.buffer)this.transmit(this.recode(this.updateTimeout(e.message,e.codec,e.stamp),e.codec),!0,e.stamp);this.logger(3,`Session ${this.session.id} opened; ${this.session.buffer.length} messages (re)sent.`),this.completeOpen()}endSession(){clearTimeout(this.session.graceHandle),"server"==this.session.role&&this.session.store.get(this.session.id)===this&&this.session.store.delete(this.session.id),this.failPending(),this.session.id=void 0,this.session.graceHandle=void 0,this.session.sent=0,this.session.received=0,this.session.buffer=[]}attachSession(e,t){e.sendingFunc=this.sendingFunc,e.closingFunc=this.closingFunc,e.codecSend=this.codecSend,e.codecReceive=this.codecReceive,e.compressSend=this.compressSend,e.compressReceive=this.compressReceive,e.peer=this.peer,e.bufferedAmount=this.bufferedAmount,this.delegate=e;for(let t of["onMessage","close","sendNote","sendRequest","request","note","requestStream","cancel","handle","removeHandler","onNote","removeNoteHandler","subscribe","unsubscribe","publish","drained","sendBatch","handleBatch"])this[t]=(...s)=>e[t](...s);for(let t of this.session.buffer)e.sendMessage(this.updateTimeout(t.message,t.codec,t.stamp),t.codec,t.stamp);this.session.buffer=[];let s={type:"sessionWelcome",id:e.session.id,received:e.session.received,resumed:!0};e.transmit(this.encode(s)),e.resumeSession(t)}sendHeartbeat(){let e=++this.heartbeat.nSent,t={};this.heartbeat.sent["H"+e]=t;var s={type:"ping"};s.data=e,this.session&&(s.received=this.session.received);let i=this.encode(s),r=new Date;t.time=r.getTime(),this.transmit(i),this.logger(4,`Ping sent ${e}`);let o=(this.heartbeat.lastRTT+this.heartbeat.currentRTT)/2,n=1e3*Math.max(this.heartbeat.minTimeout,this.heartbeat.rttTimeoutMultiplicator*o);t.timeout=setTimeout(()=>{delete this.heartbeat.sent["H"+e],this.logger(0,`Pong did not arrive within the timeout of ${n/1e3}s. Pong nbr: ${e}`),this.close(!0)},n);let a=1e3*Math.max(this.heartbeat.minInterval,this.heartbeat.rttIntervalMultiplicator*o);this.heartbeat.timeoutNext=setTimeout(()=>{this.sendHeartbeat()},a)}handle(e,t,s={}){this.requestHandlers.set(e,t),this.requestSchemas.delete(e),(s.schema||s.responseSchema)&&this.requestSchemas.set(e,{request:s.schema?wsProcessor.validator(s.schema):void 0,response:s.responseSchema?wsProcessor.validator(s.responseSchema):void 0})}removeHandler(e){return this.requestSchemas.delete(e),this.requestHandlers.delete(e)}onNote(e,t,s={}){this.noteHandlers.set(e,t),this.noteSchemas.delete(e),s.schema&&this.noteSchemas.set(e,wsProcessor.validator(s.schema))}removeNoteHandler(e){return this.noteSchemas.delete(e),this.noteHandlers.delete(e)}handleBatch(e){this.batchHandler=e}processBatch(e,t,s){let i,r=[],o=new Promise(e=>{i=e}),n=!1,a=()=>{if(!n){for(n=!0;r.length<e.length;){let t=r.length;if(this.processBatchItem(e[t],t,s,e=>{r.push(e),a()}),r.length==t)break}n=!1,r.length==e.length&&(t(r),i())}};return a(),o}processBatchItem(e,t,s,i){e=e||{};let r=this.requestSchemas.get(e.method),o=!1,n=(n,a=0)=>{if(o)this.logger(1,`There was already a response to the request ${t} of the batch ${s.stamp}. The additional response is ignored: ${n}`);else{if(o=!0,0==a&&r&&r.response){let t=r.response(n);if(t.length>0){let s=`The response to the request with method ${e.method} is invalid.`;this.logger(0,`${s} ${t.map(e=>`${e.path}: ${e.message}`).join("; ")}. Response: ${n}`),n={message:s,errors:t},a=wsProcessor.failureCodes.handlerError}}i({failureCode:a,data:void 0===n?null:n})}},a=e=>{if(this.logger(1,`The request handler failed: ${e}. Request ${t} of the batch ${s.stamp}.`),!o){let t=wsProcessor.failureFromError(e);n(t.message,t.failureCode)}},h=this.requestHandlers.get(e.method)||this.incomingRequestFunc;if("function"!=typeof h)return void n(`There is no handler for the method ${e.method}.`,wsProcessor.failureCodes.methodNotFound);if(r&&r.request){let t=r.request(e.data);if(t.length>0)return void n({message:`The request with method ${e.method} is invalid.`,errors:t},wsProcessor.failureCodes.validationFailed)}let d,c=Object.assign({},s,{method:e.method,index:t,stream:void 0});try{d=h(e.data,n,c)}catch(e){return void a(e)}d&&"function"==typeof d.then?d.then(e=>{this.autoRespond&&!o&&n(e)},a):this.autoRespond&&!o&&n(d)}dispatchNote(e,t){if(void 0!==e.topic){let s=!1;for(let[i,r]of this.subscriptions)wsProcessor.topicMatches(i,String(e.topic))&&(s=!0,this.callNoteHandler(r,e.data,{stamp:e.stamp,topic:e.topic,priority:e.priority||0},t));return void(s||this.logger(1,`There is no subscription for the topic ${e.topic}. The note is dropped: ${t}`))}let s=this.noteHandlers.get(e.method)||this.incomingNoteFunc;"function"==typeof s?this.callNoteHandler(s,e.data,{stamp:e.stamp,method:e.method,priority:e.priority||0},t):this.logger(1,`There is no handler for the note with method ${e.method}. The note is dropped: ${t}`)}nextSequence(e){let t=this.orderedSend.get(e);return t||(t={seq:0,history:new Map},this.orderedSend.set(e,t)),++t.seq}keepOrdered(e,t,s){let i=this.orderedSend.get(e).history;for(i.delete(t),i.set(t,{message:s,codec:this.codecSend.name});i.size>this.ordering.historySize;)i.delete(i.keys().next().value)}resendOrdered(e,t,s){if(!Number.isInteger(t)||!Number.isInteger(s)||t>s){let i=`Invalid resend of the ordered notes ${t}-${s} of channel ${e}.`;return this.logger(0,i),void this.sendError(i)}let i=this.orderedSend.get(e),r=0;for(let[e,o]of i?i.history:[])e>=t&&e<=s&&(this.sendMessage(o.message,o.codec),r++);this.logger(1,`The other side misses the ordered notes ${t}-${s} of channel ${e}; ${r} of them resent.`)}receiveOrdered(e,t,s){let i=String(e.channel),r=this.orderedReceive.get(i);r||(r={next:1,buffer:new Map,gapHandle:void 0,resendRequested:!1},this.orderedReceive.set(i,r)),e.seq<r.next||r.buffer.has(e.seq)?this.logger(1,`The ordered note ${e.seq} of channel ${i} arrived twice and is not processed again.`):(r.buffer.set(e.seq,s?{message:e,messageRaw:t}:null),r.buffer.size>this.ordering.bufferSize?this.skipGap(i,`the buffer is full (${this.ordering.bufferSize} notes)`):this.deliverOrdered(i))}deliverOrdered(e){let t=this.orderedReceive.get(e),s=!1;for(;t.buffer.has(t.next);){let e=t.buffer.get(t.next);t.buffer.delete(t.next),t.next++,s=!0,e&&this.dispatchNote(e.message,e.messageRaw)}if(0==t.buffer.size)return clearTimeout(t.gapHandle),t.gapHandle=void 0,void(t.resendRequested=!1);(s||void 0===t.gapHandle)&&(clearTimeout(t.gapHandle),t.resendRequested=!1,t.gapHandle=setTimeout(()=>this.onGapTimeout(e),1e3*this.ordering.gapTimeout))}onGapTimeout(e){let t=this.orderedReceive.get(e);if(t.gapHandle=void 0,t.resendRequested)return void this.skipGap(e,`it was not filled within ${2*this.ordering.gapTimeout}s`);t.resendRequested=!0;let s=Math.min(...t.buffer.keys())-1;this.sendMessage(this.encode({type:"resend",channel:e,from:t.next,to:s})),t.gapHandle=setTimeout(()=>this.onGapTimeout(e),1e3*this.ordering.gapTimeout)}skipGap(e,t){let s=this.orderedReceive.get(e);clearTimeout(s.gapHandle),s.gapHandle=void 0;let i=s.next,r=Math.min(...s.buffer.keys())-1;s.next=r+1,this.logger(0,`The ordered notes ${i}-${r} of channel ${e} are skipped, since ${t}.`);try{this.ordering.onGap(e,i,r)}catch(e){this.logger(0,`ordering.onGap failed: ${e}`)}this.deliverOrdered(e)}resetOrdering(){for(let e of this.orderedReceive.values())clearTimeout(e.gapHandle);this.orderedReceive.clear(),this.orderedSend.clear()}subscribe(e,t){this.subscriptions.set(e,t),this.closing||this.sendSubscription("subscribe",e)}unsubscribe(e){let t=this.subscriptions.delete(e);return t&&!this.closing&&this.sendSubscription("unsubscribe",e),t}publish(e,t,s={},i=(e,t)=>{}){let r=!1;for(let t of this.remoteSubscriptions)if(wsProcessor.topicMatches(t,e)){r=!0;break}return!!r&&(s.topic=e,this.sendNote(t,s,i),!0)}sendSubscription(e,t){let s={type:e,topic:t},i=this.encode(s);this.logger(3,`Subscription sent per ws: ${i}`),this.sendMessage(i)}static topicMatches(e,t){let s=e.split("/"),i=t.split("/");for(let e=0;e<s.length;e++){if("#"==s[e])return!0;if(e>=i.length||"+"!=s[e]&&s[e]!=i[e])return!1}return s.length==i.length}callNoteHandler(e,t,s,i){try{let r=e(t,s);r&&"function"==typeof r.then&&r.then(void 0,e=>{this.logger(0,`The note handler failed asynchronously: ${e}. Note: ${i}`)})}catch(e){this.logger(0,`The note handler failed: ${e}. Note: ${i}`)}}scheduleIncoming(e,t){if(this.incomingRunning<this.maxConcurrentIncoming)return void this.startIncoming(e);if(this.incomingQueue.length>=this.incomingQueueOpt.maxLength){this.incomingStats.rejected++;let s=`Too many requests are being processed (${this.incomingRunning} running, ${this.incomingQueue.length} waiting). Retry later.`;return this.logger(1,`${s} The request ${e.stamp} is rejected (${this.incomingStats.rejected} so far).`),void t(s,wsProcessor.failureCodes.busy)}let s=-1;"priority"==this.incomingQueueOpt.order&&(s=this.incomingQueue.findIndex(t=>t.priority<e.priority)),this.incomingQueue.splice(s<0?this.incomingQueue.length:s,0,e),e.queued=!0,this.reportIncoming()}startIncoming(e){e.queued=!1,e.running=!0,this.incomingRunning++,e.run()}releaseIncoming(e){if(clearTimeout(e.deadlineHandle),e.queued)return this.incomingQueue.splice(this.incomingQueue.indexOf(e),1),e.queued=!1,void this.reportIncoming();if(e.running&&(e.running=!1,this.incomingRunning--,!this.startingIncoming)){this.startingIncoming=!0;try{let e=!1;for(;this.incomingQueue.length>0&&this.incomingRunning<this.maxConcurrentIncoming;)e=!0,this.startIncoming(this.incomingQueue.shift());e&&this.reportIncoming()}finally{this.startingIncoming=!1}}}reportIncoming(){let e=this.incomingStats;e.queued=this.incomingQueue.length,e.maxQueued=Math.max(e.maxQueued,e.queued),this.logger(3,`Incoming requests: ${this.incomingRunning} running, ${e.queued} waiting.`);try{this.incomingQueueOpt.onDepth(e.queued,this.incomingRunning)}catch(e){this.logger(0,`incomingQueue.onDepth failed: ${e}`)}}takeToken(e,t=1){let s=Date.now();return e.tokens=Math.min(e.burst,e.tokens+(s-e.time)/1e3*e.rate),e.time=s,e.tokens>=t?(e.tokens-=t,0):t>e.burst?1/0:(t-e.tokens)/e.rate}checkRateLimit(e,t){if(!this.rateLimit)return 0;let s=new Map;for(let i of Array.isArray(t)?t:[t])for(let t of[this.rateLimit[e],this.rateLimit.methods.get(i)])void 0!==t&&s.set(t,(s.get(t)||0)+1);let i=Array.from(s.keys()),r=0;for(let e=0;e<i.length;e++)if(r=this.takeToken(i[e],s.get(i[e])),r>0){for(let t=0;t<e;t++)i[t].tokens+=s.get(i[t]);break}if(0==r)return 0;if(this.rateLimitStats["request"==e?"requests":"notes"]++,this.rateLimit.offenses&&this.takeToken(this.rateLimit.offenses)>0&&!this.closing){let e="The rate limits were exceeded repeatedly.";this.logger(0,`${e} The connection is closed (${this.rateLimitStats.requests} requests and ${this.rateLimitStats.notes} notes limited so far).`),this.closingFunc(wsProcessor.closeCodes.rateLimited,e),this.close()}return Math.ceil(1e3*r)/1e3}isDuplicateNote(e){if(this.duplicateCacheSize<=0||void 0===e)return!1;let t=(new Date).getTime();for(let[e,s]of this.receivedNotes){if(t-s<=1e3*this.duplicateRetention)break;this.receivedNotes.delete(e)}return!!this.receivedNotes.has(e)||(this.receivedNotes.set(e,t),this.receivedNotes.size>this.duplicateCacheSize&&this.receivedNotes.delete(this.receivedNotes.keys().next().value),!1)}sendError(e){var t={type:"error"};t.data=e;let s=this.encode(t);this.logger(3,`Error sent per ws: ${s}`),this.transmit(s)}sendNote(e,t={},s=(e,t)=>{}){if(t.retry)return this.sendNoteWithRetry(e,t,s);t.sendAck=t.sendAck||!1,t.ackTimeout=t.ackTimeout||5,t.priority=t.priority||0;var i=t.stamp||this.uuidv4(),r={};let o;r.type="note",r.sendAck=t.sendAck,r.stamp=i,0!=t.priority&&(r.priority=t.priority),void 0!==t.method&&(r.method=t.method),void 0!==t.topic&&(r.topic=t.topic),r.data=e,this.checkOutbox(),t.ordered&&(o=!0===t.ordered?"default":String(t.ordered),r.channel=o,r.seq=t.seq||this.nextSequence(o),t.seq=r.seq);let n=this.encode(r);void 0!==o&&this.keepOrdered(o,r.seq,n);let a={};t.sendAck?(a.cbAck=s,a.message=n,a.stamp=i,a.opt=t,this.stackNote[i]=a,a.startTimeouts=()=>{a.ackTimeoutHandle=setTimeout(()=>{let e=`No ack arrived within the timeout (${t.ackTimeout}s) of message ${a.message}. `;a.cbAck(2,e),this.logger(1,e),delete this.stackNote[i]},1e3*t.ackTimeout)}):a.startTimeouts=()=>{};let h={message:n,codec:this.codecSend.name,stamp:i,priority:t.priority,awaitsAnswer:t.sendAck,pending:()=>!t.sendAck||this.stackNote[i]===a,startTimeouts:a.startTimeouts,onDropped:e=>{t.sendAck&&this.stackNote[i]===a&&(clearTimeout(a.ackTimeoutHandle),delete this.stackNote[i],s(1,e))}};return this.closing&&this.outboxOpt?(this.enqueue(h),!1):!this.queueIfBusy(h)&&(this.logger(3,`NoteAck sent per ws: ${n}`),this.sendItem(h),!0)}sendRequest(e,t=e=>{},s=(e,t,s)=>{},i={},r=(e,t)=>{}){if(i.retry)return this.sendRequestWithRetry(e,t,s,i,r);let o=void 0!==i.onProgress,n=void 0!==i.deadline?(i.deadline-Date.now())/1e3:1/0;i.requestTimeout=Math.min(i.requestTimeout||(void 0!==i.deadline?n:10),n),i.sendAck=i.sendAck||!1,i.ackTimeout=i.ackTimeout||0,i.stream=i.stream||!1,i.onChunk=i.onChunk||(e=>{}),i.onProgress=i.onProgress||((e,t)=>{}),i.progressExtendsTimeout=i.progressExtendsTimeout||!1,i.priority=i.priority||0;var a=i.stamp||this.uuidv4();if(i.signal&&i.signal.aborted)return s(3,"The request was cancelled before it was sent."),a;if(i.requestTimeout<=0)return s(2,"The deadline passed before the request was sent."),a;let h={type:"request"};h.sendAck=i.sendAck,h.stamp=a,void 0!==i.method&&(h.method=i.method),h.data=e,i.stream&&(h.stream=!0),o&&(h.progress=!0),i.batch&&(h.batch=!0),0!=i.priority&&(h.priority=i.priority),i.stream||i.progressExtendsTimeout||(h.timeout=i.requestTimeout);let d=this.encode(h);this.checkOutbox();let c={};c.cbSuccess=t,c.cbFailure=s,c.cbAck=r,c.message=d,c.stamp=a,c.opt=i,this.stackRequest[a]=c,c.onRequestTimeout=()=>{let e;c.opt.sendAck?c.opt.ackArrived?(e=`No response arrived within the timeout (${i.requestTimeout}s), after the ack did arrive of message ${c.message}.`,c.cbFailure(2.1,e)):c.opt.ackTimeout>0?c.opt.ackTimedOut?(e=`No response arrived within the timeout (${i.requestTimeout}s)  and also no ack arrived within the ackTimeout (${i.ackTimeout}s) of message ${c.message}. `,c.cbFailure(2.3,e)):(clearTimeout(c.ackTimeoutHandle),e=`No response arrived within the timeout (${i.requestTimeout}s), but the ackTimeout (${i.ackTimeout}s) did not yet time out (should not happen, since the ackTimeout should always be smaller than the requestTimeout) of message ${c.message}. `,c.cbFailure(2.2,e)):(e=`No response arrived within the timeout (${i.requestTimeout}s) and also no ack arrived so far of message ${c.message}. `,c.cbFailure(2.2,e)):(e=`No response arrived within the request timeout (${i.requestTimeout}s) of message ${c.message}. `,c.cbFailure(2,e)),this.logger(1,e),this.removeAbortListener(c),delete this.stackRequest[c.stamp]},i.sendAck&&(i.ackArrived=!1),c.startTimeouts=()=>{c.requestTimeoutHandle=setTimeout(c.onRequestTimeout,1e3*i.requestTimeout),void 0!==h.timeout&&(c.deadline=Date.now()+1e3*i.requestTimeout),i.ackTimeout>0&&i.sendAck&&(i.ackTimedOut=!1,c.ackTimeoutHandle=setTimeout(()=>{let e=`No ack arrived within the timeout (${i.ackTimeout}s) of message ${c.message}. `;c.cbAck(1,e),this.logger(1,e),delete c.ackTimeoutHandle,i.ackTimedOut=!0},1e3*i.ackTimeout))},i.signal&&(c.abortListener=()=>{this.cancel(a)},i.signal.addEventListener("abort",c.abortListener));let l={message:d,codec:this.codecSend.name,stamp:a,priority:i.priority,awaitsAnswer:!0,pending:()=>this.stackRequest[a]===c,startTimeouts:c.startTimeouts,onDropped:e=>{this.stackRequest[a]===c&&(clearTimeout(c.requestTimeoutHandle),clearTimeout(c.ackTimeoutHandle),this.removeAbortListener(c),delete this.stackRequest[a],s(1,e))}};return this.closing&&this.outboxOpt?(this.enqueue(l),a):(this.queueIfBusy(l)||(this.logger(3,`Request sent per ws: ${d}`),this.sendItem(l)),a)}checkOutbox(){if(this.closing&&this.outboxOpt&&"reject"==this.outboxOpt.overflow&&this.outbox.length>=this.outboxOpt.maxSize){let e=`The connection is not open and the outbox is full (${this.outboxOpt.maxSize} messages). The message is rejected.`;throw this.logger(1,e),new OutboxFullError(1,e)}}enqueue(e){if("send"!=this.outboxOpt.timeoutStart&&e.startTimeouts(),this.outbox.length>=this.outboxOpt.maxSize){if("dropOldest"!=this.outboxOpt.overflow)return void this.dropFromOutbox(e,`The message was not added to the outbox, since the outbox is full (${this.outboxOpt.maxSize} messages).`);this.dropFromOutbox(this.outbox.shift(),`The message was dropped from the outbox, since the outbox was full (${this.outboxOpt.maxSize} messages).`)}this.outboxOpt.expiry>0&&(e.expiryHandle=setTimeout(()=>{let t=this.outbox.indexOf(e);t>=0&&this.outbox.splice(t,1),this.dropFromOutbox(e,`The message expired in the outbox after ${this.outboxOpt.expiry}s.`)},1e3*this.outboxOpt.expiry)),this.outbox.push(e),this.logger(3,`Message added to the outbox (${this.outbox.length} messages): ${e.message}`)}dropFromOutbox(e,t){clearTimeout(e.expiryHandle),this.logger(1,`${t} Message: ${e.message}`),e.onDropped(t)}flushOutbox(){let e=this.outbox.sort((e,t)=>t.priority-e.priority);this.outbox=[];for(let t of e)clearTimeout(t.expiryHandle),t.pending()&&("send"!=this.outboxOpt.timeoutStart&&(t.startTimeouts=()=>{},t.waited=!0),this.queueIfBusy(t)||(this.logger(3,`Message sent from the outbox: ${t.message}`),this.sendItem(t)))}sendItem(e){e.startTimeouts(),this.flowControl&&e.awaitsAnswer&&this.inFlight.add(e),this.sendMessage(e.message,e.codec,e.stamp,e.waited)}queueIfBusy(e){if(!this.priorityQueue&&(!this.flowControl||0==this.sendQueue.length&&this.hasCapacity()))return!1;let t=this.sendQueue.findIndex(t=>t.priority<e.priority);return this.sendQueue.splice(t<0?this.sendQueue.length:t,0,e),this.logger(3,`Message added to the send queue (${this.sendQueue.length} messages): ${e.message}`),this.scheduleDrain(this.priorityQueue?0:void 0),!0}hasCapacity(){let e=this.bufferedAmount?this.bufferedAmount():0;if(this.priorityQueue&&e>this.priorityQueue.maxBufferedAmount)return!1;if(!this.flowControl)return!0;for(let e of this.inFlight)e.pending()||this.inFlight.delete(e);return!(this.inFlight.size>=this.flowControl.maxInFlight)&&!(e>this.flowControl.maxBufferedAmount)}scheduleDrain(e=(this.flowControl||this.priorityQueue).pollInterval){void 0===this.drainHandle&&(this.drainHandle=setTimeout(()=>{this.drainHandle=void 0,this.drainQueue()},1e3*e))}drainQueue(){if(!this.flowControl&&!this.priorityQueue||this.closing)return;let e=0;for(;this.sendQueue.length>0&&this.hasCapacity();){if(this.priorityQueue&&e>=this.priorityQueue.bytesPerTick)return void this.scheduleDrain(0);let t=this.sendQueue.shift();t.pending()&&(this.logger(3,`Message sent from the send queue: ${t.message}`),e+="string"==typeof t.message?t.message.length:t.message.byteLength,this.sendItem(t))}this.sendQueue.length>0?this.scheduleDrain():this.resolveDrained()}resolveDrained(){let e=this.drainWaiting;this.drainWaiting=[];for(let t of e)t()}drained(){return 0==this.sendQueue.length?Promise.resolve():new Promise(e=>{this.drainWaiting.push(e)})}sendNoteWithRetry(e,t,s){let i,r=wsProcessor.retryOptions(t.retry,[2]),o=t.stamp||this.uuidv4(),n=t.seq,a=0,h=()=>{a++;let d=Object.assign({},t,{retry:!1,stamp:o,seq:n});i=this.sendNote(e,d,(e,t,i=!1)=>{0!=e&&!i&&this.scheduleRetry(o,r,a,e,t,h,void 0,s)||s(e,t,i)}),n=d.seq};return h(),i}sendRequestWithRetry(e,t,s,i,r){let o=wsProcessor.retryOptions(i.retry,[2,2.3]),n=i.stamp||this.uuidv4(),a=0,h=!1,d=()=>{a++;let c=Object.assign({},i,{retry:!1,stamp:n});this.sendRequest(e,t,(e,t,r=!1)=>{!r&&this.scheduleRetry(n,o,a,e,t,d,i.signal,s)||s(e,t,r)},c,(e,t)=>{0==e?h||(h=!0,r(e,t)):a>=o.attempts&&r(e,t)})};return d(),n}scheduleRetry(e,t,s,i,r,o,n,a){if(this.closing||s>=t.attempts||!t.codes.includes(i)||n&&n.aborted)return!1;let h=wsProcessor.backoffDelay(t,s);this.logger(1,`Attempt ${s} of ${e} failed (${i}: ${r}). Next attempt in ${h.toFixed(3)}s.`);try{t.onAttempt(s,i,r,h)}catch(e){this.logger(0,`The onAttempt callback failed: ${e}`)}let d={},c=()=>{clearTimeout(d.timeoutHandle),n&&n.removeEventListener("abort",d.stop3),delete this.pendingRetries[e]};return d.stop=(e,t)=>{c(),a(e,t)},d.stop3=()=>{d.stop(3,`The request ${e} was cancelled while waiting for the next attempt.`)},d.timeoutHandle=setTimeout(()=>{c(),o()},1e3*h),n&&n.addEventListener("abort",d.stop3),this.pendingRetries[e]=d,!0}static backoffDelay(e,t){return Math.min(e.maxDelay,e.base*e.factor**(t-1))*(1+e.jitter*(2*Math.random()-1))}static retryOptions(e,t){return"object"!=typeof e&&(e={}),{attempts:e.attempts||3,base:"base"in e?e.base:1,factor:e.factor||2,maxDelay:e.maxDelay||30,jitter:"jitter"in e?e.jitter:.1,codes:e.codes||t,onAttempt:e.onAttempt||((e,t,s,i)=>{})}}restartRequestTimeout(e){clearTimeout(e.requestTimeoutHandle),e.requestTimeoutHandle=setTimeout(e.onRequestTimeout,1e3*e.opt.requestTimeout)}cancel(e){if(e in this.pendingRetries)return this.pendingRetries[e].stop(3,`The request ${e} was cancelled while waiting for the next attempt.`),!0;let t=this.stackRequest[e];if(!t)return this.logger(3,`The request ${e} cannot be cancelled, since it is not pending (anymore).`),!1;if(clearTimeout(t.requestTimeoutHandle),clearTimeout(t.ackTimeoutHandle),this.removeAbortListener(t),delete this.stackRequest[e],this.cancelledRequests[e]=setTimeout(()=>{delete this.cancelledRequests[e]},1e3*t.opt.requestTimeout),this.canSend()){let t={type:"cancel",stamp:e};this.sendMessage(this.encode(t),void 0,e)}let s=`The request was cancelled: ${t.message}`;return this.logger(3,s),t.cbFailure(3,s),!0}removeAbortListener(e){e.abortListener&&(e.opt.signal.removeEventListener("abort",e.abortListener),delete e.abortListener)}request(e,t={}){let s,i,r;t.sendAck&&(s=new Promise((e,t)=>{i=e,r=t}),s.catch(()=>{}));let o=new Promise((o,n)=>{this.sendRequest(e,o,(e,t,i=!1)=>{let o=i?new RemoteError(e,t):wsProcessor.requestError(e,t);s&&r(o),n(o)},t,(e,t)=>{0==e?i(t):r(new AckTimeoutError(e,t))})});return s&&(o.ack=s),o}note(e,t={}){return new Promise((s,i)=>{let r=this.sendNote(e,t,(e,t,r=!1)=>{0==e?s(t):i(r?new RemoteError(e,t):1==e?new ConnectionClosedError(e,t):new AckTimeoutError(e,t))});t.sendAck||(r||this.closing?s():this.drained().then(s))})}sendBatch(e,t={}){let s=e.map(e=>{let t={data:e.data};return void 0!==e.method&&(t.method=e.method),t});return this.request(s,Object.assign({},t,{batch:!0,method:void 0,stream:!1}))}requestStream(e,t={}){let s,i,r,o=[],n=!1,a=()=>{if(r){let e=r;r=void 0,e()}};t.stream=!0,t.onChunk=e=>{o.push(e),a()};let h=this.sendRequest(e,e=>{s=e,n=!0,a()},(e,t,s=!1)=>{i=s?new RemoteError(e,t):wsProcessor.requestError(e,t),n=!0,a()},t),d=this;return{stamp:h,[Symbol.asyncIterator]:async function*(){try{for(;;)if(o.length>0)yield o.shift();else{if(i)throw i;if(n)return s;await new Promise(e=>{r=e})}}finally{n||d.cancel(h)}}}}static get text(){if(!wsProcessor.textCoders){let e="undefined"!=typeof TextEncoder?{TextEncoder:TextEncoder,TextDecoder:TextDecoder}:require("util");wsProcessor.textCoders={encoder:new e.TextEncoder,decoder:new e.TextDecoder}}return wsProcessor.textCoders}static get global(){return"undefined"!=typeof globalThis?globalThis:"undefined"!=typeof window?window:global}static sessionId(){let e;e="undefined"!=typeof crypto&&"function"==typeof crypto.getRandomValues?crypto.getRandomValues(new Uint8Array(16)):new Uint8Array(require("crypto").randomBytes(16)),e[6]=15&e[6]|64,e[8]=63&e[8]|128;let t=Array.from(e,e=>e.toString(16).padStart(2,"0")).join("");return`${t.slice(0,8)}-${t.slice(8,12)}-${t.slice(12,16)}-${t.slice(16,20)}-${t.slice(20)}`}static get sessions(){return wsProcessor.sessionStore||(wsProcessor.sessionStore=new Map),wsProcessor.sessionStore}static get priorities(){return{high:1,normal:0,low:-1}}static get failureCodes(){return{methodNotFound:404,validationFailed:422,rateLimited:429,busy:503,handlerError:500}}static failureFromError(e){let t=wsProcessor.failureCodes.handlerError;return e&&"number"==typeof e.failureCode&&0!=e.failureCode?t=e.failureCode:e&&"number"==typeof e.code&&0!=e.code&&(t=e.code),{failureCode:t,message:e&&void 0!==e.message?e.message:String(e)}}static requestError(e,t){return e>=1&&e<2?new ConnectionClosedError(e,t):e>=2&&e<3?new RequestTimeoutError(e,t):3==e?new CancelledError(e,t):new WsProcessorError(e,t)}uuidv4(){return"xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g,function(e){var t=16*Math.random()|0;return("x"==e?t:3&t|8).toString(16)})}encode(e){let t=this.codecSend.encode(e);if("string"!=typeof t&&t[0]>=1&&t[0]<=3)throw new Error(`The codec ${this.codecSend.name} returned a binary message starting with the reserved byte ${t[0]}.`);return t}decode(e){return this.codecReceive.decode(e)}recode(e,t){return void 0===t||t==this.codecSend.name?e:this.encode(this.codecs.get(t).decode(e))}selectCodec(e){for(let t of this.codecs.keys())if(e.includes(t))return t;return"json"}greetPeer(e){let t,s,i={version:e.version,features:Array.isArray(e.features)?e.features:[],name:e.name,meta:e.meta,protocol:e.protocol};if(this.peer=i,this.remoteSubscriptions.clear(),String(e.version).split(".")[0]!==wsProcessor.protocolVersion.split(".")[0])t=wsProcessor.closeCodes.incompatibleVersion,s=`The protocol version ${e.version} of the other side is incompatible with ${wsProcessor.protocolVersion}.`;else try{let e=this.onPeer(i);"string"==typeof e&&(t=wsProcessor.closeCodes.peerRejected,s=e)}catch(e){t=wsProcessor.closeCodes.peerRejected,s=`onPeer failed: ${e.message}`}if(s)return this.logger(0,`The other side${i.name?` (${i.name})`:""} is rejected: ${s}`),this.transmit(this.encode({type:"welcome",error:s,closeCode:t})),this.closingFunc(t,wsProcessor.closeReason(s)),void this.close();let r=this.selectCodec(Array.isArray(e.codecs)?e.codecs:[]),o=void 0!==this.compression&&Array.isArray(e.compression)&&e.compression.includes("deflate");this.transmit(this.encode({type:"welcome",codec:r,compression:o}),!0,void 0,!0),this.codecSend=this.codecs.get(r),this.compressSend=o,this.logger(3,`Connected to the other side${i.name?` (${i.name})`:""} (version ${i.version}); codec for sending: ${r}${o?`; messages with at least ${this.compression.threshold} characters/bytes are sent compressed`:""}.`)}static binaryType(e){return"undefined"!=typeof Buffer&&Buffer.isBuffer(e)?"Buffer":e instanceof ArrayBuffer?"ArrayBuffer":ArrayBuffer.isView(e)?e.constructor.name:void 0}static binaryBytes(e){return e instanceof ArrayBuffer?new Uint8Array(e):new Uint8Array(e.buffer,e.byteOffset,e.byteLength)}static messageBytes(e){if(e instanceof ArrayBuffer||ArrayBuffer.isView(e))return wsProcessor.binaryBytes(e);throw new Error(`Unsupported type of message: ${Object.prototype.toString.call(e)}`)}static restoreBinary(e,t){let s=e.slice().buffer;return"Buffer"==t&&"undefined"!=typeof Buffer?Buffer.from(s):"ArrayBuffer"==t?s:"DataView"==t?new DataView(s):/^(Big)?(Int|Uint|Float)(8|16|32|64)(Clamped)?Array$/.test(t)&&"function"==typeof wsProcessor.global[t]?new wsProcessor.global[t](s):new Uint8Array(s)}static get protocolVersion(){return"2.0"}static get features(){return["binary","cancel","stream","progress","router","pubsub","sessions","compression","fragments","batch"]}static get subprotocol(){return`wsprocessor.v${wsProcessor.protocolVersion.split(".")[0]}`}static selectSubprotocol(e){for(let t of e)if(t==wsProcessor.subprotocol)return t;return!1}static get closeCodes(){return{incompatibleVersion:4001,peerRejected:4003,rateLimited:4029}}static closeReason(e){let t=String(e).replace(/[\u0000-\u001f\u007f]/g," "),s=wsProcessor.text.encoder.encode(t);if(s.length<=123)return t;let i=120;for(;128==(192&s[i]);)i--;return wsProcessor.text.decoder.decode(s.subarray(0,i))+"..."}static validator(e){return"function"!=typeof e?t=>wsProcessor.validateSchema(e,t):t=>{let s;try{s=e(t)}catch(e){return[{path:"",message:e.message}]}return null==s||!0===s?[]:!1===s?[{path:"",message:"The data is invalid."}]:(Array.isArray(s)||(s=[s]),s.map(e=>"string"==typeof e?{path:"",message:e}:e))}}static validateSchema(e,t,s=""){let i=[],r=e=>i.push({path:s,message:e});if(!0===e||void 0===e)return i;if(!1===e)return r("No value is allowed."),i;let o=null===(n=t)?"null":Array.isArray(n)?"array":typeof n;var n;if(void 0!==e.type){let s=Array.isArray(e.type)?e.type:[e.type];if(!s.some(e=>e==o||"integer"==e&&Number.isInteger(t)))return r(`Must be of type ${s.join(" or ")}.`),i}if(void 0===e.enum||e.enum.some(e=>wsProcessor.deepEqual(e,t))||r(`Must be one of ${JSON.stringify(e.enum)}.`),"const"in e&&!wsProcessor.deepEqual(e.const,t)&&r(`Must be ${JSON.stringify(e.const)}.`),"string"==o)void 0!==e.minLength&&t.length<e.minLength&&r(`Must have at least ${e.minLength} characters.`),void 0!==e.maxLength&&t.length>e.maxLength&&r(`Must have at most ${e.maxLength} characters.`),void 0===e.pattern||new RegExp(e.pattern,"u").test(t)||r(`Must match the pattern ${e.pattern}.`);else if("number"==o)void 0!==e.minimum&&t<e.minimum&&r(`Must be >= ${e.minimum}.`),void 0!==e.maximum&&t>e.maximum&&r(`Must be <= ${e.maximum}.`),void 0!==e.exclusiveMinimum&&t<=e.exclusiveMinimum&&r(`Must be > ${e.exclusiveMinimum}.`),void 0!==e.exclusiveMaximum&&t>=e.exclusiveMaximum&&r(`Must be < ${e.exclusiveMaximum}.`),void 0===e.multipleOf||Number.isInteger(t/e.multipleOf)||r(`Must be a multiple of ${e.multipleOf}.`);else if("array"==o)void 0!==e.minItems&&t.length<e.minItems&&r(`Must have at least ${e.minItems} items.`),void 0!==e.maxItems&&t.length>e.maxItems&&r(`Must have at most ${e.maxItems} items.`),void 0!==e.items&&t.forEach((t,r)=>{i.push(...wsProcessor.validateSchema(e.items,t,`${s}/${r}`))});else if("object"==o){for(let r of e.required||[])r in t||i.push({path:`${s}/${r}`,message:"Is required."});let r=e.properties||{};for(let o of Object.keys(t))o in r?i.push(...wsProcessor.validateSchema(r[o],t[o],`${s}/${o}`)):!1===e.additionalProperties?i.push({path:`${s}/${o}`,message:"Is not allowed."}):"object"==typeof e.additionalProperties&&i.push(...wsProcessor.validateSchema(e.additionalProperties,t[o],`${s}/${o}`))}if(void 0!==e.allOf)for(let r of e.allOf)i.push(...wsProcessor.validateSchema(r,t,s));return void 0===e.anyOf||e.anyOf.some(e=>0==wsProcessor.validateSchema(e,t,s).length)||r("Must match at least one of the schemas in anyOf."),void 0!==e.oneOf&&1!=e.oneOf.filter(e=>0==wsProcessor.validateSchema(e,t,s).length).length&&r("Must match exactly one of the schemas in oneOf."),void 0!==e.not&&0==wsProcessor.validateSchema(e.not,t,s).length&&r("Must not match the schema in not."),i}static deepEqual(e,t){if(e===t)return!0;if("object"!=typeof e||"object"!=typeof t||null===e||null===t||Array.isArray(e)!=Array.isArray(t))return!1;let s=Object.keys(e);return s.length==Object.keys(t).length&&s.every(s=>wsProcessor.deepEqual(e[s],t[s]))}static isCompressedFrame(e){let t=wsProcessor.messageBytes(e);return t.length>0&&(1==t[0]||2==t[0])}static get compressor(){if(void 0===wsProcessor.compressorImpl){let e;wsProcessor.compressorImpl=null;try{e="function"==typeof require?require("zlib"):void 0}catch(e){}if(e)wsProcessor.compressorImpl={sync:!0,compress:(t,s)=>e.deflateSync(t,void 0!==s?{level:s}:{}),decompress:(t,s)=>e.inflateSync(t,{maxOutputLength:s})};else if("undefined"!=typeof CompressionStream){let e=(e,t)=>new Response(new Blob([e]).stream().pipeThrough(t)).arrayBuffer().then(e=>new Uint8Array(e)),t=(e,t)=>{let s=new Blob([e]).stream().pipeThrough(new DecompressionStream("deflate")).getReader(),i=[],r=0,o=()=>s.read().then(e=>{if(e.done){let e=new Uint8Array(r),t=0;for(let s of i)e.set(s,t),t+=s.byteLength;return e}if(r+=e.value.byteLength,r>t)throw s.cancel(),new RangeError(`Cannot create a buffer larger than ${t} bytes`);return i.push(e.value),o()});return o()};wsProcessor.compressorImpl={sync:!1,compress:(t,s)=>e(t,new CompressionStream("deflate")),decompress:t}}}return wsProcessor.compressorImpl}static get codecs(){return wsProcessor.codecStore||(wsProcessor.codecStore={json:new jsonCodec,msgpack:new msgpackCodec}),wsProcessor.codecStore}onMessage(e){let t;if("string"!=typeof e){try{t=wsProcessor.messageBytes(e)}catch(e){let t=`Message could not be processed: ${e.message}`;return this.logger(0,t),void this.sendError(t)}if(3===t[0])return void this.reassemble(t)}let s=this.compressReceive&&void 0!==t&&wsProcessor.isCompressedFrame(t);if(!this.receiveChain&&(!s||wsProcessor.compressor.sync)){let i=s?this.decompress(t):e;if(void 0===i)return;return this.processMessage(i),void this.drainQueue()}let i=(this.receiveChain||Promise.resolve()).then(()=>s?this.decompress(t):e).then(e=>{void 0!==e&&(this.processMessage(e),this.drainQueue())}).catch(e=>{this.logger(0,`Processing an incoming message failed: ${e}`)}).then(()=>{this.receiveChain===i&&(this.receiveChain=void 0)});this.receiveChain=i}processMessage(e){this.logger(4,"Message recieved per ws: "+e);var t={};try{t=this.decode(e)}catch(t){let s=`Message could not be parsed: ${e}`;this.sendError(s),this.logger(0,s)}if(!("type"in t)){let t='Message has no "type"-property and thus is deleted/dropped: '+e;return this.logger(0,t),void this.sendError(t)}if(!this.cbTest(t)){this.session&&!["ping","pong","error","sessionHello","sessionWelcome","hello","welcome"].includes(t.type)&&this.session.received++;var s={note:()=>{let s=this.checkRateLimit("note",t.method);if(s>0){if(this.logger(3,`The note is dropped, since the rate limit is exceeded (${this.rateLimitStats.notes} notes dropped so far): ${e}`),t.sendAck&&!this.closing){let e={type:"noteAck",stamp:t.stamp,failureCode:wsProcessor.failureCodes.rateLimited,data:{message:`Too many notes. Retry after ${s}s.`,retryAfter:s}};this.sendMessage(this.encode(e),void 0,t.stamp)}return}let i=void 0===t.topic?this.noteSchemas.get(t.method):void 0,r=i?i(t.data):[];if(t.sendAck){let e={type:"noteAck"};e.stamp=t.stamp,r.length>0&&(e.failureCode=wsProcessor.failureCodes.validationFailed,e.data={message:`The note with method ${t.method} is invalid.`,errors:r}),this.sendMessage(this.encode(e),void 0,t.stamp)}if(r.length>0&&this.logger(1,`The note with method ${t.method} is invalid and thus dropped: ${r.map(e=>`${e.path}: ${e.message}`).join("; ")}. Note: ${e}`),this.isDuplicateNote(t.stamp))return this.duplicateNotes++,void this.logger(1,`Duplicate note is not processed again (${this.duplicateNotes} duplicates so far): ${e}`);void 0!==t.seq?this.receiveOrdered(t,e,0==r.length):0==r.length&&this.dispatchNote(t,e)},resend:()=>{this.resendOrdered(t.channel,t.from,t.to)},noteAck:()=>{if(t.stamp)if(t.stamp in this.stackNote){let e=this.stackNote[t.stamp];t.failureCode?e.cbAck(t.failureCode,t.data,!0):e.cbAck(0,"Note successfully acknowledged."),clearTimeout(e.ackTimeoutHandle),delete this.stackNote[t.stamp]}else{let s=`Stamp ${t.stamp} was not on stack. This happens when 1) (unlikely) somebody tries to hack you or 2) (likely) the server was very busy and could not send you an answer within you default waiting time so you sent the requst again and the server finally also processed every request (n-1 times for nothing...) or 3) (little likely) two responses were sent for the same request and thus the request was already removed from the stack. It is not allowed to have more than one response (currently) and thus the now received (second or later) response is unhandled/deleted. Message: ${e}`;this.logger(0,s),this.sendError(s)}else{let t="NoteAck is not valid without stamp: "+e;this.sendError(t),this.logger(0,t)}},request:()=>{if(null!=t.data&&null!=t.stamp){if(this.closing)return;if(t.sendAck){let e={type:"requestAck",stamp:t.stamp},s=this.encode(e);this.sendMessage(s,void 0,t.stamp)}if(t.stamp in this.stackIncoming)return void this.logger(1,`The request ${t.stamp} is already being processed. The repeated request is not processed again.`);let s=!1,i=t.batch?void 0:this.requestSchemas.get(t.method),r={stamp:t.stamp,cancelled:!1};"undefined"!=typeof AbortController&&(r.controller=new AbortController),this.stackIncoming[t.stamp]=r,"number"==typeof t.timeout&&(r.deadline=Date.now()+1e3*t.timeout,r.deadlineHandle=setTimeout(()=>{if(r.queued)return this.releaseIncoming(r),r.cancelled=!0,delete this.stackIncoming[t.stamp],void this.logger(1,`The request ${t.stamp} expired while waiting in the incoming queue and is dropped.`);this.logger(3,`The deadline of the request ${t.stamp} passed.`),r.controller&&r.controller.abort()},1e3*t.timeout));let o=(e,o=0,n={},a=(e,t)=>{})=>{if(s)return void this.logger(1,`There was already a response to the request ${t.stamp}. The additional response is not sent: ${e}`);if(r.cancelled)return void this.logger(3,`The request ${t.stamp} was cancelled by the requesting party. The response is not sent: ${e}`);if(s=!0,delete this.stackIncoming[t.stamp],this.releaseIncoming(r),r.batchHandler&&0==o&&Array.isArray(e)&&(e=e.map(e=>({failureCode:0,data:void 0===e?null:e}))),0==o&&i&&i.response){let s=i.response(e);if(s.length>0){let i=`The response to the request with method ${t.method} is invalid.`;this.logger(0,`${i} ${s.map(e=>`${e.path}: ${e.message}`).join("; ")}. Response: ${e}`),e={message:i,errors:s},o=wsProcessor.failureCodes.handlerError}}n.sendAck=n.sendAck||!1,n.ackTimeout=n.ackTimeout||5;let h={type:"response"};h.sendAck=n.sendAck,h.stamp=t.stamp,h.data=e,h.failureCode=o;let d=this.encode(h),c={};if(n.sendAck&&(c.opt=n,c.stamp=t.stamp,c.response=e,c.cbAck=a,c.message=d,this.stackResponse[t.stamp]=c),!this.canSend())return a(3,`The connection was closed before the response (${d}) was sent.`),void(n.sendAck&&delete this.stackResponse[c.stamp]);n.sendAck&&(c.ackTimeoutHandle=setTimeout(()=>{let e=`The following response timed out and is now considered failed: ${c.message}`;this.logger(1,e),c.cbAck(2,e),delete this.stackResponse[c.stamp]},1e3*n.ackTimeout)),this.sendMessage(d,void 0,t.stamp)},n={stamp:t.stamp,method:t.method,priority:t.priority||0,signal:r.controller?r.controller.signal:void 0,deadline:r.deadline,timeLeft:()=>void 0===r.deadline?1/0:Math.max(0,(r.deadline-Date.now())/1e3),progress:(e,i)=>{if(s||r.cancelled||!this.canSend())return this.logger(3,`Progress of the request ${t.stamp} is not sent, since the request is finished, cancelled or the connection closed.`),!1;let o={type:"requestProgress",stamp:t.stamp,data:{value:e,message:i}};return this.sendMessage(this.encode(o),void 0,t.stamp),!0}};t.stream&&(n.stream={write:e=>{if(s||r.cancelled||!this.canSend())return this.logger(3,`Chunk of the request ${t.stamp} is not sent, since the stream is finished, cancelled or the connection closed.`),!1;let i={type:"responseChunk",stamp:t.stamp,data:e};return this.sendMessage(this.encode(i),void 0,t.stamp),!0},end:(e=null,t={},s=(e,t)=>{})=>{o(e,0,t,s)},error:(e,t=wsProcessor.failureCodes.handlerError,s={},i=(e,t)=>{})=>{o(e,t,s,i)}});let a,h=t=>{if(this.logger(1,`The request handler failed: ${t}. Request: ${e}`),!s){let e=wsProcessor.failureFromError(t);o(e.message,e.failureCode)}},d=t.batch&&Array.isArray(t.data)&&t.data.length>0,c=this.checkRateLimit("request",d?t.data.map(e=>e?e.method:void 0):t.method);if(c==1/0)return this.logger(3,`The batch is rejected, since it has more requests than the rate limit allows at once (${this.rateLimitStats.requests} requests rejected so far): ${e}`),void o({message:"The batch has more requests than the rate limit allows at once.",retryAfter:null},wsProcessor.failureCodes.rateLimited);if(c>0)return this.logger(3,`The request is rejected, since the rate limit is exceeded (${this.rateLimitStats.requests} requests rejected so far): ${e}`),void o({message:`Too many requests. Retry after ${c}s.`,retryAfter:c},wsProcessor.failureCodes.rateLimited);if(t.batch){if(!Array.isArray(t.data)||t.data.length>this.maxBatchSize){let t=`A batch must be an array of at most ${this.maxBatchSize} requests.`;return this.logger(1,`${t} Request: ${e}`),void o({message:t,errors:[{path:"",message:t}]},wsProcessor.failureCodes.validationFailed)}if(this.batchHandler)for(let s=0;s<t.data.length;s++){let i=t.data[s]||{};if("function"!=typeof(this.requestHandlers.get(i.method)||this.incomingRequestFunc)){let t=`There is no handler for the method ${i.method} of the request ${s} of the batch.`;return this.logger(1,`${t} Request: ${e}`),void o(t,wsProcessor.failureCodes.methodNotFound)}let r=this.requestSchemas.get(i.method),n=r&&r.request?r.request(i.data):[];if(n.length>0){let t=`The request ${s} of the batch with method ${i.method} is invalid.`;return this.logger(1,`${t} ${n.map(e=>`${e.path}: ${e.message}`).join("; ")}. Request: ${e}`),void o({message:t,errors:n.map(e=>Object.assign({},e,{path:`/${s}/data${e.path}`}))},wsProcessor.failureCodes.validationFailed)}}r.batchHandler=void 0!==this.batchHandler,a=this.batchHandler||((e,t,s)=>this.processBatch(e,t,s))}else a=this.requestHandlers.get(t.method)||this.incomingRequestFunc;if("function"!=typeof a){let s=`There is no handler for the method ${t.method}.`;return this.logger(1,`${s} Request: ${e}`),void o(s,wsProcessor.failureCodes.methodNotFound)}if(i&&i.request){let s=i.request(t.data);if(s.length>0){let i=`The request with method ${t.method} is invalid.`;return this.logger(1,`${i} ${s.map(e=>`${e.path}: ${e.message}`).join("; ")}. Request: ${e}`),void o({message:i,errors:s},wsProcessor.failureCodes.validationFailed)}}r.priority=n.priority,r.run=()=>{let e;try{e=a(t.data,o,n)}catch(e){return void h(e)}let i=e=>{!this.autoRespond||s||void 0===e&&(t.stream||t.progress)||o(void 0===e?null:e)};e&&"function"==typeof e.then?e.then(i,h):i(e)},this.scheduleIncoming(r,o)}else{let t="Request is not valid without stamp and data properties: "+e;this.sendError(t),this.logger(0,t)}},requestAck:()=>{if(!("stamp"in t)){let t=`Could not process requestAck because not all necessary properties were set: ${e}`;return this.logger(0,t),void this.sendError(t)}let s;if(!(s=this.stackRequest[t.stamp])){let t=`Could not process requestAck because it is not on the stack: ${e}`;return this.logger(0,t),void this.sendError(t)}if(s.opt.ackTimedOut){let e=`Acknowledgement arrived after it has timed out. It is ignored. Stamp: ${t.stamp}`;return this.logger(0,e),void this.sendError(e)}s.cbAck(0,"Request successfully acknowledged."),clearTimeout(s.ackTimeoutHandle),s.opt.ackArrived=!0},requestProgress:()=>{if(!t.data||null==t.stamp){let t="RequestProgress is not valid without stamp and data properties: "+e;return this.sendError(t),void this.logger(0,t)}let s=this.stackRequest[t.stamp];if(s){s.opt.progressExtendsTimeout&&this.restartRequestTimeout(s);try{s.opt.onProgress(t.data.value,t.data.message)}catch(t){this.logger(0,`The progress handler failed: ${t}. Progress: ${e}`)}}else this.logger(1,`Could not process requestProgress because the request is not on the stack: ${e}`)},response:()=>{if("data"in t&&null!=t.stamp){let s;if(s=this.stackRequest[t.stamp]){if(clearTimeout(s.requestTimeoutHandle),t.sendAck){let e={type:"responseAck",stamp:t.stamp},s=this.encode(e);this.sendMessage(s,void 0,t.stamp)}t.failureCode?s.cbFailure(t.failureCode,t.data,!0):s.cbSuccess(t.data),this.removeAbortListener(s),delete this.stackRequest[t.stamp]}else{if(!(t.stamp in this.cancelledRequests)){let t=`Stamp was not on stack. This happens when 1) (unlikely) somebody tries to hack you or 2) (likely) the server was very busy and could not send you an answer within your default waiting time so you sent the requst again and the server finally also processed every request (n-1 or even n times (when none of the replys came within the time between the first and the last request) for nothing...) or 3) (little likely) two responses were sent for the same request and thus the request was already removed from the stack. It is not allowed to have more than one response (currently) and thus the now received (second or later) response is unhandled/deleted. Message: ${e}`;return this.logger(0,t),void this.sendError(t)}this.logger(3,`Response to the cancelled request ${t.stamp} arrived and is ignored.`)}}else{let t="Response is not valid without stamp and data properties: "+e;this.sendError(t),this.logger(0,t)}},responseChunk:()=>{if(!("data"in t)||null==t.stamp){let t="ResponseChunk is not valid without stamp and data properties: "+e;return this.sendError(t),void this.logger(0,t)}let s=this.stackRequest[t.stamp];if(s&&s.opt.stream){this.restartRequestTimeout(s);try{s.opt.onChunk(t.data)}catch(t){this.logger(0,`The chunk handler failed: ${t}. Chunk: ${e}`)}}else if(t.stamp in this.cancelledRequests)this.logger(3,`Chunk of the cancelled request ${t.stamp} arrived and is ignored.`);else{let t=`Could not process responseChunk because there is no streamed request with this stamp on the stack: ${e}`;this.logger(0,t),this.sendError(t)}},responseAck:()=>{if(!("stamp"in t)){let t=`Could not process responseAck because not all necessary properties were set: ${e}`;return this.logger(0,t),void this.sendError(t)}let s;if(!(s=this.stackResponse[t.stamp])){let t=`Could not process responseAck because it is not on the stack: ${e}`;return this.logger(0,t),void this.sendError(t)}clearTimeout(s.ackTimeoutHandle),s.cbAck(0,"Response successfully acknowledged."),delete this.stackResponse[s.stamp]},sessionHello:()=>{if(!this.session||"server"!=this.session.role)return void this.logger(1,`SessionHello is ignored, since sessions are not enabled as server: ${e}`);let s=t.id?this.session.store.get(t.id):void 0;if(s&&s!==this&&s.closing&&s.session.graceHandle)return this.logger(3,`Session ${t.id} is resumed.`),void this.attachSession(s,t.received||0);t.id&&this.logger(1,`Session ${t.id} cannot be resumed. A new session is started.`),this.session.id=wsProcessor.sessionId(),this.session.store.set(this.session.id,this);let i={type:"sessionWelcome",id:this.session.id,received:this.session.received,resumed:!1};this.transmit(this.encode(i)),this.resumeSession(0)},sessionWelcome:()=>{this.session&&"client"==this.session.role?(!this.session.id||t.resumed&&t.id==this.session.id||(this.logger(1,`Session ${this.session.id} could not be resumed. Everything pending is failed.`),this.endSession()),this.session.id=t.id,this.resumeSession(t.received||0)):this.logger(1,`SessionWelcome is ignored, since sessions are not enabled as client: ${e}`)},subscribe:()=>{if("string"!=typeof t.topic){let t="Subscribe is not valid without topic: "+e;return this.sendError(t),void this.logger(0,t)}this.remoteSubscriptions.add(t.topic)},unsubscribe:()=>{if("string"!=typeof t.topic){let t="Unsubscribe is not valid without topic: "+e;return this.sendError(t),void this.logger(0,t)}this.remoteSubscriptions.delete(t.topic)},cancel:()=>{if(!t.stamp){let t="Cancel is not valid without stamp: "+e;return this.sendError(t),void this.logger(0,t)}let s=this.stackIncoming[t.stamp];s?(s.cancelled=!0,delete this.stackIncoming[t.stamp],this.releaseIncoming(s),s.controller&&s.controller.abort(),this.logger(3,`The request ${t.stamp} was cancelled by the requesting party.`)):this.logger(3,`The request ${t.stamp} to be cancelled is not processed (anymore).`)},error:()=>{this.logger(1,"A client returned an error for a ws-package: "+t.data.toString())},hello:()=>{this.greetPeer(t)},welcome:()=>{if(t.error){let e=Object.values(wsProcessor.closeCodes).includes(t.closeCode)?t.closeCode:wsProcessor.closeCodes.peerRejected;return this.logger(0,`The other side rejected the connection: ${t.error}`),this.closingFunc(e,wsProcessor.closeReason(t.error)),void this.close()}this.compressReceive=void 0!==this.compression&&!0===t.compression;let e=this.codecs.get(t.codec);e?(this.codecReceive=e,this.logger(3,`Codec for receiving: ${e.name}`)):this.logger(0,`The other side switched to the unknown codec ${t.codec}.`)},ping:()=>{let e={type:"pong"};e.data=t.data,this.session&&(e.received=this.session.received,void 0!==t.received&&this.confirmSession(t.received)),this.transmit(this.encode(e)),this.logger(4,`Ping ${t.data} arrived. Pong sent.`)},pong:()=>{let e=this.heartbeat.sent["H"+t.data];if(void 0===e)return void this.logger(1,"Pong message did not match a sent ping. Pong is ignored.");this.session&&void 0!==t.received&&this.confirmSession(t.received);let s=(new Date).getTime()-e.time;clearTimeout(e.timeout),this.heartbeat.lastRTT=this.heartbeat.currentRTT,this.heartbeat.currentRTT=s/1e3,this.heartbeat.nLastArrived+1!=t.data&&this.logger(1,`Pong ${t.data} arrived out of order. Last pong was ${this.heartbeat.nLastArrived}`),this.heartbeat.nLastArrived=t.data,delete this.heartbeat.sent["H"+t.data],this.logger(4,`Pong ${t.data} arrived within ${s} ms.`)}};"function"==typeof s[t.type]?s[t.type]():this.logger(1,t.type+" is not a supported type of WebSocket data.")}}}class wsClient{constructor(e,t,s,i=(e,t)=>{},r={}){this.url=e,this.logger=i,this.WebSocket=r.WebSocket||("undefined"!=typeof WebSocket?WebSocket:void 0),this.protocols=r.protocols,this.onStateChange=r.onStateChange||((e,t)=>{});let o=r.reconnect||{};this.reconnect={base:"base"in o?o.base:.5,factor:o.factor||2,maxDelay:o.maxDelay||30,jitter:"jitter"in o?o.jitter:.3,attempts:o.attempts||1/0},this.state="closed",this.socket=void 0,this.attempt=0,this.stopped=!1,this.reconnectHandle=void 0;let n=Object.assign({},r.processor||{},{openOnConstruct:!1});n.bufferedAmount||(n.bufferedAmount=()=>this.socket?this.socket.bufferedAmount:0),this.processor=new wsProcessor(e=>{this.socket&&1==this.socket.readyState?this.socket.send(e):this.logger(1,`The connection is not open. The message is not sent: ${e}`)},(e,t)=>{void 0!==e&&(this.stopped=!0),this.dropSocket(e,t)},t,s,i,n),"connectOnConstruct"in r&&!r.connectOnConstruct||this.connect()}setState(e,t={}){this.state=e;try{this.onStateChange(e,t)}catch(e){this.logger(0,`The onStateChange callback failed: ${e}`)}}connect(){if(this.stopped||this.socket)return;let e;clearTimeout(this.reconnectHandle),this.setState("connecting",{attempt:this.attempt});try{e="function"==typeof this.url?this.url():new this.WebSocket(this.url,this.protocols)}catch(e){return this.logger(0,`The websocket could not be created: ${e}`),void this.scheduleReconnect()}this.socket=e,e.binaryType="arraybuffer",e.onopen=()=>{this.socket===e&&(this.attempt=0,this.setState("open"),this.processor.protocol=e.protocol||this.processor.protocol,this.processor.open())},e.onmessage=t=>{this.socket===e&&this.processor.onMessage(t.data)},e.onclose=t=>{this.socket===e&&(t&&Object.values(wsProcessor.closeCodes).includes(t.code)&&(this.logger(0,`The connection was closed by the server: ${t.reason}`),this.stopped=!0),this.dropSocket())},e.onerror=t=>{this.socket===e&&(this.logger(1,`Websocket error: ${t&&t.message}`),this.dropSocket())}}dropSocket(e,t){let s=this.socket;if(s){this.socket=void 0;try{s.close(e,t)}catch(e){}this.processor.close(),this.scheduleReconnect()}}scheduleReconnect(){if(this.stopped)return void this.setState("closed");if(this.attempt++,this.attempt>this.reconnect.attempts)return this.logger(0,`The connection could not be established within ${this.reconnect.attempts} attempts. No further attempts are made.`),this.stopped=!0,void this.setState("closed");let e=wsProcessor.backoffDelay(this.reconnect,this.attempt);this.setState("waiting",{attempt:this.attempt,delay:e}),this.reconnectHandle=setTimeout(()=>{this.connect()},1e3*e)}close(){this.stopped=!0,clearTimeout(this.reconnectHandle),this.socket?this.dropSocket():this.setState("closed")}}class jsonCodec{get name(){return"json"}encode(e){let t=wsProcessor.binaryType(e.data);if(!t)return JSON.stringify(e);let s=Object.assign({},e,{binary:t});delete s.data;let i=wsProcessor.text.encoder.encode(JSON.stringify(s)),r=wsProcessor.binaryBytes(e.data),o=new Uint8Array(5+i.length+r.length);return o[0]=0,new DataView(o.buffer).setUint32(1,i.length),o.set(i,5),o.set(r,5+i.length),o}decode(e){if("string"==typeof e)return JSON.parse(e);let t=wsProcessor.messageBytes(e);if(0==t.length||0!=t[0])return JSON.parse(wsProcessor.text.decoder.decode(t));let s=new DataView(t.buffer,t.byteOffset,t.byteLength).getUint32(1),i=JSON.parse(wsProcessor.text.decoder.decode(t.subarray(5,5+s)));return i.data=wsProcessor.restoreBinary(t.subarray(5+s),i.binary),delete i.binary,i}}class msgpackCodec{get name(){return"msgpack"}encode(e){let t=wsProcessor.binaryType(e.data);t&&(e=Object.assign({},e,{binary:t}));let s={bytes:new Uint8Array(256),view:void 0,length:0};return s.view=new DataView(s.bytes.buffer),this.write(s,e),s.bytes.slice(0,s.length)}reserve(e,t){if(e.length+t>e.bytes.length){let s=new Uint8Array(Math.max(2*e.bytes.length,e.length+t));s.set(e.bytes),e.bytes=s,e.view=new DataView(s.buffer)}let s=e.length;return e.length+=t,s}writeHeader(e,t,s,i){let r=this.reserve(e,1+s);e.bytes[r]=t,1==s?e.view.setUint8(r+1,i):2==s?e.view.setUint16(r+1,i):4==s&&e.view.setUint32(r+1,i)}write(e,t){if(null==t||"function"==typeof t||"symbol"==typeof t)this.writeHeader(e,192,0);else if(!1===t)this.writeHeader(e,194,0);else if(!0===t)this.writeHeader(e,195,0);else if("number"==typeof t)if(Number.isInteger(t)&&t>=0&&t<=4294967295)t<128?this.writeHeader(e,t,0):t<256?this.writeHeader(e,204,1,t):t<65536?this.writeHeader(e,205,2,t):this.writeHeader(e,206,4,t);else if(Number.isInteger(t)&&t<0&&t>=-2147483648)if(t>=-32)this.writeHeader(e,255&t,0);else if(t>=-128){let s=this.reserve(e,2);e.bytes[s]=208,e.view.setInt8(s+1,t)}else if(t>=-32768){let s=this.reserve(e,3);e.bytes[s]=209,e.view.setInt16(s+1,t)}else{let s=this.reserve(e,5);e.bytes[s]=210,e.view.setInt32(s+1,t)}else{let s=this.reserve(e,9);e.bytes[s]=203,e.view.setFloat64(s+1,t)}else if("bigint"==typeof t){let s=this.reserve(e,9);t>=0?(e.bytes[s]=207,e.view.setBigUint64(s+1,t)):(e.bytes[s]=211,e.view.setBigInt64(s+1,t))}else if("string"==typeof t){let s=wsProcessor.text.encoder.encode(t),i=s.length;i<32?this.writeHeader(e,160|i,0):i<256?this.writeHeader(e,217,1,i):i<65536?this.writeHeader(e,218,2,i):this.writeHeader(e,219,4,i);let r=this.reserve(e,i);e.bytes.set(s,r)}else if(wsProcessor.binaryType(t)){let s=wsProcessor.binaryBytes(t),i=s.length;i<256?this.writeHeader(e,196,1,i):i<65536?this.writeHeader(e,197,2,i):this.writeHeader(e,198,4,i);let r=this.reserve(e,i);e.bytes.set(s,r)}else if("function"==typeof t.toJSON)this.write(e,t.toJSON());else if(Array.isArray(t)){let s=t.length;s<16?this.writeHeader(e,144|s,0):s<65536?this.writeHeader(e,220,2,s):this.writeHeader(e,221,4,s);for(let s of t)this.write(e,s)}else{let s=Object.keys(t).filter(e=>void 0!==t[e]&&"function"!=typeof t[e]&&"symbol"!=typeof t[e]),i=s.length;i<16?this.writeHeader(e,128|i,0):i<65536?this.writeHeader(e,222,2,i):this.writeHeader(e,223,4,i);for(let i of s)this.write(e,i),this.write(e,t[i])}}decode(e){let t=wsProcessor.messageBytes(e),s={bytes:t,view:new DataView(t.buffer,t.byteOffset,t.byteLength),pos:0},i=this.read(s);if(s.pos!=t.length)throw new Error(t.length-s.pos+" bytes left after decoding the message.");return i&&i.binary&&(i.data=wsProcessor.restoreBinary(i.data,i.binary),delete i.binary),i}read(e){let t=e.view;if(e.pos>=e.bytes.length)throw new Error("Unexpected end of the message.");let s=e.bytes[e.pos++],i=t=>{let s=e.pos;if(e.pos+=t,e.pos>e.bytes.length)throw new Error("Unexpected end of the message.");return s},r=t=>wsProcessor.text.decoder.decode(e.bytes.subarray(i(t),e.pos)),o=t=>e.bytes.slice(i(t),e.pos),n=t=>{let s=[];for(let i=0;i<t;i++)s.push(this.read(e));return s},a=t=>{let s={};for(let i=0;i<t;i++){let t=this.read(e);Object.defineProperty(s,t,{value:this.read(e),enumerable:!0,writable:!0,configurable:!0})}return s};if(s<128)return s;if(s<144)return a(15&s);if(s<160)return n(15&s);if(s<192)return r(31&s);if(s>=224)return s-256;switch(s){case 192:return null;case 194:return!1;case 195:return!0;case 196:return o(t.getUint8(i(1)));case 197:return o(t.getUint16(i(2)));case 198:return o(t.getUint32(i(4)));case 202:return t.getFloat32(i(4));case 203:return t.getFloat64(i(8));case 204:return t.getUint8(i(1));case 205:return t.getUint16(i(2));case 206:return t.getUint32(i(4));case 207:return msgpackCodec.fromBigInt(t.getBigUint64(i(8)));case 208:return t.getInt8(i(1));case 209:return t.getInt16(i(2));case 210:return t.getInt32(i(4));case 211:return msgpackCodec.fromBigInt(t.getBigInt64(i(8)));case 217:return r(t.getUint8(i(1)));case 218:return r(t.getUint16(i(2)));case 219:return r(t.getUint32(i(4)));case 220:return n(t.getUint16(i(2)));case 221:return n(t.getUint32(i(4)));case 222:return a(t.getUint16(i(2)));case 223:return a(t.getUint32(i(4)))}throw new Error(`Unsupported MessagePack type 0x${s.toString(16)}.`)}static fromBigInt(e){return e>=Number.MIN_SAFE_INTEGER&&e<=Number.MAX_SAFE_INTEGER?Number(e):e}}class WsProcessorError extends Error{constructor(e,t){super(t),this.name=this.constructor.name,this.code=e}}class ConnectionClosedError extends WsProcessorError{}class RequestTimeoutError extends WsProcessorError{}class CancelledError extends WsProcessorError{}class AckTimeoutError extends WsProcessorError{}class OutboxFullError extends WsProcessorError{}class RemoteError extends WsProcessorError{constructor(e,t){let s=`The request failed on the remote side with failureCode ${e}.`;"string"==typeof t?s=t:t&&"string"==typeof t.message&&(s=t.message),super(e,s),this.failureCode=e,this.data=t}}
\ No newline at end of file
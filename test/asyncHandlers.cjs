@@ -0,0 +1,58 @@
+// user-002: async request and note handlers; autoRespond
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+test('with autoRespond, the return value and the resolved value are the response', async ()=>{
+	let p = pair({}, {opt: {autoRespond: true}, request: (data)=>{
+		if (data=='async'){
+			return wait(5).then(()=>'later');
+		}
+		return 'now';
+	}});
+	assert.strictEqual(await p.a.request('sync'), 'now');
+	assert.strictEqual(await p.a.request('async'), 'later');
+	p.close();
+});
+
+test('without autoRespond, only responseFunc responds', async ()=>{
+	let p = pair({}, {request: (data, responseFunc)=>{
+		setTimeout(()=>responseFunc('explicit'), 5);
+		return 'ignored';
+	}});
+	assert.strictEqual(await p.a.request('x'), 'explicit');
+	p.close();
+});
+
+test('thrown errors and rejections are sent as failure response', async ()=>{
+	let p = pair({}, {request: async (data)=>{
+		if (data=='coded'){
+			let err = new Error('not found');
+			err.failureCode = 404;
+			throw err;
+		}
+		throw new Error('broken');
+	}});
+	let err = await rejects(p.a.request('x'));
+	assert.ok(err instanceof wsProcessor.RemoteError);
+	assert.strictEqual(err.failureCode, wsProcessor.failureCodes.handlerError);
+	assert.strictEqual(err.message, 'broken');
+	err = await rejects(p.a.request('coded'));
+	assert.strictEqual(err.failureCode, 404);
+
+	let q = pair({}, {request: ()=>{
+		throw new Error('sync');
+	}});
+	err = await rejects(q.a.request('x'));
+	assert.strictEqual(err.failureCode, wsProcessor.failureCodes.handlerError);
+	p.close();
+	q.close();
+});
+
+test('errors of note handlers are logged', async ()=>{
+	let p = pair({}, {note: async ()=>{
+		throw new Error('note failed');
+	}});
+	await p.a.note('x', {sendAck: true});
+	await wait();
+	assert.ok(p.logs.b.some((msg)=>msg.includes('note failed')));
+	p.close();
+});
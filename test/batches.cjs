@@ -0,0 +1,55 @@
+// user-025: batches of requests in one message
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+test('the batch handler gets all requests and answers with one response', async ()=>{
+	let batches = [];
+	let p = pair({}, {});
+	p.b.handle('add', (data, responseFunc)=>responseFunc(data.x + data.y));
+	p.b.handleBatch((requests, responseFunc)=>{
+		batches.push(requests.map((r)=>r.method));
+		responseFunc(requests.map((r)=>r.data.x * 10));
+	});
+	let results = await p.a.sendBatch([{method: 'add', data: {x: 1, y: 2}}, {method: 'add', data: {x: 3, y: 4}}], {sendAck: true});
+	assert.deepStrictEqual(results.map((result)=>result.data), [10, 30]);
+	assert.deepStrictEqual(batches, [['add', 'add']]);
+	// only one request message was sent
+	assert.strictEqual(p.sent.a.filter((message)=>String(message).includes('"type":"request"')).length, 1);
+	p.close();
+});
+
+test('a batch handler can fail the batch as a whole', async ()=>{
+	let p = pair({}, {});
+	p.b.handle('save', (data, responseFunc)=>responseFunc(true));
+	p.b.handleBatch((requests, responseFunc)=>responseFunc('Nothing was applied', 409));
+	let err = await rejects(p.a.sendBatch([{method: 'save', data: 1}]));
+	assert.ok(err instanceof wsProcessor.RemoteError);
+	assert.strictEqual(err.failureCode, 409);
+
+	// unknown methods fail the batch before the handler is called
+	err = await rejects(p.a.sendBatch([{method: 'save', data: 1}, {method: 'unknown', data: 2}]));
+	assert.strictEqual(err.failureCode, wsProcessor.failureCodes.methodNotFound);
+	p.close();
+});
+
+test('without batch handler, the requests are processed one by one with their own results', async ()=>{
+	let order = [];
+	let p = pair({}, {});
+	p.b.handle('square', (data, responseFunc, context)=>{
+		order.push(context.index);
+		setTimeout(()=>responseFunc(data*data), 5);
+	}, {schema: {type: 'number'}});
+	let results = await p.a.sendBatch([{method: 'square', data: 3}, {method: 'square', data: 'x'}, {method: 'square', data: 4}]);
+	assert.deepStrictEqual(results.map((result)=>result.failureCode), [0, wsProcessor.failureCodes.validationFailed, 0]);
+	assert.strictEqual(results[0].data, 9);
+	assert.strictEqual(results[2].data, 16);
+	assert.deepStrictEqual(order, [0, 2]);
+	p.close();
+});
+
+test('batches larger than maxBatchSize are rejected', async ()=>{
+	let p = pair({}, {opt: {maxBatchSize: 2}});
+	p.b.handle('x', (data, responseFunc)=>responseFunc(data));
+	let err = await rejects(p.a.sendBatch([1, 2, 3].map((i)=>({method: 'x', data: i}))));
+	assert.strictEqual(err.failureCode, wsProcessor.failureCodes.validationFailed);
+	p.close();
+});
@@ -0,0 +1,34 @@
+// user-013: binary data
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+test('binary data arrives as the same type with both codecs', async ()=>{
+	for (let codec of ['json', 'msgpack']){
+		let got = [];
+		let p = pair({opt: {codecs: [codec]}}, {opt: {codecs: [codec]}, note: (note)=>got.push(note), request: (data, responseFunc)=>responseFunc(data)});
+		await wait();
+		let buffer = await p.a.request(Buffer.from([1, 2, 3]));
+		assert.ok(Buffer.isBuffer(buffer));
+		assert.deepStrictEqual([...buffer], [1, 2, 3]);
+		let floats = await p.a.request(new Float64Array([0.5, -2]));
+		assert.ok(floats instanceof Float64Array);
+		assert.deepStrictEqual([...floats], [0.5, -2]);
+		p.a.sendNote(new Uint8Array([0, 255]).buffer);
+		await wait();
+		assert.ok(got[0] instanceof ArrayBuffer);
+		assert.deepStrictEqual([...new Uint8Array(got[0])], [0, 255]);
+		p.close();
+	}
+});
+
+test('messages of unsupported types are reported with an error instead of throwing', async ()=>{
+	let p = pair({}, {});
+	await wait();
+	assert.doesNotThrow(()=>p.b.onMessage(new Blob(['{"type": "note"}'])));
+	assert.ok(p.logs.b.some((msg)=>msg.includes('Unsupported type of message: [object Blob]')));
+	await wait();
+	assert.ok(p.logs.a.some((msg)=>msg.includes('Unsupported type of message')));
+	// the connection is still usable
+	p.b.incomingRequestFunc = (data, responseFunc)=>responseFunc(data);
+	assert.strictEqual(await p.a.request('still open'), 'still open');
+	p.close();
+});
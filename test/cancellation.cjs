@@ -0,0 +1,48 @@
+// user-003: cancellation of requests, propagated to the responding party
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+test('cancel(stamp) fails the request with code 3 and aborts the signal of the handler', async ()=>{
+	let aborted = false;
+	let p = pair({}, {request: (data, responseFunc, context)=>{
+		context.signal.addEventListener('abort', ()=>{
+			aborted = true;
+			// a response after the cancellation is ignored by the requesting party
+			responseFunc('too late');
+		});
+	}});
+	let failure;
+	let stamp = p.a.sendRequest('x', ()=>assert.fail('no success expected'), (code)=>{
+		failure = code;
+	});
+	await wait();
+	p.a.cancel(stamp);
+	assert.strictEqual(failure, 3);
+	await wait();
+	assert.ok(aborted);
+	assert.strictEqual(Object.keys(p.b.stackIncoming).length, 0);
+	p.close();
+});
+
+test('an aborted opt.signal rejects request with CancelledError', async ()=>{
+	let p = pair({}, {request: ()=>{}});
+	let controller = new AbortController();
+	let prom = p.a.request('x', {signal: controller.signal});
+	controller.abort();
+	let err = await rejects(prom);
+	assert.ok(err instanceof wsProcessor.CancelledError);
+	assert.strictEqual(err.code, 3);
+	p.close();
+});
+
+test('the signal of the handler is aborted when the connection closes', async ()=>{
+	let aborted = false;
+	let p = pair({}, {request: (data, responseFunc, context)=>{
+		context.signal.addEventListener('abort', ()=>{
+			aborted = true;
+		});
+	}});
+	p.a.request('x').catch(()=>{});
+	await wait();
+	p.close();
+	assert.ok(aborted);
+});
@@ -0,0 +1,39 @@
+// user-014: codecs negotiated per connection
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+test('each side sends with its first codec the other side supports', async ()=>{
+	let p = pair({opt: {codecs: ['msgpack']}}, {opt: {codecs: ['msgpack']}, request: (data, responseFunc)=>responseFunc(data)});
+	await wait();
+	assert.strictEqual(p.a.codecSend.name, 'msgpack');
+	assert.strictEqual(p.b.codecSend.name, 'msgpack');
+	let data = {n: 1, text: 'ä', list: [null, true], date: new Date(0)};
+	assert.deepStrictEqual(await p.a.request(data), JSON.parse(JSON.stringify(data)));
+	// hello, the first ping and welcome are sent as JSON, since the other side does not know the codec before the welcome
+	assert.strictEqual(typeof(p.sent.a[2]), 'string');
+	assert.ok(p.sent.a.slice(3).every((message)=>message instanceof Uint8Array));
+	p.close();
+});
+
+test('json is used when the sides share no other codec', async ()=>{
+	let p = pair({opt: {codecs: ['msgpack']}}, {request: (data, responseFunc)=>responseFunc(data)});
+	await wait();
+	assert.strictEqual(p.a.codecSend.name, 'json');
+	assert.strictEqual(p.b.codecSend.name, 'json');
+	assert.strictEqual(await p.a.request('x'), 'x');
+	p.close();
+});
+
+test('custom codecs are negotiated by name', async ()=>{
+	let reversed = {
+		name: 'reversed',
+		encode: (mess)=>JSON.stringify(mess).split('').reverse().join(''),
+		decode: (messageRaw)=>JSON.parse(String(messageRaw).split('').reverse().join('')),
+	};
+	let p = pair({opt: {codecs: [reversed]}}, {opt: {codecs: [reversed, 'msgpack']}, request: (data, responseFunc)=>responseFunc(data*2)});
+	await wait();
+	assert.strictEqual(p.a.codecSend.name, 'reversed');
+	assert.strictEqual(p.b.codecSend.name, 'reversed');
+	assert.strictEqual(await p.a.request(21), 42);
+	assert.ok(p.sent.a[p.sent.a.length-1].startsWith('}'));
+	p.close();
+});
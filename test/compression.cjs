@@ -0,0 +1,71 @@
+// user-015: compression of large messages
+const zlib = require('zlib');
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+// a compressed frame (see wsProcessor.compress) of the text
+const compressedFrame = (text)=>{
+	let compressed = zlib.deflateSync(Buffer.from(text));
+	let frame = new Uint8Array(compressed.length+1);
+	frame[0] = 1;
+	frame.set(compressed, 1);
+	return frame;
+};
+
+test('large messages are sent compressed when both sides support it', async ()=>{
+	let p = pair({opt: {compression: {threshold: 1000}}}, {opt: {compression: {}}, request: (data, responseFunc)=>responseFunc(data)});
+	await wait();
+	let large = 'abc'.repeat(1000);
+	assert.strictEqual(await p.a.request(large), large);
+	assert.strictEqual(await p.a.request('small'), 'small');
+	assert.strictEqual(p.a.compressionStats.compressedSent, 1);
+	assert.strictEqual(p.b.compressionStats.compressedReceived, 1);
+	assert.ok(p.a.compressionStats.compressedBytesSent < large.length/10);
+	p.close();
+
+	// without compression on one side
+	let q = pair({opt: {compression: {threshold: 1000}}}, {request: (data, responseFunc)=>responseFunc(data)});
+	await wait();
+	assert.strictEqual(await q.a.request(large), large);
+	assert.strictEqual(q.a.compressionStats.compressedSent, 0);
+	q.close();
+});
+
+test('malformed compressed frames are reported instead of throwing', async ()=>{
+	let p = pair({opt: {compression: {}}}, {opt: {compression: {}}, request: (data, responseFunc)=>responseFunc(data)});
+	await wait();
+	assert.doesNotThrow(()=>p.b.onMessage(new Uint8Array([1, 0xde, 0xad, 0xbe, 0xef])));
+	assert.ok(p.logs.b.some((msg)=>msg.includes('could not be decompressed')));
+	await wait();
+	assert.ok(p.logs.a.some((msg)=>msg.includes('could not be decompressed')));
+	assert.strictEqual(await p.a.request('still open'), 'still open');
+	p.close();
+});
+
+test('compressed frames larger than maxReassemblySize when decompressed are dropped', async ()=>{
+	let got = [];
+	let p = pair({opt: {compression: {}}}, {opt: {compression: {}, maxReassemblySize: 100000}, note: (note)=>got.push(note)});
+	await wait();
+	let bomb = compressedFrame(JSON.stringify({type: 'note', data: '0'.repeat(1000000)}));
+	assert.ok(bomb.length < 2000);
+	p.b.onMessage(bomb);
+	p.b.onMessage(compressedFrame(JSON.stringify({type: 'note', data: 'small'})));
+	assert.deepStrictEqual(got, ['small']);
+	assert.ok(p.logs.b.some((msg)=>msg.includes('could not be decompressed')));
+	p.close();
+});
+
+test('compressed frames are not decompressed unless compression was negotiated', async ()=>{
+	let got = [];
+	let p = pair({opt: {compression: {}}}, {note: (note)=>got.push(note)});
+	await wait();
+	p.b.onMessage(compressedFrame(JSON.stringify({type: 'note', data: 'unexpected'})));
+	assert.deepStrictEqual(got, []);
+	assert.strictEqual(p.b.compressionStats.compressedReceived, 0);
+
+	// with compression on this side only, the other side does not send compressed frames either
+	let q = pair({opt: {compression: {}}}, {opt: {compression: {}}, note: (note)=>got.push(note)});
+	q.b.onMessage(compressedFrame(JSON.stringify({type: 'note', data: 'before the welcome'})));
+	assert.deepStrictEqual(got, []);
+	p.close();
+	q.close();
+});
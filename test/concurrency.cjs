@@ -0,0 +1,69 @@
+// user-023: concurrency limit of the request handlers
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+test('at most maxConcurrentIncoming requests are processed at the same time', async ()=>{
+	let running = 0;
+	let maxRunning = 0;
+	let depths = [];
+	let p = pair({}, {opt: {maxConcurrentIncoming: 2, incomingQueue: {onDepth: (queued)=>depths.push(queued)}}, request: (data, responseFunc)=>{
+		maxRunning = Math.max(maxRunning, ++running);
+		setTimeout(()=>{
+			running--;
+			responseFunc(data);
+		}, 5);
+	}});
+	await wait();
+	let responses = await Promise.all([1, 2, 3, 4, 5].map((i)=>p.a.request(i)));
+	assert.deepStrictEqual(responses, [1, 2, 3, 4, 5]);
+	assert.strictEqual(maxRunning, 2);
+	assert.strictEqual(Math.max(...depths), 3);
+	assert.strictEqual(depths[depths.length-1], 0);
+	assert.strictEqual(p.b.incomingStats.maxQueued, 3);
+	p.close();
+});
+
+test('waiting requests are processed by priority with order "priority"', async ()=>{
+	let order = [];
+	let p = pair({}, {opt: {maxConcurrentIncoming: 1, incomingQueue: {order: 'priority'}}, request: (data, responseFunc)=>{
+		order.push(data);
+		setTimeout(()=>responseFunc(data), 5);
+	}});
+	await wait();
+	await Promise.all([
+		p.a.request('first'),
+		p.a.request('low', {priority: wsProcessor.priorities.low}),
+		p.a.request('normal'),
+		p.a.request('high', {priority: wsProcessor.priorities.high}),
+	]);
+	assert.deepStrictEqual(order, ['first', 'high', 'normal', 'low']);
+	p.close();
+});
+
+test('requests beyond maxLength of the queue fail with busy', async ()=>{
+	let p = pair({}, {opt: {maxConcurrentIncoming: 1, incomingQueue: {maxLength: 1}}, request: (data, responseFunc)=>setTimeout(()=>responseFunc(data), 5)});
+	await wait();
+	let results = await Promise.allSettled([1, 2, 3].map((i)=>p.a.request(i)));
+	assert.deepStrictEqual(results.slice(0, 2).map((result)=>result.value), [1, 2]);
+	assert.strictEqual(results[2].reason.failureCode, wsProcessor.failureCodes.busy);
+	assert.strictEqual(p.b.incomingStats.rejected, 1);
+	p.close();
+});
+
+test('a cancelled request leaves the queue without reaching the handler', async ()=>{
+	let calls = [];
+	let p = pair({}, {opt: {maxConcurrentIncoming: 1}, request: (data, responseFunc)=>{
+		calls.push(data);
+		setTimeout(()=>responseFunc(data), 20);
+	}});
+	await wait();
+	let first = p.a.request('first');
+	let controller = new AbortController();
+	let second = p.a.request('second', {signal: controller.signal});
+	await wait(5);
+	controller.abort();
+	await rejects(second);
+	assert.strictEqual(await first, 'first');
+	await wait();
+	assert.deepStrictEqual(calls, ['first']);
+	p.close();
+});
@@ -0,0 +1,108 @@
+// user-024: deadlines of requests, propagated to the responding party
+const {wsProcessor, assert, pair, sessionLink, wait, rejects, test} = require('./lib/helpers.cjs');
+
+// the timeout of the request messages given to the sendingFunc
+const sentTimeouts = (sent)=>sent.map((message)=>JSON.parse(message)).filter((mess)=>mess.type=='request').map((mess)=>mess.timeout);
+
+test('the requestTimeout is sent unchanged and the handler knows its deadline', async ()=>{
+	let timeLeft;
+	let p = pair({}, {request: (data, responseFunc, context)=>{
+		timeLeft = context.timeLeft();
+		responseFunc(context.deadline);
+	}});
+	await wait();
+	let before = Date.now();
+	let deadline = await p.a.request('x', {requestTimeout: 5});
+	assert.ok(deadline>=before+4900 && deadline<=Date.now()+5000);
+	assert.ok(timeLeft>4.9 && timeLeft<=5);
+	assert.deepStrictEqual(sentTimeouts(p.sent.a), [5]);
+	p.close();
+});
+
+test('requests sent directly are not encoded again, even with sessions', async ()=>{
+	// every call of Date.now takes 5ms, i.e. the time left is always shorter than the requestTimeout when the request is sent
+	let now = Date.now;
+	let offset = 0;
+	Date.now = ()=>now() + (offset += 5);
+	try {
+		let l = sessionLink({}, {request: (data, responseFunc)=>responseFunc(data)});
+		let sent = [];
+		l.connect();
+		await wait();
+		let sendingFunc = l.client.sendingFunc;
+		l.client.sendingFunc = (message)=>{
+			sent.push(message);
+			sendingFunc(message);
+		};
+		assert.strictEqual(await l.client.request('x', {requestTimeout: 5}), 'x');
+		assert.deepStrictEqual(sentTimeouts(sent), [5]);
+		l.close();
+	} finally {
+		Date.now = now;
+	}
+});
+
+test('only requests that waited after their timeout started are sent with the time left', async ()=>{
+	let p = pair({opt: {openOnConstruct: false, outbox: {}}}, {request: (data, responseFunc)=>responseFunc(data)});
+	let prom = p.a.request('waited', {requestTimeout: 5});
+	await wait(100);
+	p.a.open();
+	assert.strictEqual(await prom, 'waited');
+	assert.strictEqual(await p.a.request('direct', {requestTimeout: 5}), 'direct');
+	let timeouts = sentTimeouts(p.sent.a);
+	assert.ok(timeouts[0]<=4.9 && timeouts[0]>4);
+	assert.strictEqual(timeouts[1], 5);
+	p.close();
+
+	// the timeouts start when the request leaves the outbox
+	let q = pair({opt: {openOnConstruct: false, outbox: {timeoutStart: 'send'}}}, {request: (data, responseFunc)=>responseFunc(data)});
+	prom = q.a.request('waited', {requestTimeout: 5});
+	await wait(50);
+	q.a.open();
+	await prom;
+	assert.deepStrictEqual(sentTimeouts(q.sent.a), [5]);
+	q.close();
+});
+
+test('a request resent on resumption of the session gets the time left', async ()=>{
+	let timeouts = [];
+	let l = sessionLink({}, {request: (data, responseFunc, context)=>{
+		timeouts.push(context.timeLeft());
+		responseFunc(data);
+	}});
+	l.connect();
+	await wait();
+	l.drop();
+	let prom = l.client.request('x', {requestTimeout: 5});
+	await wait(100);
+	l.connect();
+	assert.strictEqual(await prom, 'x');
+	assert.ok(timeouts[0]<=4.9);
+	l.close();
+});
+
+test('requests whose deadline passed in the incoming queue are dropped', async ()=>{
+	let calls = [];
+	let p = pair({}, {opt: {maxConcurrentIncoming: 1}, request: (data, responseFunc)=>{
+		calls.push(data);
+		setTimeout(()=>responseFunc(data), 80);
+	}});
+	await wait();
+	let first = p.a.request('slow');
+	let err = await rejects(p.a.request('expires', {requestTimeout: 0.04}));
+	assert.ok(err instanceof wsProcessor.RequestTimeoutError);
+	assert.strictEqual(await first, 'slow');
+	await wait();
+	assert.deepStrictEqual(calls, ['slow']);
+	p.close();
+});
+
+test('a deadline passed on to a nested request shortens its requestTimeout', async ()=>{
+	let p = pair({}, {request: (data, responseFunc)=>setTimeout(()=>responseFunc(data), 100)});
+	await wait();
+	let err = await rejects(p.a.request('nested', {deadline: Date.now()+50}));
+	assert.ok(err instanceof wsProcessor.RequestTimeoutError);
+	err = await rejects(p.a.request('too late', {deadline: Date.now()-1}));
+	assert.strictEqual(err.code, 2);
+	p.close();
+});
@@ -0,0 +1,36 @@
+// user-008: duplicate notes are not processed twice
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+test('a note sent again with the same stamp is acknowledged, but processed once', async ()=>{
+	let got = [];
+	let p = pair({}, {note: (note)=>got.push(note)});
+	await p.a.note('once', {sendAck: true, stamp: 'note-1'});
+	await p.a.note('once', {sendAck: true, stamp: 'note-1'});
+	await p.a.note('other', {sendAck: true, stamp: 'note-2'});
+	assert.deepStrictEqual(got, ['once', 'other']);
+	p.close();
+});
+
+test('the stamps are forgotten after duplicateRetention and beyond duplicateCacheSize', async ()=>{
+	let got = [];
+	let p = pair({}, {note: (note)=>got.push(note), opt: {duplicateRetention: 0.05, duplicateCacheSize: 2}});
+	await p.a.note(1, {sendAck: true, stamp: 's1'});
+	await wait(80);
+	await p.a.note(2, {sendAck: true, stamp: 's1'});
+	await p.a.note(3, {sendAck: true, stamp: 's2'});
+	await p.a.note(4, {sendAck: true, stamp: 's3'});
+	// s1 is the oldest and was dropped from the cache of 2 stamps
+	await p.a.note(5, {sendAck: true, stamp: 's1'});
+	await p.a.note(6, {sendAck: true, stamp: 's3'});
+	assert.deepStrictEqual(got, [1, 2, 3, 4, 5]);
+	p.close();
+});
+
+test('duplicateCacheSize 0 disables the detection', async ()=>{
+	let got = [];
+	let p = pair({}, {note: (note)=>got.push(note), opt: {duplicateCacheSize: 0}});
+	await p.a.note('x', {sendAck: true, stamp: 'same'});
+	await p.a.note('x', {sendAck: true, stamp: 'same'});
+	assert.deepStrictEqual(got, ['x', 'x']);
+	p.close();
+});
@@ -0,0 +1,56 @@
+// user-020: flow control of outgoing notes and requests
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+test('at most maxInFlight requests are on their way', async ()=>{
+	let running = 0;
+	let maxRunning = 0;
+	let p = pair({opt: {flowControl: {maxInFlight: 2}}}, {request: (data, responseFunc)=>{
+		maxRunning = Math.max(maxRunning, ++running);
+		setTimeout(()=>{
+			running--;
+			responseFunc(data);
+		}, 5);
+	}});
+	await wait();
+	let responses = await Promise.all([1, 2, 3, 4, 5].map((i)=>p.a.request(i)));
+	assert.deepStrictEqual(responses, [1, 2, 3, 4, 5]);
+	assert.strictEqual(maxRunning, 2);
+	p.close();
+});
+
+test('the request timeout starts when the request leaves the send queue', async ()=>{
+	let p = pair({opt: {flowControl: {maxInFlight: 1}}}, {request: (data, responseFunc)=>setTimeout(()=>responseFunc(data), 60)});
+	await wait();
+	// the second request waits 60ms in the queue and then takes another 60ms
+	let responses = await Promise.all([p.a.request(1, {requestTimeout: 0.1}), p.a.request(2, {requestTimeout: 0.1})]);
+	assert.deepStrictEqual(responses, [1, 2]);
+	p.close();
+});
+
+test('sendNote returns false while notes wait and drained resolves when the queue is empty', async ()=>{
+	let got = [];
+	let p = pair({opt: {flowControl: {maxInFlight: 1}}}, {note: (note)=>got.push(note)});
+	await wait();
+	assert.strictEqual(p.a.sendNote(1, {sendAck: true}), true);
+	assert.strictEqual(p.a.sendNote(2, {sendAck: true}), false);
+	assert.strictEqual(p.a.sendQueue.length, 1);
+	await p.a.drained();
+	assert.strictEqual(p.a.sendQueue.length, 0);
+	await wait();
+	assert.deepStrictEqual(got, [1, 2]);
+	p.close();
+});
+
+test('messages wait while the websocket buffers more than maxBufferedAmount', async ()=>{
+	let buffered = 5000;
+	let got = [];
+	let p = pair({opt: {flowControl: {maxBufferedAmount: 1000, pollInterval: 0.01}, bufferedAmount: ()=>buffered}}, {note: (note)=>got.push(note)});
+	await wait();
+	p.a.sendNote('waiting');
+	await wait(30);
+	assert.deepStrictEqual(got, []);
+	buffered = 0;
+	await wait(30);
+	assert.deepStrictEqual(got, ['waiting']);
+	p.close();
+});
@@ -0,0 +1,57 @@
+// user-016: fragmentation of large messages
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+test('large messages are split into fragments and reassembled', async ()=>{
+	let p = pair({opt: {maxFrameSize: 100}}, {opt: {maxFrameSize: 100}, request: (data, responseFunc)=>responseFunc(data)});
+	await wait();
+	let large = 'ä'.repeat(1000);
+	assert.strictEqual(await p.a.request(large), large);
+	assert.ok(p.sent.a.every((message)=>(typeof(message)=='string' ? Buffer.byteLength(message) : message.byteLength)<=100));
+	let bytes = new Uint8Array(500).map((v, i)=>i);
+	assert.deepStrictEqual(await p.a.request(bytes), bytes);
+	p.close();
+});
+
+test('a large request right after open arrives with another codec than json', async ()=>{
+	for (let outbox of [false, true]){
+		let opt = {codecs: ['msgpack'], maxFrameSize: 100, openOnConstruct: false, outbox: outbox ? {} : undefined};
+		let p = pair({opt: opt}, {opt: {codecs: ['msgpack'], maxFrameSize: 100}, request: (data, responseFunc)=>responseFunc(data.length)});
+		let large = 'x'.repeat(1000);
+		let prom;
+		if (outbox){
+			prom = p.a.request(large, {requestTimeout: 1});
+			p.a.open();
+		} else {
+			p.a.open();
+			prom = p.a.request(large, {requestTimeout: 1});
+		}
+		assert.strictEqual(await prom, 1000);
+		assert.strictEqual(p.a.codecSend.name, 'msgpack');
+		assert.deepStrictEqual(p.logs.b, []);
+		p.close();
+	}
+});
+
+test('small messages can overtake a message in fragments', async ()=>{
+	let got = [];
+	let p = pair({opt: {maxFrameSize: 100}}, {opt: {maxFrameSize: 100}, note: (note)=>got.push(note.length)});
+	await wait();
+	p.a.sendNote('y'.repeat(1000));
+	p.a.sendNote('z');
+	await wait(50);
+	// the small note was not queued
+	assert.deepStrictEqual(got, [1, 1000]);
+	p.close();
+});
+
+test('incomplete messages are dropped when the reassembly buffer is full', async ()=>{
+	let got = [];
+	let p = pair({opt: {maxFrameSize: 100}}, {opt: {maxReassemblySize: 500}, note: (note)=>got.push(note)});
+	await wait();
+	p.a.sendNote('y'.repeat(1000));
+	p.a.sendNote('small');
+	await wait(50);
+	assert.deepStrictEqual(got, ['small']);
+	assert.ok(p.logs.b.some((msg)=>msg.includes('reassembly buffer')));
+	p.close();
+});
@@ -0,0 +1,45 @@
+// user-017: hello/welcome handshake with version, features and metadata
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+// a wsProcessor that records the arguments of its closingFunc
+const closingProcessor = (opt={})=>{
+	let closed = [];
+	let proc = new wsProcessor(()=>{}, (code, reason)=>closed.push([code, reason]), ()=>{}, undefined, ()=>{}, opt);
+	return {proc, closed};
+};
+
+test('both sides know each other after open', async ()=>{
+	let p = pair({opt: {name: 'client', meta: {build: 7}}}, {opt: {name: 'server', protocol: 'wsp2'}});
+	await wait();
+	assert.strictEqual(p.b.peer.name, 'client');
+	assert.deepStrictEqual(p.b.peer.meta, {build: 7});
+	assert.strictEqual(p.b.peer.version, wsProcessor.protocolVersion);
+	assert.ok(p.b.peer.features.includes('stream'));
+	assert.strictEqual(p.a.peer.name, 'server');
+	p.close();
+});
+
+test('incompatible versions and rejected peers close the connection with a close code', async ()=>{
+	let {proc, closed} = closingProcessor();
+	proc.onMessage(JSON.stringify({type: 'hello', version: '1.0'}));
+	assert.strictEqual(closed[0][0], wsProcessor.closeCodes.incompatibleVersion);
+	assert.ok(proc.closing);
+
+	let q = closingProcessor({onPeer: (peer)=>peer.name=='intruder' ? 'unknown peer' : undefined});
+	q.proc.onMessage(JSON.stringify({type: 'hello', version: wsProcessor.protocolVersion, name: 'intruder'}));
+	assert.deepStrictEqual(q.closed, [[wsProcessor.closeCodes.peerRejected, 'unknown peer']]);
+});
+
+test('the close code and reason of a rejecting welcome are checked before they are given to the closingFunc', async ()=>{
+	let {proc, closed} = closingProcessor();
+	proc.onMessage(JSON.stringify({type: 'welcome', error: 'ä'.repeat(100) + '\n', closeCode: 1005}));
+	let [code, reason] = closed[0];
+	assert.strictEqual(code, wsProcessor.closeCodes.peerRejected);
+	assert.ok(Buffer.byteLength(reason)<=123);
+	assert.ok(reason.startsWith('ää') && reason.endsWith('...'));
+
+	let q = closingProcessor();
+	q.proc.onMessage(JSON.stringify({type: 'welcome', error: {nested: true}, closeCode: wsProcessor.closeCodes.incompatibleVersion}));
+	assert.deepStrictEqual(q.closed, [[wsProcessor.closeCodes.incompatibleVersion, '[object Object]']]);
+	assert.strictEqual(wsProcessor.closeReason('line\nbreak'), 'line break');
+});
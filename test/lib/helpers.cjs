@@ -0,0 +1,151 @@
+// helpers for the behaviour tests
+const assert = require('assert');
+const wsProcessor = require('../../wsProcessor.cjs');
+
+/**
+ * pair: two wsProcessors a and b connected in memory; messages are delivered asynchronously (like with a websocket) while the link is up
+ * @param {object} aArgs Optional; {note, request, opt} of a (note and request: incomingNoteFunc and incomingRequestFunc)
+ * @param {object} bArgs Optional; the same for b
+ * @returns {object} {a, b, logs: {a, b} (the log entries with level<=1), sent: {a, b} (the messages given to the sendingFuncs), link: {up}, close()}
+ */
+function pair(aArgs={}, bArgs={}){
+	let link = {up: true};
+	let logs = {a: [], b: []};
+	let sent = {a: [], b: []};
+	let p = {link: link, logs: logs, sent: sent};
+	let create = (args, name, other)=>{
+		let sendingFunc = (message)=>{
+			sent[name].push(message);
+			if (link.up){
+				setImmediate(()=>{
+					if (link.up && !p[other].closing){
+						p[other].onMessage(message);
+					}
+				});
+			}
+		};
+		let closingFunc = ()=>{
+			link.up = false;
+			setImmediate(()=>{
+				p.a.close();
+				p.b.close();
+			});
+		};
+		let logger = (level, msg)=>{
+			if (level<=1){
+				logs[name].push(msg);
+			}
+		};
+		return new wsProcessor(sendingFunc, closingFunc, args.note || (()=>{}), args.request, logger, args.opt || {});
+	};
+	p.a = create(aArgs, 'a', 'b');
+	p.b = create(bArgs, 'b', 'a');
+	p.close = ()=>{
+		link.up = false;
+		p.a.close();
+		p.b.close();
+	};
+	return p;
+}
+
+/**
+ * sessionLink: a session client and the server side, where every connect() creates a new server wsProcessor (like a new websocket connection on a server) and drop() interrupts the connection
+ * @param {object} clientArgs Optional; {note, request, opt} of the client (opt.session is added)
+ * @param {object} serverArgs Optional; the same for every server wsProcessor
+ * @returns {object} {client, server (the current server wsProcessor), store (the session store), logs: {client, server}, connect(), drop(), close()}
+ */
+function sessionLink(clientArgs={}, serverArgs={}){
+	let l = {store: new Map(), logs: {client: [], server: []}};
+	let socket = {up: false};
+	let logger = (name)=>(level, msg)=>{
+		if (level<=1){
+			l.logs[name].push(msg);
+		}
+	};
+	let deliver = (sock, getReceiver)=>(message)=>{
+		if (sock.up){
+			setImmediate(()=>{
+				if (sock.up){
+					getReceiver().onMessage(message);
+				}
+			});
+		}
+	};
+	let clientOpt = Object.assign({openOnConstruct: false, session: {role: 'client'}}, clientArgs.opt);
+	l.client = new wsProcessor(()=>{}, ()=>{}, clientArgs.note || (()=>{}), clientArgs.request, logger('client'), clientOpt);
+	l.connect = ()=>{
+		let sock = {up: true};
+		socket = sock;
+		let serverOpt = Object.assign({}, serverArgs.opt);
+		serverOpt.session = Object.assign({role: 'server', store: l.store}, serverOpt.session);
+		let server = new wsProcessor(deliver(sock, ()=>l.client), ()=>{}, serverArgs.note || (()=>{}), serverArgs.request, logger('server'), serverOpt);
+		let toServer = deliver(sock, ()=>server);
+		l.client.sendingFunc = toServer;
+		l.server = server;
+		l.client.open();
+		return server;
+	};
+	l.drop = ()=>{
+		socket.up = false;
+		l.client.close();
+		l.server.close();
+	};
+	l.close = ()=>{
+		l.drop();
+		for (let proc of [l.client, ...l.store.values()]){
+			if (proc.session.id){
+				proc.endSession();
+			}
+		}
+	};
+	return l;
+}
+
+/**
+ * wait: a Promise resolving after ms milliseconds
+ */
+function wait(ms=10){
+	return new Promise((resolve)=>setTimeout(resolve, ms));
+}
+
+/**
+ * rejects: await a Promise that must be rejected; returns the error
+ */
+async function rejects(promise){
+	try {
+		await promise;
+	} catch (err){
+		return err;
+	}
+	assert.fail('The Promise was not rejected.');
+}
+
+let cases = [];
+
+/**
+ * test: register a test case; the cases of a file run one after the other once the file is loaded. The process exits with 1 if a case failed.
+ * @param {string} name
+ * @param {function} fn async ()=>{}
+ */
+function test(name, fn){
+	cases.push({name: name, fn: fn});
+	if (cases.length==1){
+		setImmediate(async ()=>{
+			let failed = 0;
+			for (let c of cases){
+				try {
+					await c.fn();
+					console.log(`ok - ${c.name}`);
+				} catch (err){
+					failed++;
+					console.log(`not ok - ${c.name}`);
+					console.log(err && err.stack ? err.stack : err);
+				}
+			}
+			// the processors of failed cases may still have timers running
+			process.exit(failed>0 ? 1 : 0);
+		});
+	}
+}
+
+module.exports = {wsProcessor, assert, pair, sessionLink, wait, rejects, test};
@@ -0,0 +1,59 @@
+// round trip checks of the hand-written MessagePack codec; run with "npm test"
+const assert = require('assert');
+const {msgpackCodec} = require('../wsProcessor.cjs');
+
+const codec = new msgpackCodec();
+const hex = (bytes)=>Buffer.from(bytes).toString('hex');
+const roundTrip = (mess)=>codec.decode(codec.encode(mess));
+
+// values that JSON can represent must arrive like after JSON.stringify/JSON.parse
+const values = [
+	0, 1, 127, 128, 255, 256, 65535, 65536, 0xffffffff, 0x100000000, Number.MAX_SAFE_INTEGER,
+	-1, -32, -33, -128, -129, -32768, -32769, -0x80000000, -0x80000001, Number.MIN_SAFE_INTEGER,
+	0.5, -1.25, 1e300,
+	'', 'a', 'ä€😀', 'x'.repeat(31), 'x'.repeat(32), 'x'.repeat(255), 'x'.repeat(256), 'x'.repeat(65535), 'x'.repeat(65536),
+	true, false, null,
+	[], [1, 'a', null, [2, {b: 3}]], new Array(16).fill(7), new Array(65536).fill(0),
+	{}, {a: 1, b: {c: [true, false]}, d: undefined, e: ()=>{}}, Object.fromEntries(Array.from({length: 16}, (v, i)=>[`k${i}`, i])),
+	new Date(0),
+];
+for (let value of values){
+	let mess = {type: 'note', data: value};
+	assert.deepStrictEqual(roundTrip(mess), JSON.parse(JSON.stringify(mess)), `round trip of ${JSON.stringify(value).slice(0, 50)}`);
+}
+
+// binary data is kept as bin, both nested and as the data of the message
+let bytes = new Uint8Array([0, 1, 2, 253, 254, 255]);
+assert.deepStrictEqual(roundTrip({type: 'note', data: {file: bytes}}).data.file, bytes);
+assert.deepStrictEqual(roundTrip({type: 'note', data: new Uint8Array(70000).fill(9)}).data, new Uint8Array(70000).fill(9));
+let floats = roundTrip({type: 'note', data: new Float64Array([1.5, -2])}).data;
+assert.ok(floats instanceof Float64Array);
+assert.deepStrictEqual(Array.from(floats), [1.5, -2]);
+
+// 64 bit integers: numbers if they are safe, BigInt otherwise
+assert.strictEqual(roundTrip({data: 2n**53n}).data, 2n**53n);
+assert.strictEqual(roundTrip({data: -(2n**63n)}).data, -(2n**63n));
+assert.strictEqual(roundTrip({data: 5n}).data, 5);
+
+// encoding according to the MessagePack specification
+assert.strictEqual(hex(codec.encode({a: 1})), '81a16101');
+assert.strictEqual(hex(codec.encode([-1, 200, -200, 1.5])), '94ffccc8d1ff38cb3ff8000000000000');
+assert.strictEqual(hex(codec.encode({a: 'x'.repeat(32)})).slice(0, 10), '81a161d920');
+
+// messages from other implementations: float 32, str 8 with a short string
+assert.deepStrictEqual(codec.decode(Uint8Array.from(Buffer.from('82a161ca3fc00000a162d90178', 'hex'))), {a: 1.5, b: 'x'});
+
+// a key "__proto__" must not change the prototype
+let polluted = codec.decode(Uint8Array.from(Buffer.from('81a95f5f70726f746f5f5f81a7697341646d696ec3', 'hex')));
+assert.strictEqual(Object.getPrototypeOf(polluted), Object.prototype);
+assert.strictEqual(polluted.isAdmin, undefined);
+assert.deepStrictEqual(Object.keys(polluted), ['__proto__']);
+assert.deepStrictEqual(polluted['__proto__'], {isAdmin: true});
+assert.strictEqual({}.isAdmin, undefined);
+
+// broken messages
+assert.throws(()=>codec.decode(Uint8Array.from([0x92, 0x01])), /Unexpected end/);
+assert.throws(()=>codec.decode(Uint8Array.from([0x01, 0x02])), /bytes left/);
+assert.throws(()=>codec.decode(Uint8Array.from([0xc1])), /Unsupported/);
+
+console.log('msgpackCodec: all checks passed');
@@ -0,0 +1,64 @@
+// user-019: ordered delivery of notes
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+// drop the n-th message the sendingFunc of proc gets (counted from now) that contains the text
+const dropOnce = (proc, text, n=1)=>{
+	let sendingFunc = proc.sendingFunc;
+	proc.sendingFunc = (message)=>{
+		if (String(message).includes(text) && --n==0){
+			return;
+		}
+		sendingFunc(message);
+	};
+};
+
+test('a lost ordered note is resent and the notes are delivered in order', async ()=>{
+	let got = [];
+	let p = pair({}, {opt: {ordering: {gapTimeout: 0.02}}, note: (note)=>got.push(note)});
+	await wait();
+	dropOnce(p.a, '"seq"', 2);
+	for (let i=1; i<=3; i++){
+		p.a.sendNote(i, {ordered: true});
+	}
+	await wait();
+	assert.deepStrictEqual(got, [1]);
+	await wait(60);
+	assert.deepStrictEqual(got, [1, 2, 3]);
+	p.close();
+});
+
+test('notes that cannot be resent are skipped and reported to onGap', async ()=>{
+	let got = [];
+	let gaps = [];
+	let p = pair({opt: {ordering: {historySize: 0}}}, {opt: {ordering: {gapTimeout: 0.02, onGap: (...args)=>gaps.push(args)}}, note: (note)=>got.push(note)});
+	await wait();
+	dropOnce(p.a, '"seq"', 2);
+	for (let i=1; i<=3; i++){
+		p.a.sendNote(i, {ordered: 'positions'});
+	}
+	await wait(100);
+	assert.deepStrictEqual(got, [1, 3]);
+	assert.deepStrictEqual(gaps, [['positions', 2, 2]]);
+	p.close();
+});
+
+test('resend requests only go through the kept notes; invalid ranges are rejected', async ()=>{
+	let p = pair({}, {});
+	await wait();
+	for (let i=1; i<=3; i++){
+		p.a.sendNote(i, {ordered: true});
+	}
+	await wait();
+	let sent = p.sent.a.length;
+	let start = Date.now();
+	p.a.onMessage(JSON.stringify({type: 'resend', channel: 'default', from: -1e15, to: 1e15}));
+	assert.ok(Date.now()-start<100);
+	assert.strictEqual(p.sent.a.length, sent+3);
+
+	for (let [from, to] of [[3, 1], [1.5, 2], ['1', 2], [1, null]]){
+		p.a.onMessage(JSON.stringify({type: 'resend', channel: 'default', from: from, to: to}));
+	}
+	assert.strictEqual(p.sent.a.length, sent+3+4);
+	assert.strictEqual(p.logs.a.filter((msg)=>msg.startsWith('Invalid resend')).length, 4);
+	p.close();
+});
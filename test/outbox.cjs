@@ -0,0 +1,54 @@
+// user-010: outbox for messages sent while the connection is not open
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+test('notes and requests sent before open are sent in order on open', async ()=>{
+	let got = [];
+	let p = pair({opt: {openOnConstruct: false, outbox: {}}}, {note: (note)=>got.push(note), request: (data, responseFunc)=>{
+		got.push(data);
+		responseFunc(data*2);
+	}});
+	p.a.sendNote('first');
+	let prom = p.a.request(2);
+	p.a.sendNote('last');
+	await wait();
+	assert.deepStrictEqual(got, []);
+	assert.strictEqual(p.a.outbox.length, 3);
+	p.a.open();
+	assert.strictEqual(await prom, 4);
+	await wait();
+	assert.deepStrictEqual(got, ['first', 2, 'last']);
+	assert.strictEqual(p.a.outbox.length, 0);
+	p.close();
+});
+
+test('a full outbox drops the oldest message or rejects the new one', async ()=>{
+	let p = pair({opt: {openOnConstruct: false, outbox: {maxSize: 1}}}, {request: (data, responseFunc)=>responseFunc(data)});
+	let first = p.a.request('first');
+	let second = p.a.request('second');
+	let err = await rejects(first);
+	assert.ok(err instanceof wsProcessor.ConnectionClosedError);
+	p.a.open();
+	assert.strictEqual(await second, 'second');
+	p.close();
+
+	let q = pair({opt: {openOnConstruct: false, outbox: {maxSize: 1, overflow: 'reject'}}}, {});
+	q.a.sendNote(1);
+	assert.throws(()=>q.a.sendNote(2), wsProcessor.OutboxFullError);
+	q.close();
+});
+
+test('messages expire in the outbox', async ()=>{
+	let p = pair({opt: {openOnConstruct: false, outbox: {expiry: 0.03}}}, {});
+	let err = await rejects(p.a.request('x'));
+	assert.ok(err instanceof wsProcessor.ConnectionClosedError);
+	assert.strictEqual(p.a.outbox.length, 0);
+	p.close();
+});
+
+test('without outbox, notes are given to the sendingFunc directly', async ()=>{
+	let p = pair({opt: {openOnConstruct: false}}, {});
+	p.a.sendNote('direct');
+	assert.strictEqual(p.a.outbox.length, 0);
+	assert.strictEqual(p.sent.a.length, 1);
+	p.close();
+});
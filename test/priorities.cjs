@@ -0,0 +1,63 @@
+// user-021: priorities of notes and requests
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+test('with priorityQueue, notes and requests are sent by priority without flow control or outbox', async ()=>{
+	let got = [];
+	let p = pair({opt: {priorityQueue: true}}, {note: (note)=>got.push(note), request: (data, responseFunc, context)=>{
+		got.push(data);
+		responseFunc(context.priority);
+	}});
+	await wait();
+	for (let i=0; i<3; i++){
+		assert.strictEqual(p.a.sendNote(`bulk ${i}`, {priority: wsProcessor.priorities.low}), false);
+	}
+	p.a.sendNote('normal');
+	let prom = p.a.request('urgent', {priority: wsProcessor.priorities.high});
+	await p.a.drained();
+	assert.strictEqual(await prom, wsProcessor.priorities.high);
+	assert.deepStrictEqual(got, ['urgent', 'normal', 'bulk 0', 'bulk 1', 'bulk 2']);
+	p.close();
+});
+
+test('without priorityQueue, notes are sent in the order of the calls', async ()=>{
+	let got = [];
+	let p = pair({}, {note: (note)=>got.push(note)});
+	await wait();
+	assert.strictEqual(p.a.sendNote('low', {priority: wsProcessor.priorities.low}), true);
+	p.a.sendNote('high', {priority: wsProcessor.priorities.high});
+	await wait();
+	assert.deepStrictEqual(got, ['low', 'high']);
+	p.close();
+});
+
+test('heartbeats are not stuck behind bulk notes', async ()=>{
+	let p = pair({opt: {priorityQueue: {bytesPerTick: 1000}, heartbeatMinInterval: 0.01, heartbeatRttIntervalMultiplicator: 0.01}}, {});
+	await wait();
+	let bulk = 'x'.repeat(500);
+	let before = p.sent.a.length;
+	for (let i=0; i<200; i++){
+		p.a.sendNote(bulk, {priority: wsProcessor.priorities.low});
+	}
+	// nothing is sent in the call stack of sendNote
+	assert.strictEqual(p.sent.a.length, before);
+	await p.a.drained();
+	// pings were sent between the portions
+	let sent = p.sent.a.slice(before).map((message)=>String(message).includes('"ping"') ? 'ping' : 'note');
+	let firstPing = sent.indexOf('ping', sent.indexOf('note'));
+	assert.ok(firstPing>0 && firstPing<sent.lastIndexOf('note'));
+	p.close();
+});
+
+test('the send queue waits while the websocket buffers more than maxBufferedAmount', async ()=>{
+	let buffered = 100000;
+	let got = [];
+	let p = pair({opt: {priorityQueue: {pollInterval: 0.01}, bufferedAmount: ()=>buffered}}, {note: (note)=>got.push(note)});
+	await wait();
+	p.a.sendNote('waiting');
+	await wait(30);
+	assert.deepStrictEqual(got, []);
+	buffered = 0;
+	await wait(30);
+	assert.deepStrictEqual(got, ['waiting']);
+	p.close();
+});
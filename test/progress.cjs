@@ -0,0 +1,50 @@
+// user-005: progress updates of long running requests
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+test('with autoRespond, returning undefined does not respond before the progress updates', async ()=>{
+	let p = pair({}, {opt: {autoRespond: true}, request: (data, responseFunc, context)=>{
+		setTimeout(()=>{
+			context.progress(0.5, 'half');
+			responseFunc('finished');
+		}, 5);
+	}});
+	let updates = [];
+	let response = await p.a.request('x', {onProgress: (value, message)=>updates.push([value, message])});
+	assert.deepStrictEqual(updates, [[0.5, 'half']]);
+	assert.strictEqual(response, 'finished');
+
+	// without onProgress, undefined is the response (null)
+	p.b.incomingRequestFunc = ()=>{};
+	assert.strictEqual(await p.a.request('x'), null);
+	p.close();
+});
+
+test('progress updates are given to onProgress in order', async ()=>{
+	let p = pair({}, {request: (data, responseFunc, context)=>{
+		context.progress(0.1);
+		context.progress(0.6, 'more than half');
+		responseFunc('ok');
+	}});
+	let updates = [];
+	assert.strictEqual(await p.a.request('x', {onProgress: (value, message)=>updates.push([value, message])}), 'ok');
+	assert.deepStrictEqual(updates, [[0.1, undefined], [0.6, 'more than half']]);
+	p.close();
+});
+
+test('progressExtendsTimeout restarts the requestTimeout on every update', async ()=>{
+	let p = pair({}, {request: (data, responseFunc, context)=>{
+		let n = 0;
+		let handle = setInterval(()=>{
+			context.progress(++n/5);
+			if (n==5){
+				clearInterval(handle);
+				responseFunc('slow but alive');
+			}
+		}, 30);
+	}});
+	// 150ms in total, but never more than 30ms without progress
+	assert.strictEqual(await p.a.request('x', {requestTimeout: 0.08, progressExtendsTimeout: true}), 'slow but alive');
+	let err = await rejects(p.a.request('x', {requestTimeout: 0.08}));
+	assert.ok(err instanceof wsProcessor.RequestTimeoutError);
+	p.close();
+});
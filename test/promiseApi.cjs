@@ -0,0 +1,58 @@
+// user-001: Promise based request and note with typed errors
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+test('request resolves with the response', async ()=>{
+	let p = pair({}, {request: (data, responseFunc)=>responseFunc(data*2)});
+	assert.strictEqual(await p.a.request(21), 42);
+	p.close();
+});
+
+test('request with ack resolves the ack and the response', async ()=>{
+	let p = pair({}, {request: (data, responseFunc)=>responseFunc('done')});
+	let prom = p.a.request('x', {sendAck: true});
+	await prom.ack;
+	assert.strictEqual(await prom, 'done');
+	p.close();
+});
+
+test('a failure response rejects with RemoteError', async ()=>{
+	let p = pair({}, {request: (data, responseFunc)=>responseFunc({message: 'no way', reason: 7}, 409)});
+	let err = await rejects(p.a.request('x'));
+	assert.ok(err instanceof wsProcessor.RemoteError);
+	assert.ok(err instanceof wsProcessor.WsProcessorError);
+	assert.strictEqual(err.failureCode, 409);
+	assert.strictEqual(err.message, 'no way');
+	assert.deepStrictEqual(err.data, {message: 'no way', reason: 7});
+	p.close();
+});
+
+test('a request without response rejects with RequestTimeoutError', async ()=>{
+	let p = pair({}, {request: ()=>{}});
+	let err = await rejects(p.a.request('x', {requestTimeout: 0.05}));
+	assert.ok(err instanceof wsProcessor.RequestTimeoutError);
+	assert.strictEqual(err.code, 2);
+	p.close();
+});
+
+test('closing the connection rejects with ConnectionClosedError', async ()=>{
+	let p = pair({}, {request: ()=>{}});
+	let prom = p.a.request('x');
+	await wait();
+	p.close();
+	let err = await rejects(prom);
+	assert.ok(err instanceof wsProcessor.ConnectionClosedError);
+	assert.ok(err.code>=1 && err.code<2);
+});
+
+test('note resolves with the ack and rejects with AckTimeoutError', async ()=>{
+	let notes = [];
+	let p = pair({}, {note: (note)=>notes.push(note)});
+	await p.a.note('hello', {sendAck: true});
+	assert.deepStrictEqual(notes, ['hello']);
+
+	// the other side does not answer anymore
+	p.link.up = false;
+	let err = await rejects(p.a.note('lost', {sendAck: true, ackTimeout: 0.05}));
+	assert.ok(err instanceof wsProcessor.AckTimeoutError);
+	p.close();
+});
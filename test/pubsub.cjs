@@ -0,0 +1,63 @@
+// user-007: publish/subscribe
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+test('published notes reach the matching subscriptions only', async ()=>{
+	let got = [];
+	let p = pair({}, {});
+	p.a.subscribe('sensors/+/temperature', (value, context)=>got.push(['+', context.topic, value]));
+	p.a.subscribe('alarm/#', (value, context)=>got.push(['#', context.topic, value]));
+	await wait();
+	assert.strictEqual(p.b.publish('sensors/kitchen/temperature', 21), true);
+	assert.strictEqual(p.b.publish('sensors/kitchen/humidity', 50), false);
+	assert.strictEqual(p.b.publish('alarm/fire/floor1', 'run'), true);
+	await wait();
+	assert.deepStrictEqual(got, [['+', 'sensors/kitchen/temperature', 21], ['#', 'alarm/fire/floor1', 'run']]);
+
+	assert.strictEqual(p.a.unsubscribe('alarm/#'), true);
+	await wait();
+	assert.strictEqual(p.b.publish('alarm/fire/floor1', 'run'), false);
+	p.close();
+});
+
+test('the subscriptions are announced again to the new peer after a reconnect without session', async ()=>{
+	let got = [];
+	let b;
+	let a = new wsProcessor((message)=>setImmediate(()=>!b.closing && b.onMessage(message)), ()=>{}, ()=>{}, undefined, ()=>{}, {openOnConstruct: false});
+	let connect = ()=>{
+		// every connection gets a new wsProcessor on the other side (like on a server)
+		b = new wsProcessor((message)=>setImmediate(()=>!a.closing && a.onMessage(message)), ()=>{}, ()=>{}, undefined, ()=>{});
+		a.open();
+	};
+	connect();
+	a.subscribe('news', (value)=>got.push(value));
+	await wait();
+	assert.strictEqual(b.publish('news', 1), true);
+	await wait();
+
+	// the connection drops; a subscription made while closed is announced on open as well
+	a.close();
+	b.close();
+	a.subscribe('weather', (value)=>got.push(value));
+	connect();
+	await wait();
+	assert.deepStrictEqual(Array.from(b.remoteSubscriptions).sort(), ['news', 'weather']);
+	assert.strictEqual(b.publish('news', 2), true);
+	assert.strictEqual(b.publish('weather', 3), true);
+	await wait();
+	assert.deepStrictEqual(got, [1, 2, 3]);
+	a.close();
+	b.close();
+});
+
+test('a new hello of the other side deletes its old subscriptions', async ()=>{
+	let p = pair({}, {});
+	p.a.subscribe('news', ()=>{});
+	await wait();
+	assert.strictEqual(p.b.publish('news', 1), true);
+	// the other side reconnects and forgot its subscription
+	p.a.subscriptions.clear();
+	p.a.open();
+	await wait();
+	assert.strictEqual(p.b.publish('news', 2), false);
+	p.close();
+});
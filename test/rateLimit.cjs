@@ -0,0 +1,41 @@
+// user-022: rate limits of incoming requests and notes
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+test('requests over the limit fail with rateLimited and retryAfter', async ()=>{
+	let p = pair({}, {opt: {rateLimit: {requests: {rate: 10, burst: 2}}}, request: (data, responseFunc)=>responseFunc(data)});
+	await wait();
+	let results = await Promise.allSettled([1, 2, 3].map((i)=>p.a.request(i)));
+	assert.deepStrictEqual(results.slice(0, 2).map((result)=>result.value), [1, 2]);
+	let err = results[2].reason;
+	assert.ok(err instanceof wsProcessor.RemoteError);
+	assert.strictEqual(err.failureCode, wsProcessor.failureCodes.rateLimited);
+	assert.ok(err.data.retryAfter>0 && err.data.retryAfter<=0.1);
+	assert.strictEqual(p.b.rateLimitStats.requests, 1);
+	await wait(err.data.retryAfter*1000);
+	assert.strictEqual(await p.a.request(4), 4);
+	p.close();
+});
+
+test('notes over the limit are dropped and nacked; methods have their own limits', async ()=>{
+	let got = [];
+	let p = pair({}, {opt: {rateLimit: {notes: {rate: 1, burst: 2}, methods: {chat: {rate: 1, burst: 1}}}}, note: (note)=>got.push(note)});
+	await wait();
+	p.a.sendNote('chat 1', {method: 'chat'});
+	p.a.sendNote('chat 2', {method: 'chat'});
+	p.a.sendNote('other');
+	let err = await rejects(p.a.note('too many', {sendAck: true}));
+	assert.strictEqual(err.failureCode, wsProcessor.failureCodes.rateLimited);
+	assert.deepStrictEqual(got, ['chat 1', 'other']);
+	assert.strictEqual(p.b.rateLimitStats.notes, 2);
+	p.close();
+});
+
+test('repeat offenders are disconnected with closeCodes.rateLimited', async ()=>{
+	let closed = [];
+	let b = new wsProcessor(()=>{}, (code, reason)=>closed.push(code), ()=>{}, undefined, ()=>{}, {rateLimit: {notes: {rate: 1, burst: 1}, closeAfter: {violations: 2}}});
+	for (let i=0; i<5; i++){
+		b.onMessage(JSON.stringify({type: 'note', stamp: `s${i}`, data: i}));
+	}
+	assert.deepStrictEqual(closed, [wsProcessor.closeCodes.rateLimited]);
+	assert.ok(b.closing);
+});
@@ -0,0 +1,63 @@
+// user-009: retries with backoff
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+test('a timed out request is retried with the same stamp; the responding party does not process it twice', async ()=>{
+	let calls = 0;
+	let p = pair({}, {request: (data, responseFunc)=>{
+		calls++;
+		// slower than the requestTimeout; the response arrives during the second attempt
+		setTimeout(()=>responseFunc('late'), 80);
+	}});
+	let attempts = [];
+	let response = await p.a.request('x', {requestTimeout: 0.05, retry: {base: 0.01, jitter: 0, onAttempt: (attempt, errCode)=>attempts.push([attempt, errCode])}});
+	assert.strictEqual(response, 'late');
+	assert.strictEqual(calls, 1);
+	assert.deepStrictEqual(attempts, [[1, 2]]);
+	p.close();
+});
+
+test('after the last attempt the final failure is reported', async ()=>{
+	let requests = 0;
+	let p = pair({}, {request: ()=>{}});
+	let send = p.a.sendingFunc;
+	p.a.sendingFunc = (message)=>{
+		if (typeof(message)=='string' && JSON.parse(message).type=='request'){
+			requests++;
+		}
+		send(message);
+	};
+	let err = await rejects(p.a.request('x', {requestTimeout: 0.03, retry: {attempts: 3, base: 0.01, jitter: 0}}));
+	assert.ok(err instanceof wsProcessor.RequestTimeoutError);
+	assert.strictEqual(requests, 3);
+	p.close();
+});
+
+test('remote failures are not retried by default', async ()=>{
+	let calls = 0;
+	let p = pair({}, {request: (data, responseFunc)=>{
+		calls++;
+		responseFunc('no', 409);
+	}});
+	let err = await rejects(p.a.request('x', {retry: {base: 0.01}}));
+	assert.strictEqual(err.failureCode, 409);
+	assert.strictEqual(calls, 1);
+	p.close();
+});
+
+test('a note without ack is sent again until the ack arrives', async ()=>{
+	let got = [];
+	let p = pair({}, {note: (note)=>got.push(note)});
+	// the first attempt is lost
+	p.link.up = false;
+	let prom = p.a.note('important', {sendAck: true, ackTimeout: 0.05, retry: {base: 0.01, jitter: 0}});
+	await wait(20);
+	p.link.up = true;
+	await prom;
+	assert.deepStrictEqual(got, ['important']);
+	p.close();
+});
+
+test('the delays grow with the factor up to maxDelay', async ()=>{
+	let delays = [1, 2, 3, 4].map((attempt)=>wsProcessor.backoffDelay({base: 1, factor: 2, maxDelay: 5, jitter: 0}, attempt));
+	assert.deepStrictEqual(delays, [1, 2, 4, 5]);
+});
@@ -0,0 +1,44 @@
+// user-006: method based request router
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+test('requests go to the handler of their method', async ()=>{
+	let p = pair({}, {opt: {autoRespond: true}});
+	p.b.handle('add', (data, responseFunc)=>responseFunc(data.x + data.y));
+	p.b.handle('echo', async (data)=>data);
+	assert.strictEqual(await p.a.request({x: 1, y: 2}, {method: 'add'}), 3);
+	assert.strictEqual(await p.a.request('hi', {method: 'echo'}), 'hi');
+	p.close();
+});
+
+test('unknown methods fail with methodNotFound', async ()=>{
+	let p = pair({}, {});
+	p.b.handle('add', (data, responseFunc)=>responseFunc(0));
+	let err = await rejects(p.a.request(1, {method: 'subtract'}));
+	assert.ok(err instanceof wsProcessor.RemoteError);
+	assert.strictEqual(err.failureCode, wsProcessor.failureCodes.methodNotFound);
+
+	assert.strictEqual(p.b.removeHandler('add'), true);
+	err = await rejects(p.a.request(1, {method: 'add'}));
+	assert.strictEqual(err.failureCode, wsProcessor.failureCodes.methodNotFound);
+	p.close();
+});
+
+test('requests without handler go to incomingRequestFunc', async ()=>{
+	let p = pair({}, {request: (data, responseFunc, context)=>responseFunc(`fallback ${context.method}`)});
+	p.b.handle('known', (data, responseFunc)=>responseFunc('known'));
+	assert.strictEqual(await p.a.request(1, {method: 'known'}), 'known');
+	assert.strictEqual(await p.a.request(1, {method: 'other'}), 'fallback other');
+	p.close();
+});
+
+test('notes go to the note handler of their method', async ()=>{
+	let got = [];
+	let p = pair({}, {note: (note, context)=>got.push(['fallback', note, context.method])});
+	p.b.onNote('chat', (note, context)=>got.push(['chat', note, context.method]));
+	await p.a.note('hello', {method: 'chat', sendAck: true});
+	await p.a.note('other', {method: 'unknown', sendAck: true});
+	p.b.removeNoteHandler('chat');
+	await p.a.note('again', {method: 'chat', sendAck: true});
+	assert.deepStrictEqual(got, [['chat', 'hello', 'chat'], ['fallback', 'other', 'unknown'], ['fallback', 'again', 'chat']]);
+	p.close();
+});
@@ -0,0 +1,15 @@
+// runs every test file in this directory (one process per file); exits with 1 if a file failed
+const fs = require('fs');
+const path = require('path');
+const {spawnSync} = require('child_process');
+
+let files = fs.readdirSync(__dirname).filter((file)=>file.endsWith('.cjs') && file!='run.cjs').sort();
+let failed = [];
+for (let file of files){
+	let result = spawnSync(process.execPath, [path.join(__dirname, file)], {stdio: 'inherit', timeout: 60000});
+	if (result.status!==0){
+		failed.push(file);
+	}
+}
+console.log(failed.length==0 ? `${files.length} test files passed` : `Failed: ${failed.join(', ')}`);
+process.exit(failed.length==0 ? 0 : 1);
@@ -0,0 +1,64 @@
+// user-011: sessions resumed with a new connection
+const {wsProcessor, assert, sessionLink, wait, rejects, test} = require('./lib/helpers.cjs');
+
+test('a request sent while the connection is down is answered after the resumption', async ()=>{
+	let calls = 0;
+	let l = sessionLink({}, {request: (data, responseFunc)=>{
+		calls++;
+		responseFunc(data + 1);
+	}});
+	let first = l.connect();
+	assert.strictEqual(await l.client.request(1), 2);
+	l.drop();
+	let prom = l.client.request(10);
+	await wait(20);
+	l.connect();
+	assert.strictEqual(await prom, 11);
+	assert.strictEqual(l.server.delegate, first);
+	assert.strictEqual(calls, 2);
+	l.close();
+});
+
+test('a response lost with the connection is resent on resumption', async ()=>{
+	let respond;
+	let l = sessionLink({}, {request: (data, responseFunc)=>{
+		respond = responseFunc;
+	}});
+	l.connect();
+	let prom = l.client.request('x');
+	await wait(20);
+	l.drop();
+	// the response goes to the session buffer of the server
+	respond('kept');
+	await wait(20);
+	l.connect();
+	assert.strictEqual(await prom, 'kept');
+	l.close();
+});
+
+test('notes are delivered exactly once across a resumption', async ()=>{
+	let got = [];
+	let l = sessionLink({}, {note: (note)=>got.push(note)});
+	l.connect();
+	l.client.sendNote(1);
+	await wait(20);
+	l.drop();
+	l.client.sendNote(2);
+	l.connect();
+	l.client.sendNote(3);
+	await wait(30);
+	assert.deepStrictEqual(got, [1, 2, 3]);
+	l.close();
+});
+
+test('pending requests fail after the resumeGracePeriod', async ()=>{
+	let l = sessionLink({opt: {session: {role: 'client', resumeGracePeriod: 0.05}}}, {request: ()=>{}});
+	l.connect();
+	let prom = l.client.request('x');
+	await wait(20);
+	l.drop();
+	let err = await rejects(prom);
+	assert.ok(err instanceof wsProcessor.ConnectionClosedError);
+	assert.strictEqual(l.client.session.id, undefined);
+	l.close();
+});
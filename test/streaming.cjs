@@ -0,0 +1,79 @@
+// user-004: streamed responses
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+test('chunks arrive in order before the final response', async ()=>{
+	let p = pair({}, {request: (data, responseFunc, context)=>{
+		for (let i=0; i<data; i++){
+			context.stream.write(i);
+		}
+		context.stream.end('done');
+	}});
+	let chunks = [];
+	let response = await p.a.request(3, {stream: true, onChunk: (chunk)=>chunks.push(chunk)});
+	assert.deepStrictEqual(chunks, [0, 1, 2]);
+	assert.strictEqual(response, 'done');
+	p.close();
+});
+
+test('requestStream iterates over the chunks; stopping early cancels the request', async ()=>{
+	let aborted = false;
+	let p = pair({}, {request: (data, responseFunc, context)=>{
+		context.signal.addEventListener('abort', ()=>{
+			aborted = true;
+		});
+		let i = 0;
+		let next = ()=>{
+			if (!aborted){
+				context.stream.write(i++);
+				setTimeout(next, 2);
+			}
+		};
+		next();
+	}});
+	let rows = [];
+	for await (let row of p.a.requestStream('x')){
+		rows.push(row);
+		if (rows.length==3){
+			break;
+		}
+	}
+	assert.deepStrictEqual(rows, [0, 1, 2]);
+	await wait(20);
+	assert.ok(aborted);
+	p.close();
+});
+
+test('stream.error fails the request', async ()=>{
+	let p = pair({}, {request: (data, responseFunc, context)=>{
+		context.stream.write('a');
+		context.stream.error('broken', 409);
+	}});
+	let err = await rejects(p.a.request('x', {stream: true}));
+	assert.ok(err instanceof wsProcessor.RemoteError);
+	assert.strictEqual(err.failureCode, 409);
+	p.close();
+});
+
+test('with autoRespond, returning undefined does not end the stream early', async ()=>{
+	let p = pair({}, {opt: {autoRespond: true}, request: (data, responseFunc, context)=>{
+		setTimeout(()=>{
+			context.stream.write('late chunk');
+			context.stream.end('the end');
+		}, 5);
+	}});
+	let chunks = [];
+	let response = await p.a.request('x', {stream: true, onChunk: (chunk)=>chunks.push(chunk)});
+	assert.deepStrictEqual(chunks, ['late chunk']);
+	assert.strictEqual(response, 'the end');
+
+	// async handlers as well
+	p.b.incomingRequestFunc = async (data, responseFunc, context)=>{
+		setTimeout(()=>context.stream.end('async end'), 5);
+	};
+	assert.strictEqual(await p.a.request('x', {stream: true}), 'async end');
+
+	// a returned value is still sent
+	p.b.incomingRequestFunc = ()=>'returned';
+	assert.strictEqual(await p.a.request('x', {stream: true}), 'returned');
+	p.close();
+});
@@ -0,0 +1,57 @@
+// user-018: schema validation of requests, responses and notes
+const {wsProcessor, assert, pair, wait, rejects, test} = require('./lib/helpers.cjs');
+
+const pointSchema = {
+	type: 'object',
+	properties: {x: {type: 'number'}, y: {type: 'number', minimum: 0}},
+	required: ['x', 'y'],
+	additionalProperties: false,
+};
+
+test('invalid requests fail with validationFailed and the error paths', async ()=>{
+	let calls = 0;
+	let p = pair({}, {});
+	p.b.handle('point', (data, responseFunc)=>{
+		calls++;
+		responseFunc(data.x + data.y);
+	}, {schema: pointSchema});
+	assert.strictEqual(await p.a.request({x: 1, y: 2}, {method: 'point'}), 3);
+	let err = await rejects(p.a.request({x: 'a', y: -1, z: 0}, {method: 'point'}));
+	assert.ok(err instanceof wsProcessor.RemoteError);
+	assert.strictEqual(err.failureCode, wsProcessor.failureCodes.validationFailed);
+	assert.deepStrictEqual(err.data.errors.map((error)=>error.path).sort(), ['/x', '/y', '/z']);
+	assert.strictEqual(calls, 1);
+	p.close();
+});
+
+test('invalid responses are replaced by a handlerError', async ()=>{
+	let p = pair({}, {});
+	p.b.handle('count', (data, responseFunc)=>responseFunc(data), {responseSchema: {type: 'integer'}});
+	assert.strictEqual(await p.a.request(3, {method: 'count'}), 3);
+	let err = await rejects(p.a.request('three', {method: 'count'}));
+	assert.strictEqual(err.failureCode, wsProcessor.failureCodes.handlerError);
+	assert.strictEqual(err.data.errors[0].path, '');
+	p.close();
+});
+
+test('invalid notes are nacked or logged instead of given to the handler', async ()=>{
+	let got = [];
+	let p = pair({}, {});
+	p.b.onNote('point', (note)=>got.push(note), {schema: pointSchema});
+	await p.a.note({x: 1, y: 1}, {method: 'point', sendAck: true});
+	let err = await rejects(p.a.note({x: 1}, {method: 'point', sendAck: true}));
+	assert.strictEqual(err.failureCode, wsProcessor.failureCodes.validationFailed);
+	p.a.sendNote({y: 1}, {method: 'point'});
+	await wait();
+	assert.deepStrictEqual(got, [{x: 1, y: 1}]);
+	assert.strictEqual(p.logs.b.length, 2);
+	p.close();
+});
+
+test('validate functions can be used instead of schemas', async ()=>{
+	let validate = wsProcessor.validator((data)=>data%2==0 ? true : 'odd');
+	assert.deepStrictEqual(validate(2), []);
+	assert.deepStrictEqual(validate(3), [{path: '', message: 'odd'}]);
+	assert.deepStrictEqual(wsProcessor.validateSchema({anyOf: [{type: 'string'}, {type: 'null'}]}, null), []);
+	assert.strictEqual(wsProcessor.validateSchema({type: 'array', items: {enum: [1, 2]}, maxItems: 2}, [1, 3, 2]).length, 2);
+});
@@ -0,0 +1,85 @@
+// user-012: wsClient, reconnecting with backoff
+const {wsProcessor, assert, wait, rejects, test} = require('./lib/helpers.cjs');
+
+/**
+ * fakeServer: a factory for the wsClient (instead of the url) creating in-memory websockets; every socket gets a new server wsProcessor
+ * @param {object} serverOpt Optional; the options of the server wsProcessors
+ * @param {function} request Optional; the incomingRequestFunc of the server wsProcessors
+ * @returns {object} {factory, sockets, servers}
+ */
+function fakeServer(serverOpt={}, request){
+	let s = {sockets: [], servers: []};
+	s.factory = ()=>{
+		let socket = {readyState: 0, bufferedAmount: 0};
+		let server = new wsProcessor((message)=>{
+			setImmediate(()=>{
+				if (socket.readyState==1){
+					socket.onmessage({data: message});
+				}
+			});
+		}, ()=>socket.close(), ()=>{}, request, ()=>{}, serverOpt);
+		socket.send = (message)=>{
+			setImmediate(()=>{
+				if (socket.readyState==1){
+					server.onMessage(message);
+				}
+			});
+		};
+		socket.close = ()=>{
+			if (socket.readyState==3){
+				return;
+			}
+			socket.readyState = 3;
+			server.close();
+			setImmediate(()=>socket.onclose({code: 1000}));
+		};
+		setImmediate(()=>{
+			socket.readyState = 1;
+			socket.onopen();
+		});
+		s.sockets.push(socket);
+		s.servers.push(server);
+		return socket;
+	};
+	return s;
+}
+
+test('requests are answered after a reconnect', async ()=>{
+	let s = fakeServer({}, (data, responseFunc)=>responseFunc(data*2));
+	let states = [];
+	let client = new wsProcessor.wsClient(s.factory, ()=>{}, undefined, undefined, {reconnect: {base: 0.01, jitter: 0}, onStateChange: (state)=>states.push(state)});
+	await wait(20);
+	assert.strictEqual(await client.processor.request(1), 2);
+	s.sockets[0].close();
+	await wait(30);
+	assert.strictEqual(s.sockets.length, 2);
+	assert.strictEqual(await client.processor.request(2), 4);
+	assert.deepStrictEqual(states, ['connecting', 'open', 'waiting', 'connecting', 'open']);
+	client.close();
+	assert.strictEqual(client.state, 'closed');
+});
+
+test('after a heartbeat failure, the resumed session is not ended by the grace period of the old connection', async ()=>{
+	let respond;
+	let store = new Map();
+	let s = fakeServer({session: {role: 'server', store: store}}, (data, responseFunc)=>{
+		respond = responseFunc;
+	});
+	let client = new wsProcessor.wsClient(s.factory, ()=>{}, undefined, undefined, {reconnect: {base: 0.01, jitter: 0}, processor: {session: {role: 'client', resumeGracePeriod: 0.05}}});
+	await wait(20);
+	let prom = client.processor.request('x');
+	await wait(20);
+	// like a failed heartbeat
+	client.processor.close(true);
+	await wait(40);
+	assert.strictEqual(client.state, 'open');
+	assert.strictEqual(store.size, 1);
+	// longer than the resumeGracePeriod
+	await wait(100);
+	respond('after resume');
+	assert.strictEqual(await prom, 'after resume');
+	client.close();
+	for (let server of store.values()){
+		server.endSession();
+	}
+});
@@ -51,6 +51,7 @@
  *        - fail 2.2: (2) ... before ack arrived
  *                    (3) ... before ack arrived and before ack timed out; this should not exist, since the ackTimeout should be smaller than the requestTimeout; thus, if the request times out, the ack already has timed out.
  *        - fail 2.3: (3) ... after ack timed out
+ *      - fail 3: the request was cancelled by the requesting party (opt.signal or cancel(stamp)); the responding party is notified with a cancel message
  *      - ackStatus 0: (2+3) ack arrived
  *      - ackStatus 1: (3) ack timed out; IMPORTANT: this does NOT delete the request from the stack; i.e. the response might still arrive later! (Only the requestTimeout deletes the request from the stack.) 
  *      - Note: the cbAck will not be called with an error if the connection is lost. Only failure will be called then.
@@ -91,14 +92,14 @@
 /**
  * The class extending the basic ws connection with two different types of data trasfer: notes and requests; both with and without acknowledgement of the messages.
  */
-	module.exports  = class wsProcessor{
+	class wsProcessor{
 
 		/**
 		 * wsProcessor constructor: 
-		 * @param {function} sendingFunc The function to be called for sending a message with the only parameter beeing the message.
-		 * @param {function} closingFunc A function without parameter to be called to close the websocket connection. Used when the heartbeats are not successful anymore.
-		 * @param {function} incomingNoteFunc The function called when a note arrives. One parameter: the note. 
-		 * @param {function} incomingRequestFunc The function called when a request arrives. Two parameters: the request, a callback to send the response. The latter takes at least the response as the parameter. responseFunc = (response, failureCode=0, opt={}, cbAck=(statusCode, statusMsg)=>{}); see the details below.
+		 * @param {function} sendingFunc The function to be called for sending a message with the only parameter beeing the message: a string or, for messages with binary data, a Uint8Array (to be sent as binary frame).
+		 * @param {function} closingFunc A function to be called to close the websocket connection. Used when the heartbeats are not successful anymore (without parameters) and when the other side is rejected in the handshake or exceeds the rate limits repeatedly (with the parameters code and reason, see closeCodes, which can be given to the close function of the websocket).
+		 * @param {function} incomingNoteFunc The function called when a note arrives, if there is no note handler for its method (see onNote). Two parameters: the note and a context object ({stamp, method, priority}). Can be undefined, if all notes are handled by note handlers. 
+		 * @param {function} incomingRequestFunc The function called when a request arrives, if there is no request handler for its method (see handle). If undefined, requests without matching handler are answered with failureCodes.methodNotFound. Three parameters: the request, a callback to send the response and a context object. The callback takes at least the response as the parameter. responseFunc = (response, failureCode=0, opt={}, cbAck=(statusCode, statusMsg)=>{}); see the details below. The context object has the properties: stamp (the stamp of the request), method (the method of the request; undefined if none), priority (the priority given by the requesting party; see wsProcessor.priorities), deadline (the point in time (ms, like Date.now()) when the requesting party stops waiting for the response; undefined if unknown; can be passed on to nested requests with opt.deadline), timeLeft (a function returning the seconds left until the deadline), progress (a function (value, message)=>{} to report the progress to the requesting party), signal (an AbortSignal that is aborted when the requesting party cancels the request, the deadline passed or the connection is closed; undefined where AbortController is not available), stream (only for requests with a streamed response: {write(chunk), end(data), error(errMsg, failureCode)}).
 		 * @param {function} logger Optional, A function for loggin purposes: (logLevel, message)=>{}
 		 * @param {object} opt Optional, the options object
 		 * @param {boolean} opt.openOnConstruct Optional, default=true; is the connection open when the wsProcessor is created.
@@ -106,6 +107,55 @@
 		 * @param {number} opt.heartbeatRttIntervalMultiplicator Optional, default = 10; The minimum interval (as a multiplication with the current round trip time RTT from the last two heartbeats in seconds) used for sending the heartbeats; 
 		 * @param {number} opt.heartbeatMinTimeout Optional, default = 10; The minimum time in seconds to wait for a pong, before the connection is deemed broken and is actively closed.  
 		 * @param {number} opt.heartbeatRttTimeoutMutiplicator Optional, default = 50; The minimum time (as a multiplicator with the round-trip time RTT from the last two heartbeats in seconds) to wait for a pong, before the connection is deemed broken and is actively closed.
+		 * @param {number} opt.duplicateCacheSize Optional, default = 1000; The maximum number of stamps of received notes to remember for the detection of duplicates (e.g. when the sender sent the note again after the ack timed out). Duplicates are acknowledged again, but not processed. 0 disables the detection.
+		 * @param {number} opt.duplicateRetention Optional, default = 60; The duration in seconds to remember the stamp of a received note.
+		 * @param {object} opt.outbox Optional, default = undefined (no outbox); If set, notes and requests sent while the connection is not open (before open or after close) are stored in the outbox and sent in order on open. Properties:
+		 * @param {number} opt.outbox.maxSize Optional, default = 100; The maximum number of messages in the outbox.
+		 * @param {number} opt.outbox.expiry Optional, default = 60; The duration in seconds after which a message in the outbox is dropped; 0 = never. 
+		 * @param {string} opt.outbox.overflow Optional, default = "dropOldest"; What happens when a message is added to the full outbox: "dropOldest" (the oldest message is dropped), "dropNewest" (the new message is dropped) or "reject" (sendNote and sendRequest throw an OutboxFullError). The failure callbacks of dropped messages are called with code 1.
+		 * @param {string} opt.outbox.timeoutStart Optional, default = "enqueue"; When the request and ack timeouts of a queued message start: "enqueue" (when added to the outbox) or "send" (when actually sent).
+		 * @param {object} opt.session Optional, default = undefined (no sessions); Enables sessions, which can be resumed with a new connection: on close, the pending notes, requests and responses are kept for the resumeGracePeriod. If a new connection resumes the session within this period, the messages not received by the other side are resent; otherwise, the failure callbacks are called as without sessions. Both sides must enable sessions. The connection is only open after the session handshake (sessionHello from the client, sessionWelcome from the server).
+		 * @param {string} opt.session.role "client" (resumes by opening the same wsProcessor again with a new connection, i.e. the sendingFunc must send to the current connection) or "server" (every new connection gets a new wsProcessor, which takes over the session of the old wsProcessor).
+		 * @param {number} opt.session.resumeGracePeriod Optional, default = 30; The duration in seconds the session can be resumed after close.
+		 * @param {Map} opt.session.store Optional (server only), default = wsProcessor.sessions; The Map storing the wsProcessors by session id.
+		 * @param {string} opt.name Optional; The name of this side, given to the other side in the handshake (hello).
+		 * @param {object} opt.meta Optional; App-defined metadata given to the other side in the handshake.
+		 * @param {array} opt.features Optional, default = []; Names of app-defined features of this side given to the other side in the handshake, in addition to the built-in features (wsProcessor.features).
+		 * @param {string} opt.protocol Optional; The websocket subprotocol (Sec-WebSocket-Protocol) of the connection, given to the other side in the handshake (see wsProcessor.subprotocol).
+		 * @param {function} opt.onPeer Optional; (peer)=>{}; called with processor.peer ({version, features, name, meta, protocol}) when the handshake of the other side arrives. If it returns a string (or throws), the other side is rejected with this reason and the connection is closed with closeCodes.peerRejected.
+		 * @param {array} opt.codecs Optional, default = ["json"]; The codecs supported by this side, in the order of preference: codec objects (with name, encode(message) and decode(rawMessage), see jsonCodec) or the names of the built-in codecs (wsProcessor.codecs: "json" and "msgpack"). On open, both sides exchange their lists in the handshake; each side then sends with the first of its codecs the other side supports (json, if there is none). json is always supported.
+		 * @param {object} opt.compression Optional, default = undefined (no compression); Compress messages (deflate; with zlib in nodejs and CompressionStream in browsers) that are at least threshold characters (strings) or bytes (binary) long. Only used when both sides enable compression; negotiated on open together with the codecs. Statistics are in processor.compressionStats.
+		 * @param {number} opt.compression.threshold Optional, default = 1024; The minimum size of messages to be compressed.
+		 * @param {number} opt.compression.level Optional, default = zlib default; The compression level (0-9; nodejs only).
+		 * @param {number} opt.maxFrameSize Optional, default = undefined (no fragmentation); The maximum size in bytes of the messages given to the sendingFunc (minimum 64). Larger messages are split into fragments, which are reassembled by the other side (which must support fragments, i.e. use this version or later). Heartbeats and small messages are sent between the fragments.
+		 * @param {number} opt.maxReassemblySize Optional, default = 64MB; The maximum number of bytes of incomplete incoming messages; a fragment exceeding it drops its message.
+		 * @param {number} opt.fragmentTimeout Optional, default = 30; The duration in seconds after which an incomplete incoming message is dropped when no further fragment arrives.
+		 * @param {object} opt.flowControl Optional, default = undefined (no flow control); Limit the notes and requests on their way: further notes and requests wait in the send queue (see drained) and their timeouts only start when they leave the queue. Properties:
+		 * @param {number} opt.flowControl.maxInFlight Optional, default = 100; The maximum number of requests waiting for the response and notes waiting for the ack.
+		 * @param {number} opt.flowControl.maxBufferedAmount Optional, default = 1048576 (1MB); The maximum number of bytes buffered by the websocket (see opt.bufferedAmount).
+		 * @param {number} opt.flowControl.pollInterval Optional, default = 0.05; The interval in seconds to check the limits again while messages are waiting (timed out requests and the buffered amount do not raise an event).
+		 * @param {object / boolean} opt.priorityQueue Optional, default = undefined (notes and requests are given to the sendingFunc immediately, unless flow control queues them); Send notes and requests by priority (see opt.priority of sendNote): they always pass the send queue, which is sent in portions with a setTimeout in between and only while the websocket does not buffer too much, so that heartbeats, acks and responses (never queued) as well as notes and requests with higher priority are not stuck behind bulk messages. true for the defaults or an object with the properties:
+		 * @param {number} opt.priorityQueue.bytesPerTick Optional, default = 65536; The number of bytes of notes and requests sent from the send queue before the next setTimeout.
+		 * @param {number} opt.priorityQueue.maxBufferedAmount Optional, default = 65536; The maximum number of bytes buffered by the websocket (see opt.bufferedAmount); further notes and requests wait in the send queue.
+		 * @param {number} opt.priorityQueue.pollInterval Optional, default = 0.05; The interval in seconds to check the buffered amount again while it is too high.
+		 * @param {function} opt.bufferedAmount Optional; ()=>{return number}; The number of bytes given to the websocket but not sent yet (e.g. ()=>ws.bufferedAmount), used by flow control and the priorityQueue. The probe belongs to the connection of the sendingFunc.
+		 * @param {number} opt.maxBatchSize Optional, default = 100; The maximum number of requests in an incoming batch (see sendBatch); larger batches are answered with failureCodes.validationFailed.
+		 * @param {number} opt.maxConcurrentIncoming Optional, default = Infinity; The maximum number of incoming requests processed at the same time, i.e. given to the handler and not responded yet. Further requests wait in the incoming queue and are given to the handler when a running request is responded (or cancelled).
+		 * @param {object} opt.incomingQueue Optional; The settings of the incoming queue (see maxConcurrentIncoming):
+		 * @param {number} opt.incomingQueue.maxLength Optional, default = 1000; The maximum number of waiting requests. Further requests are answered immediately with failureCodes.busy.
+		 * @param {string} opt.incomingQueue.order Optional, default = "fifo"; "fifo" (in the order of arrival) or "priority" (higher priority first, see opt.priority of sendRequest; in the order of arrival otherwise)
+		 * @param {function} opt.incomingQueue.onDepth Optional; (queued, running)=>{}; called whenever the number of waiting requests changes, e.g. for metrics. The numbers are also in processor.incomingStats ({queued, maxQueued, rejected}).
+		 * @param {object} opt.rateLimit Optional, default = undefined (no rate limits); Limit the incoming requests and notes of this connection with token buckets: {rate (messages per second), burst (Optional, default = rate; the number of messages that may arrive at once)}. Requests exceeding a limit are answered with failureCodes.rateLimited and the data {message, retryAfter (seconds)}; notes exceeding a limit are dropped (and nacked, if an ack is requested). Both are counted in processor.rateLimitStats. Properties:
+		 * @param {object} opt.rateLimit.requests Optional; The limit for all requests: {rate, burst}
+		 * @param {object} opt.rateLimit.notes Optional; The limit for all notes: {rate, burst}
+		 * @param {object} opt.rateLimit.methods Optional; Limits per method of requests and notes (in addition to the limits above): {method: {rate, burst}}
+		 * @param {object} opt.rateLimit.closeAfter Optional; Close the connection (closingFunc with closeCodes.rateLimited) when more than "violations" messages were limited within "period" seconds: {violations, period (Optional, default = 10)}
+		 * @param {object} opt.ordering Optional; The settings of the ordered delivery of notes (see opt.ordered of sendNote). Without session, the sequence numbers start over with every connection.
+		 * @param {number} opt.ordering.bufferSize Optional, default = 100; The maximum number of notes kept while waiting for a missing note.
+		 * @param {number} opt.ordering.gapTimeout Optional, default = 5; The duration in seconds to wait for a missing note before the other side is asked to resend it; after another gapTimeout, the missing notes are skipped.
+		 * @param {number} opt.ordering.historySize Optional, default = 100; The number of sent ordered notes per channel kept for resending.
+		 * @param {function} opt.ordering.onGap Optional; (channel, from, to)=>{}; called when the notes with the sequence numbers from-to are skipped, since they did not arrive.
+		 * @param {boolean} opt.autoRespond Optional, default = false; If true, the return value of incomingRequestFunc (or the value its Promise resolves to) is sent as the response, unless responseFunc was called before. For streamed requests and requests whose requesting party wants progress updates (opt.onProgress), undefined is not sent, since the handler responds later (context.stream.end or responseFunc). Independent of this option, errors thrown by incomingRequestFunc (synchronously or as rejected Promise) are sent as failure response (see failureFromError) and errors in incomingNoteFunc are logged.
 		 * @param {function} cbTest A function that is called on every incoming request and that is given the complete message. Intended only for testing; can be used to simulate a busy server (i.e. a slow responding server). The only property given is the parsed message. 
 		 */
 		constructor(sendingFunc, closingFunc, incomingNoteFunc, incomingRequestFunc, logger=(logLevel, msg)=>{}, opt={}, cbTest=(message)=>{}){
@@ -113,6 +163,9 @@
 			this.stackNote = {}; // stack for acknowledged notes
 			this.stackRequest = {}; // stack for any kind of requests
 			this.stackResponse = {}; // stack for acknowledged responses 
+			this.stackIncoming = {}; // stack for incoming requests that are not answered yet (needed for cancellation)
+			this.pendingRetries = {}; // notes and requests waiting for the next attempt (stamp --> {timeoutHandle, stop(code, msg)})
+			this.cancelledRequests = {}; // stamps of requests cancelled by this side, as long as a response might still arrive; stores the timeout handle to delete the entry
 
 			this.sendingFunc = sendingFunc; // the function that has to be called for sending messages; the wsProcessor class will call the sendingFunc with one argument: the message
 			this.closingFunc = closingFunc;
@@ -132,6 +185,177 @@
 			this.incomingNoteFunc = incomingNoteFunc;
 			this.incomingRequestFunc = incomingRequestFunc;
 
+			// router: handlers for requests and notes with a specific method; incomingRequestFunc and incomingNoteFunc are the fallback, if no handler matches
+			this.requestHandlers = new Map();
+			this.noteHandlers = new Map();
+
+			// batches (see sendBatch): the handler of whole batches (see handleBatch); without, the items are processed one by one
+			this.batchHandler = undefined;
+			this.maxBatchSize = opt.maxBatchSize || 100;
+
+			// flow control: notes and requests wait in the send queue while flowControl.maxInFlight messages wait for their response/ack or the websocket buffers more than maxBufferedAmount bytes; their timeouts start when they are sent
+			this.sendQueue = [];
+			this.inFlight = new Set(); // the sent items (see enqueue) waiting for the response/ack
+			this.drainWaiting = []; // the resolve functions of drained
+			this.drainHandle = undefined;
+			this.bufferedAmount = opt.bufferedAmount;
+			if (opt.flowControl){
+				this.flowControl = {
+					maxInFlight: opt.flowControl.maxInFlight || 100,
+					maxBufferedAmount: ("maxBufferedAmount" in opt.flowControl) ? opt.flowControl.maxBufferedAmount : 1048576, // bytes
+					pollInterval: opt.flowControl.pollInterval || 0.05, // s
+				}
+			}
+			// prioritised sending: notes and requests always wait in the send queue (ordered by priority) and leave it in portions, so that the timers (e.g. the heartbeats) get their turn in between
+			if (opt.priorityQueue){
+				let priorityQueue = opt.priorityQueue===true ? {} : opt.priorityQueue;
+				this.priorityQueue = {
+					bytesPerTick: priorityQueue.bytesPerTick || 65536, // bytes
+					maxBufferedAmount: ("maxBufferedAmount" in priorityQueue) ? priorityQueue.maxBufferedAmount : 65536, // bytes
+					pollInterval: priorityQueue.pollInterval || 0.05, // s
+				}
+			}
+
+			// concurrency limit of the request handlers: requests wait in the incoming queue while maxConcurrentIncoming handlers are running (i.e. did not respond yet)
+			this.maxConcurrentIncoming = opt.maxConcurrentIncoming || Infinity;
+			let incomingQueue = opt.incomingQueue || {};
+			this.incomingQueueOpt = {
+				maxLength: ("maxLength" in incomingQueue) ? incomingQueue.maxLength : 1000,
+				order: incomingQueue.order || 'fifo',
+				onDepth: incomingQueue.onDepth || ((queued, running)=>{}),
+			}
+			this.incomingQueue = [];
+			this.incomingRunning = 0;
+			this.startingIncoming = false;
+			this.incomingStats = {queued: 0, maxQueued: 0, rejected: 0};
+
+			// rate limiting of incoming requests and notes: token buckets (see takeToken) per kind and per method; the number of rejected requests and dropped notes are counted in rateLimitStats
+			if (opt.rateLimit){
+				let bucket = (limit)=>limit ? {rate: limit.rate, burst: limit.burst || limit.rate, tokens: limit.burst || limit.rate, time: Date.now()} : undefined;
+				this.rateLimit = {
+					request: bucket(opt.rateLimit.requests),
+					note: bucket(opt.rateLimit.notes),
+					methods: new Map(Object.entries(opt.rateLimit.methods || {}).map(([method, limit])=>[method, bucket(limit)])),
+					// repeat offenders: more than "violations" limited messages within "period" seconds
+					offenses: opt.rateLimit.closeAfter ? bucket({rate: opt.rateLimit.closeAfter.violations/(opt.rateLimit.closeAfter.period || 10), burst: opt.rateLimit.closeAfter.violations}) : undefined,
+				}
+			}
+			this.rateLimitStats = {requests: 0, notes: 0};
+
+			// ordered delivery of notes: channel --> {seq (last sent), history (seq --> {message, codec})} and channel --> {next (expected seq), buffer (seq --> {message, messageRaw} or null for invalid notes), gapHandle, resendRequested}
+			let ordering = opt.ordering || {};
+			this.ordering = {
+				bufferSize: ordering.bufferSize || 100,
+				gapTimeout: ordering.gapTimeout || 5, // s
+				historySize: ("historySize" in ordering) ? ordering.historySize : 100,
+				onGap: ordering.onGap || ((channel, from, to)=>{}),
+			}
+			this.orderedSend = new Map();
+			this.orderedReceive = new Map();
+
+			// validation: method --> {request, response} (validate functions, see validator) and method --> validate function
+			this.requestSchemas = new Map();
+			this.noteSchemas = new Map();
+
+			// publish/subscribe: the topics (patterns) this side subscribed to (pattern --> handler) and the topics the other side subscribed to (set of patterns)
+			this.subscriptions = new Map();
+			this.remoteSubscriptions = new Set();
+
+			// detection of duplicate notes: stamp --> time of arrival (ms); the insertion order of the Map is the order of arrival 
+			this.receivedNotes = new Map();
+			this.duplicateCacheSize = ("duplicateCacheSize" in opt) ? opt.duplicateCacheSize : 1000;
+			this.duplicateRetention = opt.duplicateRetention || 60; // s
+			this.duplicateNotes = 0; // count the duplicates
+
+			// the outbox for messages sent while the connection is not open
+			this.outbox = [];
+			if (opt.outbox){
+				this.outboxOpt = {
+					maxSize: opt.outbox.maxSize || 100,
+					expiry: ("expiry" in opt.outbox) ? opt.outbox.expiry : 60, // s
+					overflow: opt.outbox.overflow || 'dropOldest',
+					timeoutStart: opt.outbox.timeoutStart || 'enqueue',
+				}
+			}
+
+			// sessions that can be resumed with a new connection
+			if (opt.session){
+				this.session = {
+					role: opt.session.role,
+					resumeGracePeriod: opt.session.resumeGracePeriod || 30, // s
+					store: opt.session.store || wsProcessor.sessions,
+					id: undefined, // set in the handshake
+					sent: 0, // number of session messages sent
+					received: 0, // number of session messages received
+					buffer: [], // the sent messages not yet confirmed by the other side: {n, message, codec, stamp}
+					graceHandle: undefined, // the timeout of the resume grace period
+				}
+			}
+
+			// codecs: the own codecs in the order of preference (name --> codec); json is always supported. The codec for each direction is json until the codecs are negotiated on open.
+			this.codecs = new Map();
+			for (let codec of (opt.codecs || [])){
+				if (typeof(codec)=='string'){
+					codec = wsProcessor.codecs[codec];
+				}
+				this.codecs.set(codec.name, codec);
+			}
+			if (!this.codecs.has('json')){
+				this.codecs.set('json', wsProcessor.codecs.json);
+			}
+			this.codecSend = this.codecs.get('json');
+			this.codecReceive = this.codecSend;
+
+			// the handshake (hello/welcome): the description of this side and the other side (set on hello)
+			this.name = opt.name;
+			this.meta = opt.meta;
+			this.features = opt.features || [];
+			this.protocol = opt.protocol;
+			this.onPeer = opt.onPeer || ((peer)=>{});
+			this.peer = undefined;
+
+			// compression of large messages (only used when both sides support it)
+			this.compressSend = false; // negotiated on open
+			this.compressReceive = false; // whether the other side may send compressed frames (see its welcome)
+			this.sendChain = undefined; // Promise of the last message that waits for an asynchronous compression
+			this.receiveChain = undefined; // Promise of the last incoming message that waits for an asynchronous decompression
+			this.compressionStats = {
+				compressedSent: 0, // number of compressed messages sent
+				incompressible: 0, // number of messages above the threshold sent uncompressed, since they did not get smaller
+				uncompressedBytesSent: 0, // size of the messages above the threshold before compression
+				compressedBytesSent: 0, // size of the messages above the threshold as sent
+				compressedReceived: 0, // number of compressed messages received
+				compressedBytesReceived: 0,
+				uncompressedBytesReceived: 0,
+				time: 0, // ms spent with compression (including waiting for asynchronous compression)
+			}
+			if (opt.compression){
+				if (wsProcessor.compressor){
+					this.compression = {
+						threshold: ("threshold" in opt.compression) ? opt.compression.threshold : 1024,
+						level: opt.compression.level, // zlib only
+					}
+				} else {
+					this.logger(1, 'Compression is not available (neither zlib nor CompressionStream) and thus disabled.');
+				}
+			}
+
+			// fragmentation of messages larger than maxFrameSize
+			this.maxFrameSize = opt.maxFrameSize ? Math.max(opt.maxFrameSize, 64) : undefined; // bytes
+			this.fragmentId = 0; // the id of the last fragmented message
+			this.fragmentQueue = []; // fragments (and ordered messages) waiting to be sent: {frame, stamp, barrier}
+			this.fragmentStamps = new Map(); // stamp --> number of messages with this stamp in the fragmentQueue
+			this.fragmentBarriers = 0; // number of messages in the fragmentQueue that no message must overtake (see sendFrame)
+			this.fragmentHandle = undefined; // the timeout to send the next fragment
+			// reassembly of incoming fragmented messages: id --> {count, text, parts (index --> bytes), size, timeoutHandle}
+			this.fragments = new Map();
+			this.fragmentsSize = 0; // bytes in the reassembly buffer
+			this.maxReassemblySize = opt.maxReassemblySize || 64*1024*1024; // bytes
+			this.fragmentTimeout = opt.fragmentTimeout || 30; // s
+
+			// send the return value of incomingRequestFunc as the response
+			this.autoRespond = opt.autoRespond || false;
+
 			// heartbeat 
 			this.heartbeat = {};
 			// the interval is given by max(minInterval, rrtIntervalMultiplicator*rtt)
@@ -157,7 +381,7 @@
 
 		toJSON(){
 			let o={};
-			let excludes = ['timeoutNext', 'heartbeat'];
+			let excludes = ['timeoutNext', 'heartbeat', 'cancelledRequests', 'pendingRetries', 'outbox', 'session', 'delegate', 'sendChain', 'receiveChain', 'fragmentHandle', 'fragments', 'fragmentStamps', 'orderedSend', 'orderedReceive', 'sendQueue', 'inFlight', 'drainWaiting', 'drainHandle', 'rateLimit', 'incomingQueue'];
 			for (let key of Object.keys(this)){
 				if (excludes.includes(key)){
 					o[key] = key;
@@ -170,9 +394,60 @@
 
 		// connection established
 		open(){
+			// a new connection starts with json and without compression; introduce this side to the other side (version, features, codecs, compression), which answers with welcome
+			this.codecSend = this.codecs.get('json');
+			this.codecReceive = this.codecSend;
+			this.compressSend = false;
+			this.compressReceive = false;
+			this.peer = undefined;
+			let hello = {
+				type: 'hello',
+				version: wsProcessor.protocolVersion,
+				features: wsProcessor.features.concat(this.features),
+				name: this.name,
+				meta: this.meta,
+				protocol: this.protocol,
+				codecs: Array.from(this.codecs.keys()),
+			};
+			if (this.compression){
+				hello.compression = ['deflate'];
+			}
+			// messages sent before open (without outbox) might still be in the fragmentQueue
+			this.transmit(this.encode(hello), true);
+
+			if (this.session){
+				// the connection is only open after the session handshake: the client sends the sessionHello, the server waits for it
+				if (this.session.role=='client'){
+					let mess = {
+						type: 'sessionHello',
+						id: this.session.id || null,
+						received: this.session.received,
+					}
+					this.transmit(this.encode(mess), true);
+				}
+				return;
+			}
+			this.completeOpen();
+		}
+
+		/**
+		 * completeOpen: the connection is open (and the session handshake done, if any): start the heartbeats, (re-)announce the subscriptions and send the outbox
+		 */
+		completeOpen(){
 			this.closing = false;
 
 			this.sendHeartbeat();
+
+			// (re-)announce the subscriptions of this side
+			for (let topic of this.subscriptions.keys()){
+				this.sendSubscription('subscribe', topic);
+			}
+
+			// send the messages waiting in the send queue (with sessions, they are kept on close) and in the outbox
+			this.drainQueue();
+			if (this.outboxOpt){
+				this.flushOutbox();
+			}
 		}
 
 		/**
@@ -186,12 +461,13 @@
 				return; 
 			}
 
+			// set before calling the closingFunc, which might call close again (e.g. the one of wsClient)
+			this.closing = true;
+
 			if (closeWsConnection){
 				this.closingFunc();
 			}
 
-			this.closing = true;
-
 			// stop the timout for the next heartbeat
 			clearTimeout(this.heartbeat.timeoutNext);
 
@@ -202,6 +478,61 @@
 			}
 			this.heartbeat.sent = {}; // probably faster than to delete every single item.
 
+			// the subscriptions of the other side are bound to the connection; the subscriptions of this side are kept and announced again on open
+			this.remoteSubscriptions.clear();
+
+			// fragments cannot be continued with another connection
+			clearTimeout(this.fragmentHandle);
+			this.fragmentHandle = undefined;
+			this.fragmentQueue = [];
+			this.fragmentStamps.clear();
+			this.fragmentBarriers = 0;
+			for (let id of Array.from(this.fragments.keys())){
+				this.dropFragments(id, `The incomplete message ${id} was dropped, since the connection was closed.`);
+			}
+
+			if (this.session && this.session.id){
+				// keep everything pending for the resume grace period; the session can then be resumed with a new connection
+				this.logger(0, `The ws connection got closed. The session ${this.session.id} can be resumed within ${this.session.resumeGracePeriod}s.`);
+				this.session.graceHandle = setTimeout(()=>{
+					this.logger(1, `The session ${this.session.id} was not resumed within ${this.session.resumeGracePeriod}s.`);
+					this.endSession();
+				}, this.session.resumeGracePeriod*1000);
+				return;
+			}
+
+			this.failPending();
+
+			this.logger(0, 'The ws connection got closed.');
+
+		}
+
+		/**
+		 * failPending: call the failure callbacks of all pending notes, requests and responses and stop everything that would need the connection. Called on close or, with sessions, when the session ends.
+		 */
+		failPending(){
+
+			// the messages in the send queue were not sent; the ones waiting for an answer are failed below as pending
+			clearTimeout(this.drainHandle);
+			this.drainHandle = undefined;
+			for (let item of this.sendQueue){
+				if (!item.awaitsAnswer){
+					this.logger(1, `Connection closed before the note was sent: ${item.message}`);
+				}
+			}
+			this.sendQueue = [];
+			this.inFlight.clear();
+			this.resolveDrained();
+
+			// the sequence numbers of ordered notes start over with the next connection
+			this.resetOrdering();
+
+			// stop the retries; the attempts in progress are failed below and will not be retried since closing=true
+			for (let stamp in this.pendingRetries){
+				this.pendingRetries[stamp].stop(1, `Connection closed before the next attempt of ${stamp}.`);
+			}
+			this.pendingRetries = {};
+
 			// 'empty' (=call failure callbacks) all stacks 
 			for (let stamp in this.stackNote){
 				clearTimeout(this.stackNote[stamp].ackTimeoutHandle);
@@ -221,6 +552,7 @@
 				} 
 				
 				clearTimeout(this.stackRequest[stamp].requestTimeoutHandle);
+				this.removeAbortListener(stackObj);
 
 				if (stackObj.opt.sendAck){
 					// ack was requested 
@@ -261,8 +593,410 @@
 			}
 			this.stackResponse = {}; // faster than deleting single items
 
-			this.logger(0, 'The ws connection got closed.');
+			// incoming requests are not cancelled, but the handlers shall know that the response cannot be sent anymore; the queued ones are not started anymore
+			for (let incoming of this.incomingQueue){
+				incoming.queued = false;
+			}
+			this.incomingQueue = [];
+			for (let stamp in this.stackIncoming){
+				let incoming = this.stackIncoming[stamp];
+				this.releaseIncoming(incoming);
+				if (incoming.controller){
+					incoming.controller.abort();
+				}
+			}
+			this.stackIncoming = {};
+			this.reportIncoming();
+
+			for (let stamp in this.cancelledRequests){
+				clearTimeout(this.cancelledRequests[stamp]);
+			}
+			this.cancelledRequests = {};
+		}
+
+		/**
+		 * sendMessage: send a message (all messages but ping, pong and error). With sessions, the message is kept until the other side confirms the arrival and is only sent when the connection is open; otherwise it is sent on resumption.
+		 * @param {string / Uint8Array} messString The encoded message
+		 * @param {string} codecName Optional, default = the current codec; the name of the codec used to encode the message (it is encoded again, if the codec has changed in the meantime)
+		 * @param {string} stamp Optional; the stamp of the note or request the message belongs to (see sendFrame)
+		 * @param {boolean} waited Optional, default=false; the message is a request whose timeouts started before (e.g. in the outbox); it is sent with the time left (see updateTimeout)
+		 */
+		sendMessage(messString, codecName=this.codecSend.name, stamp=undefined, waited=false){
+			if (this.session){
+				this.session.buffer.push({n: ++this.session.sent, message: messString, codec: codecName, stamp: stamp});
+				if (this.closing){
+					return;
+				}
+			}
+			let message = waited ? this.updateTimeout(messString, codecName, stamp) : messString;
+			// with sessions, the messages must arrive in order (see sendFrame)
+			this.transmit(this.recode(message, codecName), this.session!==undefined, stamp);
+		}
+
+		/**
+		 * updateTimeout: a request that is sent after its requestTimeout started (from the outbox with outboxOpt.timeoutStart='enqueue' or again from the session buffer) gets the time left as timeout instead of the full requestTimeout, so that the deadline of the responding party is not later than the one of this side
+		 * @param {string / Uint8Array} message The encoded message
+		 * @param {string} codecName The name of the codec used to encode the message
+		 * @param {string} stamp Optional; the stamp of the note or request the message belongs to
+		 * @returns {string / Uint8Array} The message, encoded with the same codec
+		 */
+		updateTimeout(message, codecName, stamp){
+			let stackObj = stamp!==undefined ? this.stackRequest[stamp] : undefined;
+			if (!stackObj || stackObj.deadline===undefined || stackObj.message!==message){
+				return message;
+			}
+			let timeout = Math.max(0, (stackObj.deadline-Date.now())/1000);
+			if (timeout>=stackObj.opt.requestTimeout){
+				return message;
+			}
+			let codec = this.codecs.get(codecName);
+			let mess = codec.decode(message);
+			mess.timeout = timeout;
+			return codec.encode(mess);
+		}
+
+		/**
+		 * transmit: send an encoded message (see sendFrame); compress it before, if compression was negotiated and the message is at least compression.threshold long. Where the compression is asynchronous (CompressionStream in browsers), the following messages wait, to keep the order.
+		 * @param {string / Uint8Array} message The encoded message
+		 * @param {boolean} ordered Optional, default=false; the message must not overtake messages being sent in fragments (see sendFrame)
+		 * @param {string} stamp Optional; the stamp of the note or request the message belongs to (see sendFrame)
+		 * @param {boolean} barrier Optional, default=false; the following messages must not overtake this message (see sendFrame)
+		 */
+		transmit(message, ordered=false, stamp=undefined, barrier=false){
+			let compress = this.compressSend && (typeof(message)=='string' ? message.length : message.byteLength)>=this.compression.threshold;
+			if (!this.sendChain && (!compress || wsProcessor.compressor.sync)){
+				this.sendFrame(compress ? this.compress(message) : message, ordered, stamp, barrier);
+				return;
+			}
+
+			// wait for the previous asynchronous compression
+			let chain = (this.sendChain || Promise.resolve()).then(()=>{
+				return compress ? this.compress(message) : message;
+			}).then((messageSend)=>{
+				this.sendFrame(messageSend, ordered, stamp, barrier);
+			}).catch((err)=>{
+				this.logger(0, `Sending a message failed: ${err}`);
+			}).then(()=>{
+				if (this.sendChain===chain){
+					this.sendChain = undefined;
+				}
+			});
+			this.sendChain = chain;
+		}
+
+		/**
+		 * sendFrame: give a message to the sendingFunc. Messages larger than maxFrameSize are split into fragments, which are sent one after the other with a setTimeout in between, so that heartbeats and small messages can be sent between the fragments (i.e. small messages can overtake large ones). Ordered messages and messages with the stamp of a message still in the fragmentQueue (e.g. the cancel of a fragmented request or the response after a fragmented responseChunk) are queued behind the fragments. While a barrier (e.g. the welcome, after which the codec changes) is in the fragmentQueue, all messages are queued behind it.
+		 * Fragment: 1 byte 0x03 | 1 byte (1: the message is a string, 2: binary) | 4 bytes (uint32, big endian) id of the message | 4 bytes index of the fragment | 4 bytes number of fragments | the bytes of the fragment
+		 * @param {string / Uint8Array} message The message
+		 * @param {boolean} ordered The message must not overtake messages being sent in fragments
+		 * @param {string} stamp Optional; the stamp of the note or request the message belongs to
+		 * @param {boolean} barrier Optional, default=false; the following messages must not overtake this message
+		 */
+		sendFrame(message, ordered, stamp, barrier=false){
+			let bytes;
+			if (this.maxFrameSize){
+				if (typeof(message)!='string'){
+					bytes = wsProcessor.binaryBytes(message);
+				} else if (message.length*3>this.maxFrameSize){
+					// a character has up to 3 bytes in UTF-8
+					bytes = wsProcessor.text.encoder.encode(message);
+				}
+			}
+			if (!bytes || bytes.length<=this.maxFrameSize){
+				if ((ordered && this.fragmentQueue.length>0) || this.fragmentStamps.has(stamp) || this.fragmentBarriers>0){
+					this.queueFrame(message, stamp, barrier);
+				} else {
+					this.sendingFunc(message);
+				}
+				return;
+			}
+
+			let id = ++this.fragmentId;
+			let size = this.maxFrameSize - 14;
+			let count = Math.ceil(bytes.length/size);
+			for (let i=0; i<count; i++){
+				let part = bytes.subarray(i*size, (i+1)*size);
+				let fragment = new Uint8Array(14 + part.length);
+				let view = new DataView(fragment.buffer);
+				fragment[0] = 3;
+				fragment[1] = typeof(message)=='string' ? 1 : 2;
+				view.setUint32(2, id);
+				view.setUint32(6, i);
+				view.setUint32(10, count);
+				fragment.set(part, 14);
+				this.queueFrame(fragment, stamp);
+			}
+			this.logger(3, `Message split into ${count} fragments (id ${id}).`);
+			this.sendFragments();
+		}
+
+		/**
+		 * queueFrame: add a fragment or message to the fragmentQueue
+		 * @param {string / Uint8Array} frame
+		 * @param {string} stamp Optional; the stamp of the note or request the frame belongs to
+		 * @param {boolean} barrier Optional, default=false; the following messages must not overtake this frame
+		 */
+		queueFrame(frame, stamp, barrier=false){
+			this.fragmentQueue.push({frame: frame, stamp: stamp, barrier: barrier});
+			if (barrier){
+				this.fragmentBarriers++;
+			}
+			if (stamp!==undefined){
+				this.fragmentStamps.set(stamp, (this.fragmentStamps.get(stamp) || 0) + 1);
+			}
+		}
+
+		/**
+		 * sendFragments: send the next message of the fragmentQueue with a setTimeout, until the queue is empty
+		 */
+		sendFragments(){
+			if (this.fragmentHandle!==undefined){
+				return;
+			}
+			this.fragmentHandle = setTimeout(()=>{
+				this.fragmentHandle = undefined;
+				if (this.fragmentQueue.length==0){
+					return;
+				}
+				let entry = this.fragmentQueue.shift();
+				if (entry.barrier){
+					this.fragmentBarriers--;
+				}
+				if (entry.stamp!==undefined){
+					let n = this.fragmentStamps.get(entry.stamp) - 1;
+					if (n>0){
+						this.fragmentStamps.set(entry.stamp, n);
+					} else {
+						this.fragmentStamps.delete(entry.stamp);
+					}
+				}
+				this.sendingFunc(entry.frame);
+				this.sendFragments();
+			}, 0);
+		}
+
+		/**
+		 * reassemble: store an incoming fragment (see sendFrame); if the message is complete, it is processed.
+		 * @param {Uint8Array} bytes The fragment
+		 */
+		reassemble(bytes){
+			if (bytes.length<14){
+				this.logger(0, `Invalid fragment of ${bytes.length} bytes.`);
+				return;
+			}
+			let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+			let id = view.getUint32(2);
+			let index = view.getUint32(6);
+			let count = view.getUint32(10);
+			let text = bytes[1]==1;
+			let part = bytes.slice(14);
+
+			// check the header before anything is stored; every fragment has at least one byte, so the number of fragments cannot exceed the size of the reassembly buffer
+			let set = this.fragments.get(id);
+			if ((bytes[1]!=1 && bytes[1]!=2) || count==0 || count>this.maxReassemblySize || index>=count || part.length==0 || (set && (count!=set.count || text!=set.text || set.parts.has(index)))){
+				this.logger(0, `Invalid fragment ${index} of the message ${id} with ${count} fragments.`);
+				return;
+			}
+			if (this.fragmentsSize + part.length > this.maxReassemblySize){
+				this.dropFragments(id, `The message ${id} was dropped, since the reassembly buffer would exceed the maximum of ${this.maxReassemblySize} bytes.`);
+				return;
+			}
+			if (!set){
+				set = {count: count, text: text, parts: new Map(), size: 0, timeoutHandle: undefined};
+				this.fragments.set(id, set);
+			}
+			set.parts.set(index, part);
+			set.size += part.length;
+			this.fragmentsSize += part.length;
+
+			clearTimeout(set.timeoutHandle);
+			if (set.parts.size<set.count){
+				// drop incomplete messages when no further fragment arrives within the timeout
+				set.timeoutHandle = setTimeout(()=>{
+					this.dropFragments(id, `The message ${id} was dropped, since only ${set.parts.size} of ${set.count} fragments arrived within ${this.fragmentTimeout}s.`);
+				}, this.fragmentTimeout*1000);
+				return;
+			}
+
+			this.fragments.delete(id);
+			this.fragmentsSize -= set.size;
+			let message = new Uint8Array(set.size);
+			let pos = 0;
+			for (let i=0; i<set.count; i++){
+				message.set(set.parts.get(i), pos);
+				pos += set.parts.get(i).length;
+			}
+			this.onMessage(set.text ? wsProcessor.text.decoder.decode(message) : message);
+		}
+
+		/**
+		 * dropFragments: drop an incomplete message. If it was a note or request with acknowledgement or a request, the other side's timeouts will handle it.
+		 * @param {number} id The id of the message
+		 * @param {string} errMsg
+		 */
+		dropFragments(id, errMsg){
+			let set = this.fragments.get(id);
+			if (set){
+				clearTimeout(set.timeoutHandle);
+				this.fragmentsSize -= set.size;
+				this.fragments.delete(id);
+			}
+			this.logger(0, errMsg);
+		}
+
+		/**
+		 * compress: compress a message (see transmit); messages that do not get smaller are returned uncompressed.
+		 * Compressed frame: 1 byte (0x01: the message was a string, 0x02: it was binary) | the message compressed with deflate
+		 * @param {string / Uint8Array} message The encoded message
+		 * @returns {Uint8Array / Promise} The message to be sent (or a Promise resolving to it, if the compression is asynchronous)
+		 */
+		compress(message){
+			let start = Date.now();
+			let bytes = typeof(message)=='string' ? wsProcessor.text.encoder.encode(message) : wsProcessor.binaryBytes(message);
+			let finish = (compressed)=>{
+				let stats = this.compressionStats;
+				stats.time += Date.now()-start;
+				stats.uncompressedBytesSent += bytes.byteLength;
+				if (compressed.byteLength+1>=bytes.byteLength){
+					stats.incompressible++;
+					stats.compressedBytesSent += bytes.byteLength;
+					return message;
+				}
+				stats.compressedSent++;
+				stats.compressedBytesSent += compressed.byteLength+1;
+				let frame = new Uint8Array(compressed.byteLength+1);
+				frame[0] = typeof(message)=='string' ? 1 : 2;
+				frame.set(compressed, 1);
+				return frame;
+			}
+			let compressed = wsProcessor.compressor.compress(bytes, this.compression.level);
+			if (compressed instanceof Promise){
+				return compressed.then(finish);
+			}
+			return finish(compressed);
+		}
+
+		/**
+		 * decompress: decompress a compressed frame (see compress). Frames that cannot be decompressed or would get larger than maxReassemblySize are dropped (logged and reported to the other side).
+		 * @param {Uint8Array} bytes The compressed frame
+		 * @returns {string / Uint8Array / Promise} The message (or a Promise resolving to it, if the decompression is asynchronous); undefined if the frame was dropped
+		 */
+		decompress(bytes){
+			let finish = (decompressed)=>{
+				this.compressionStats.compressedReceived++;
+				this.compressionStats.compressedBytesReceived += bytes.byteLength;
+				this.compressionStats.uncompressedBytesReceived += decompressed.byteLength;
+				if (bytes[0]==1){
+					return wsProcessor.text.decoder.decode(decompressed);
+				}
+				return decompressed;
+			}
+			let failed = (err)=>{
+				let msg = `A compressed message (${bytes.byteLength} bytes) could not be decompressed and is dropped: ${err.message}`;
+				this.logger(0, msg);
+				this.sendError(msg);
+				return undefined;
+			}
+			let decompressed;
+			try {
+				decompressed = wsProcessor.compressor.decompress(bytes.subarray(1), this.maxReassemblySize);
+			} catch (err){
+				return failed(err);
+			}
+			if (decompressed instanceof Promise){
+				return decompressed.then(finish, failed);
+			}
+			return finish(decompressed);
+		}
+
+		/**
+		 * canSend: whether a message can be sent now or, with an established session, after the resumption.
+		 * @returns {boolean}
+		 */
+		canSend(){
+			return !this.closing || (this.session!==undefined && this.session.id!==undefined);
+		}
+
+		/**
+		 * confirmSession: the other side confirmed the arrival of the first "received" session messages; remove them from the buffer
+		 * @param {number} received The number of messages the other side received in this session
+		 */
+		confirmSession(received){
+			let buffer = this.session.buffer;
+			let i = 0;
+			while (i<buffer.length && buffer[i].n<=received){
+				i++;
+			}
+			buffer.splice(0, i);
+		}
+
+		/**
+		 * resumeSession: finish the session handshake: resend the messages not received by the other side and open the connection
+		 * @param {number} received The number of messages the other side received in this session
+		 */
+		resumeSession(received){
+			clearTimeout(this.session.graceHandle);
+			this.session.graceHandle = undefined;
+			this.confirmSession(received);
+			for (let b of this.session.buffer){
+				this.transmit(this.recode(this.updateTimeout(b.message, b.codec, b.stamp), b.codec), true, b.stamp);
+			}
+			this.logger(3, `Session ${this.session.id} opened; ${this.session.buffer.length} messages (re)sent.`);
+			this.completeOpen();
+		}
+
+		/**
+		 * endSession: the session cannot be resumed anymore: fail everything pending and start over with a new session on the next open.
+		 */
+		endSession(){
+			clearTimeout(this.session.graceHandle);
+			if (this.session.role=='server' && this.session.store.get(this.session.id)===this){
+				this.session.store.delete(this.session.id);
+			}
+			this.failPending();
+			this.session.id = undefined;
+			this.session.graceHandle = undefined;
+			this.session.sent = 0;
+			this.session.received = 0;
+			this.session.buffer = [];
+		}
+
+		/**
+		 * attachSession: called on the server on a new wsProcessor (bound to the new connection), when the client resumes the session of an old wsProcessor: the old wsProcessor takes over the new connection and the new one forwards everything to the old one.
+		 * @param {wsProcessor} old The wsProcessor with the session to resume
+		 * @param {number} received The number of messages the client received in this session
+		 */
+		attachSession(old, received){
+
+			old.sendingFunc = this.sendingFunc;
+			old.closingFunc = this.closingFunc;
+			old.codecSend = this.codecSend;
+			old.codecReceive = this.codecReceive;
+			old.compressSend = this.compressSend;
+			old.compressReceive = this.compressReceive;
+			old.peer = this.peer;
+			old.bufferedAmount = this.bufferedAmount;
+
+			// forward everything to the old wsProcessor (the application might still use this one)
+			this.delegate = old;
+			for (let name of ['onMessage', 'close', 'sendNote', 'sendRequest', 'request', 'note', 'requestStream', 'cancel', 'handle', 'removeHandler', 'onNote', 'removeNoteHandler', 'subscribe', 'unsubscribe', 'publish', 'drained', 'sendBatch', 'handleBatch']){
+				this[name] = (...args)=>old[name](...args);
+			}
+
+			// messages already sent to this wsProcessor belong to the resumed session
+			for (let b of this.session.buffer){
+				old.sendMessage(this.updateTimeout(b.message, b.codec, b.stamp), b.codec, b.stamp);
+			}
+			this.session.buffer = [];
 
+			let mess = {
+				type: 'sessionWelcome',
+				id: old.session.id,
+				received: old.session.received,
+				resumed: true,
+			}
+			old.transmit(this.encode(mess));
+			old.resumeSession(received);
 		}
 
 		sendHeartbeat(){
@@ -279,14 +1013,17 @@
 			mess.type = "ping";
 			//mess.stamp = this.uuidv4(); // actually not really needed here, but soemwhere defined as a requirement
 			mess.data = nHB;
-			let messStr = JSON.stringify(mess);
+			if (this.session){
+				mess.received = this.session.received;
+			}
+			let messStr = this.encode(mess);
 
 			// set the current time right before sending the message, for an accurate RTT calculation
 			let d = new Date();
 			HB.time = d.getTime(); //get current time (milliseconds since 1.1.1970);
 
 			// send
-			this.sendingFunc(messStr);
+			this.transmit(messStr);
 
 			this.logger(4, `Ping sent ${nHB}` );
 
@@ -314,219 +1051,2272 @@
 		}
 	
 		/**
-		 * sendError: send an error message back to the client
-		 * @param {string} error The error message to be sent 
+		 * handle: add (or replace) the handler for requests with the given method. Requests without matching handler are given to incomingRequestFunc or, if there is none, answered with failureCodes.methodNotFound.
+		 * @param {string} method The method, as given in opt.method of sendRequest
+		 * @param {function} handler (request, responseFunc, context)=>{}; the same as incomingRequestFunc
+		 * @param {object} opt Optional, the options object
+		 * @param {object / function} opt.schema Optional; The schema of the request (see validator). Invalid requests are answered with failureCodes.validationFailed and {message, errors} without calling the handler.
+		 * @param {object / function} opt.responseSchema Optional; The schema of the (successful) responses. Invalid responses are not sent; instead, the request is answered with failureCodes.handlerError and {message, errors}.
 		 */
-		sendError(error){
-			var mess = {};
-			mess.type = "error";
-			mess.data = error;
-			let messStr = JSON.stringify(mess);
-			this.logger(3, `Error sent per ws: ${messStr}` )
-			this.sendingFunc(messStr);
+		handle(method, handler, opt={}){
+			this.requestHandlers.set(method, handler);
+			this.requestSchemas.delete(method);
+			if (opt.schema || opt.responseSchema){
+				this.requestSchemas.set(method, {
+					request: opt.schema ? wsProcessor.validator(opt.schema) : undefined,
+					response: opt.responseSchema ? wsProcessor.validator(opt.responseSchema) : undefined,
+				});
+			}
 		}
-	
+
 		/**
-		 * sendNote: send a note with or without acknwoledgement to B. The parameters are mostly the same as for the response of a request
-		 * On success (=message recieved by B and on ws-extended-level successfully parsed), the cbAck (errCode, errMsg) callback is executed with errCode=0. If the connection closes before the ack arrives, errCode=2. If there is no ack arriving within the given timeout (by default 5s), cbAck is called with errCode=1. 
-		 * Failure codes:  
-		 * - fail 1: ack does not arrive on time (to be handled here)
- 		 * - fail 2: before timeout, the connection is deemed broken (to be handled in close)
-		 * @param {string / binary} message The message to be sent as string or binary. 
-		 * @param {object} opt Optional; Object storing parameters for the transmission.:
-		 * @param {boolead} opt.sendAck Optional; default=false; Whether the request shall be acknowledged, i.e. cbAck callback is called with errCode=0 when the requestAck arrives. 
-		 * @param {number} opt.ackTimeout (default=5s) The duration in seconds to wait for an ack. If the ack did not yet arrive after this duration, the chAck-callback is raised with code 1. 
-		 * @param {callback} cbAck Only if opt.sendAck = true. A callback called when the requestAck arrives. ("err"Code, errMsg)=>{}. errCode = 0 if the ack arrived successfully. errCode=1 if cbAck is called due to the timeout (if set), errCode=2 if the connection is lost before the ack arrived.
+		 * removeHandler: remove the handler (and the schemas) for requests with the given method.
+		 * @param {string} method
+		 * @returns {boolean} true if there was a handler
 		 */
-		sendNote(note, opt={}, cbAck=(errCode, errMsg)=>{}){
-
-			// initialize the options of the response
-			opt.sendAck = opt.sendAck || false;
-			opt.ackTimeout = opt.ackTimeout || 5; // The duration in seconds to wait for an ack. 
-
-			var uuid = this.uuidv4(); // get the unique ID for this transmission
-			// prepare message to be sent
-			var mess = {}
-			mess.type = "note"; // will be answered with noteAck, if everything goes as expected
-			mess.sendAck = opt.sendAck;
-			mess.stamp = uuid;
-			mess.data = note;
-			let messString = JSON.stringify(mess);
-	
-			if (opt.sendAck){
-				// create everything needed to wait for the ack
-				let stackObj = {}
-				stackObj.cbAck = cbAck;
-				stackObj.message = messString;
-				stackObj.stamp = uuid;
-				stackObj.opt = opt;
-				this.stackNote[uuid] = stackObj;
-
-				// start the timeout for the ack. In contrast to the request 
-				stackObj.ackTimeoutHandle = setTimeout(()=>{
-
-					let errMsg = `No ack arrived within the timeout (${opt.ackTimeout}s) of message ${stackObj.message}. `;
-					stackObj.cbAck(2, errMsg)
+		removeHandler(method){
+			this.requestSchemas.delete(method);
+			return this.requestHandlers.delete(method);
+		}
 
-					this.logger(1, errMsg) // write message to log. Only in debugging-mode, as in general the sending function should decide to log or not in the failure callback
+		/**
+		 * onNote: add (or replace) the handler for notes with the given method. Notes without matching handler are given to incomingNoteFunc. 
+		 * @param {string} method The method, as given in opt.method of sendNote
+		 * @param {function} handler (note, context)=>{}; the same as incomingNoteFunc
+		 * @param {object} opt Optional, the options object
+		 * @param {object / function} opt.schema Optional; The schema of the note (see validator). Invalid notes are not given to the handler, but logged; if the note requested an ack, a nack (noteAck with failureCodes.validationFailed and {message, errors}) is sent instead.
+		 */
+		onNote(method, handler, opt={}){
+			this.noteHandlers.set(method, handler);
+			this.noteSchemas.delete(method);
+			if (opt.schema){
+				this.noteSchemas.set(method, wsProcessor.validator(opt.schema));
+			}
+		}
 
-					// delete the stackObject
-					delete this.stackNote[uuid];
+		/**
+		 * removeNoteHandler: remove the handler (and the schema) for notes with the given method.
+		 * @param {string} method
+		 * @returns {boolean} true if there was a handler
+		 */
+		removeNoteHandler(method){
+			this.noteSchemas.delete(method);
+			return this.noteHandlers.delete(method);
+		}
 
-				},opt.ackTimeout*1000)
+		/**
+		 * handleBatch: set the handler for batches of requests (see sendBatch), e.g. to process all of them in one database transaction. Without batch handler, the requests of a batch are processed one by one with the request handlers (see processBatch).
+		 * @param {function} handler (requests, responseFunc, context)=>{}; requests: [{method, data}]; context: the same as for incomingRequestFunc. The handler responds either with an array with the response of every request (all succeeded) or with a failure of the batch as a whole (responseFunc(errMsg, failureCode)), e.g. when nothing was applied. Before, every request is checked like a single request: without request handler for its method (and without incomingRequestFunc), the batch is answered with failureCodes.methodNotFound; if it does not match the schema of its method (see handle), with failureCodes.validationFailed (the paths of the errors start with /index/data). undefined removes the handler.
+		 */
+		handleBatch(handler){
+			this.batchHandler = handler;
+		}
 
+		/**
+		 * processBatch: process the requests of a batch one by one, if there is no batch handler (see handleBatch): every request is given to its handler (see handle; incomingRequestFunc otherwise) after the previous one was responded. When all are done, the batch is answered with the results of all requests.
+		 * @param {array} items The requests of the batch: [{method, data}]
+		 * @param {function} responseFunc The response function of the batch
+		 * @param {object} context The context of the batch
+		 * @returns {Promise} Resolves when the batch was answered (i.e. autoRespond does not answer it before)
+		 */
+		processBatch(items, responseFunc, context){
+			let results = [];
+			let answered;
+			let promise = new Promise((resolve)=>{
+				answered = resolve;
+			});
+			// requests responded synchronously continue the loop instead of starting the next one recursively
+			let looping = false;
+			let next = ()=>{
+				if (looping){
+					return;
+				}
+				looping = true;
+				while (results.length<items.length){
+					let index = results.length;
+					this.processBatchItem(items[index], index, context, (result)=>{
+						results.push(result);
+						next();
+					});
+					if (results.length==index){
+						// responded asynchronously
+						break;
+					}
+				}
+				looping = false;
+				if (results.length==items.length){
+					responseFunc(results);
+					answered();
+				}
 			}
-			
-			// send the message
-			this.logger(3, `NoteAck sent per ws: ${messString}` )
-			this.sendingFunc(messString);
+			next();
+			return promise;
 		}
 
 		/**
-		 * sendRequest: send a request. wait for an answer for some seconds
-		 * @param {string / object / binary} message The message to be sent as string or binary. 
-		 * @param {callback} cbSuccess A callback with the response as parameter.
-		 * @param {callback} cbFailure A callback with two parameters: errorCode (int), errorMessage (string)
-		 * @param {object} opt Optional; Object storing parameters for the transmission.:
-		 * @param {number} opt.requestTimeout Optional; default=10s; The duration in seconds to wait for the response. 
-		 * @param {boolead} opt.sendAck Optional; default=false; Whether the request shall be acknowledged, i.e. cbAck callback is called with errCode=0 when the requestAck arrives. 
-		 * @param {number} opt.ackTimeout (default=0=no timeout) The duration in seconds to wait for an ack. If the ack did not yet arrive after this duration, the chAck-callback is raised with code 1. This does NOT delete the request from the stack, i.e. the timeout for the actual request keeps running! The request is never stopped before the requestTimeout, connection failure or when the request arrives. 
-		 * @param {callback} cbAck Only if opt.acknowledge = true. A callback called when the requestAck arrives. (errCode, errMsg)=>{}. errCode = 0 if the ack arrived successfully. errCode=1 if cback is called due to the timeout (if set)
+		 * processBatchItem: process a request of a batch (see processBatch) like a single request: the same handler, validation and failureCodes
+		 * @param {object} item The request: {method, data}
+		 * @param {number} index The index of the request in the batch (given to the handler in context.index)
+		 * @param {object} context The context of the batch
+		 * @param {function} done (result)=>{}; called once with the result: {failureCode, data}
 		 */
-		sendRequest (request, cbSuccess=(response)=>{}, cbFailure=(errCode, errMsg)=>{}, opt={}, cbAck=(statusCode, statusMsg)=>{}){
-
-			// initialize the options of the request
-			opt.requestTimeout = opt.requestTimeout || 10; // The duration in seconds to wait for an answer
-			opt.sendAck = opt.sendAck || false;
-			opt.ackTimeout = opt.ackTimeout || 0; // The duration in seconds to wait for an ack. 
+		processBatchItem(item, index, context, done){
+			item = item || {};
+			let schemas = this.requestSchemas.get(item.method);
+			let responded = false;
+			let itemResponseFunc = (response, failureCode=0)=>{
+				if (responded){
+					this.logger(1, `There was already a response to the request ${index} of the batch ${context.stamp}. The additional response is ignored: ${response}`);
+					return;
+				}
+				responded = true;
+				if (failureCode==0 && schemas && schemas.response){
+					let errors = schemas.response(response);
+					if (errors.length>0){
+						let msg = `The response to the request with method ${item.method} is invalid.`;
+						this.logger(0, `${msg} ${errors.map(e=>`${e.path}: ${e.message}`).join('; ')}. Response: ${response}`);
+						response = {message: msg, errors: errors};
+						failureCode = wsProcessor.failureCodes.handlerError;
+					}
+				}
+				// undefined would not be transmitted
+				done({failureCode: failureCode, data: response===undefined ? null : response});
+			}
+			let handlerFailed = (err)=>{
+				this.logger(1, `The request handler failed: ${err}. Request ${index} of the batch ${context.stamp}.`);
+				if (!responded){
+					let failure = wsProcessor.failureFromError(err);
+					itemResponseFunc(failure.message, failure.failureCode);
+				}
+			}
+
+			let handler = this.requestHandlers.get(item.method) || this.incomingRequestFunc;
+			if (typeof(handler)!='function'){
+				itemResponseFunc(`There is no handler for the method ${item.method}.`, wsProcessor.failureCodes.methodNotFound);
+				return;
+			}
+			if (schemas && schemas.request){
+				let errors = schemas.request(item.data);
+				if (errors.length>0){
+					itemResponseFunc({message: `The request with method ${item.method} is invalid.`, errors: errors}, wsProcessor.failureCodes.validationFailed);
+					return;
+				}
+			}
+
+			// the context of the batch, with the method and index of this request
+			let itemContext = Object.assign({}, context, {method: item.method, index: index, stream: undefined});
+			let ret;
+			try {
+				ret = handler(item.data, itemResponseFunc, itemContext);
+			} catch (err){
+				handlerFailed(err);
+				return;
+			}
+			if (ret && typeof(ret.then)=='function'){
+				ret.then((value)=>{
+					if (this.autoRespond && !responded){
+						itemResponseFunc(value);
+					}
+				}, handlerFailed);
+			} else if (this.autoRespond && !responded){
+				itemResponseFunc(ret);
+			}
+		}
+
+		/**
+		 * dispatchNote: give an incoming note to the matching subscriptions or to its handler
+		 * @param {object} message The note
+		 * @param {string} messageRaw The raw message (for logging)
+		 */
+		dispatchNote(message, messageRaw){
+			// published note: give it to every matching subscription
+			if (message.topic!==undefined){
+				let found = false;
+				for (let [pattern, handler] of this.subscriptions){
+					if (wsProcessor.topicMatches(pattern, String(message.topic))){
+						found = true;
+						this.callNoteHandler(handler, message.data, {stamp: message.stamp, topic: message.topic, priority: message.priority || 0}, messageRaw);
+					}
+				}
+				if (!found){
+					// e.g. unsubscribed just before
+					this.logger(1, `There is no subscription for the topic ${message.topic}. The note is dropped: ${messageRaw}`);
+				}
+				return;
+			}
+
+			// find the handler
+			let handler = this.noteHandlers.get(message.method) || this.incomingNoteFunc;
+			if (typeof(handler)!='function'){
+				this.logger(1, `There is no handler for the note with method ${message.method}. The note is dropped: ${messageRaw}`);
+				return;
+			}
+
+			// process the message
+			this.callNoteHandler(handler, message.data, {stamp: message.stamp, method: message.method, priority: message.priority || 0}, messageRaw);
+		}
+
+		/**
+		 * nextSequence: the next sequence number of ordered notes of a channel
+		 * @param {string} channel
+		 * @returns {number}
+		 */
+		nextSequence(channel){
+			let sending = this.orderedSend.get(channel);
+			if (!sending){
+				sending = {seq: 0, history: new Map()};
+				this.orderedSend.set(channel, sending);
+			}
+			return ++sending.seq;
+		}
+
+		/**
+		 * keepOrdered: keep the last ordered notes of a channel (ordering.historySize), so that they can be resent when the other side misses them
+		 * @param {string} channel
+		 * @param {number} seq
+		 * @param {string / Uint8Array} messString The encoded note
+		 */
+		keepOrdered(channel, seq, messString){
+			let history = this.orderedSend.get(channel).history;
+			history.delete(seq);
+			history.set(seq, {message: messString, codec: this.codecSend.name});
+			while (history.size>this.ordering.historySize){
+				history.delete(history.keys().next().value);
+			}
+		}
+
+		/**
+		 * resendOrdered: resend ordered notes the other side misses, as far as they are still kept
+		 * @param {string} channel
+		 * @param {number} from The first missing sequence number
+		 * @param {number} to The last missing sequence number
+		 */
+		resendOrdered(channel, from, to){
+			if (!Number.isInteger(from) || !Number.isInteger(to) || from>to){
+				let msg = `Invalid resend of the ordered notes ${from}-${to} of channel ${channel}.`;
+				this.logger(0, msg);
+				this.sendError(msg);
+				return;
+			}
+			let sending = this.orderedSend.get(channel);
+			let resent = 0;
+			// the range comes from the other side; thus, only go through the notes kept (at most ordering.historySize)
+			for (let [seq, h] of (sending ? sending.history : [])){
+				if (seq>=from && seq<=to){
+					this.sendMessage(h.message, h.codec);
+					resent++;
+				}
+			}
+			this.logger(1, `The other side misses the ordered notes ${from}-${to} of channel ${channel}; ${resent} of them resent.`);
+		}
+
+		/**
+		 * receiveOrdered: process the ordered notes of a channel in order: notes arriving early are kept (up to ordering.bufferSize) until the missing ones arrive. If the gap is not filled within ordering.gapTimeout, the other side is asked to resend the missing notes; if it is still not filled after another gapTimeout (or the buffer is full), the gap is reported to ordering.onGap and skipped.
+		 * @param {object} message The note
+		 * @param {string} messageRaw The raw message (for logging)
+		 * @param {boolean} valid Whether the note is valid (invalid notes are not given to the handler)
+		 */
+		receiveOrdered(message, messageRaw, valid){
+			let channel = String(message.channel);
+			let receiving = this.orderedReceive.get(channel);
+			if (!receiving){
+				receiving = {next: 1, buffer: new Map(), gapHandle: undefined, resendRequested: false};
+				this.orderedReceive.set(channel, receiving);
+			}
+			if (message.seq<receiving.next || receiving.buffer.has(message.seq)){
+				this.logger(1, `The ordered note ${message.seq} of channel ${channel} arrived twice and is not processed again.`);
+				return;
+			}
+			receiving.buffer.set(message.seq, valid ? {message: message, messageRaw: messageRaw} : null);
+
+			if (receiving.buffer.size>this.ordering.bufferSize){
+				this.skipGap(channel, `the buffer is full (${this.ordering.bufferSize} notes)`);
+				return;
+			}
+			this.deliverOrdered(channel);
+		}
+
+		/**
+		 * deliverOrdered: give the buffered notes of a channel to the handlers as long as there is no gap; (re)start the gap timeout otherwise
+		 * @param {string} channel
+		 */
+		deliverOrdered(channel){
+			let receiving = this.orderedReceive.get(channel);
+			let delivered = false;
+			while (receiving.buffer.has(receiving.next)){
+				let b = receiving.buffer.get(receiving.next);
+				receiving.buffer.delete(receiving.next);
+				receiving.next++;
+				delivered = true;
+				if (b){
+					this.dispatchNote(b.message, b.messageRaw);
+				}
+			}
+
+			if (receiving.buffer.size==0){
+				clearTimeout(receiving.gapHandle);
+				receiving.gapHandle = undefined;
+				receiving.resendRequested = false;
+				return;
+			}
+			if (delivered || receiving.gapHandle===undefined){
+				// a new gap
+				clearTimeout(receiving.gapHandle);
+				receiving.resendRequested = false;
+				receiving.gapHandle = setTimeout(()=>this.onGapTimeout(channel), this.ordering.gapTimeout*1000);
+			}
+		}
+
+		/**
+		 * onGapTimeout: the gap of a channel was not filled within the timeout: ask for a resend the first time, skip it the second time
+		 * @param {string} channel
+		 */
+		onGapTimeout(channel){
+			let receiving = this.orderedReceive.get(channel);
+			receiving.gapHandle = undefined;
+			if (receiving.resendRequested){
+				this.skipGap(channel, `it was not filled within ${2*this.ordering.gapTimeout}s`);
+				return;
+			}
+			receiving.resendRequested = true;
+			let to = Math.min(...receiving.buffer.keys()) - 1;
+			this.sendMessage(this.encode({type: 'resend', channel: channel, from: receiving.next, to: to}));
+			receiving.gapHandle = setTimeout(()=>this.onGapTimeout(channel), this.ordering.gapTimeout*1000);
+		}
+
+		/**
+		 * skipGap: give up waiting for the missing notes of a channel: report the gap and continue with the next buffered note
+		 * @param {string} channel
+		 * @param {string} reason
+		 */
+		skipGap(channel, reason){
+			let receiving = this.orderedReceive.get(channel);
+			clearTimeout(receiving.gapHandle);
+			receiving.gapHandle = undefined;
+			let from = receiving.next;
+			let to = Math.min(...receiving.buffer.keys()) - 1;
+			receiving.next = to + 1;
+			this.logger(0, `The ordered notes ${from}-${to} of channel ${channel} are skipped, since ${reason}.`);
+			try {
+				this.ordering.onGap(channel, from, to);
+			} catch (err){
+				this.logger(0, `ordering.onGap failed: ${err}`);
+			}
+			this.deliverOrdered(channel);
+		}
+
+		/**
+		 * resetOrdering: start over with the sequence numbers (new connection without session)
+		 */
+		resetOrdering(){
+			for (let receiving of this.orderedReceive.values()){
+				clearTimeout(receiving.gapHandle);
+			}
+			this.orderedReceive.clear();
+			this.orderedSend.clear();
+		}
+
+		/**
+		 * subscribe: subscribe to a topic, i.e. notes published by the other side (see publish) with a matching topic are given to the handler. The subscription is sent to the other side immediately or, if the connection is not open, on open. The subscriptions are kept on close and announced again on every open (i.e. after a reconnect also to a new wsProcessor of the other side), until unsubscribe is called.
+		 * @param {string} topic The topic or a topic pattern; topics are separated in levels by "/"; in patterns "+" matches exactly one level and "#" (only as last level) any number of levels, e.g. "sensors/+/temperature" or "sensors/#".
+		 * @param {function} handler (note, context)=>{}; context: {stamp, topic, priority}
+		 */
+		subscribe(topic, handler){
+			this.subscriptions.set(topic, handler);
+			if (!this.closing){
+				this.sendSubscription('subscribe', topic);
+			}
+		}
+
+		/**
+		 * unsubscribe: end a subscription created with subscribe.
+		 * @param {string} topic The same topic (pattern) as given to subscribe
+		 * @returns {boolean} true if the subscription existed
+		 */
+		unsubscribe(topic){
+			let existed = this.subscriptions.delete(topic);
+			if (existed && !this.closing){
+				this.sendSubscription('unsubscribe', topic);
+			}
+			return existed;
+		}
+
+		/**
+		 * publish: send a note for the topic, but only if the other side subscribed to a matching topic (pattern). To publish to all connections, call publish for every wsProcessor.
+		 * @param {string} topic The topic (without wildcards)
+		 * @param {any} payload The data of the note
+		 * @param {object} opt Optional; the options of sendNote
+		 * @param {callback} cbAck Optional; the cbAck of sendNote
+		 * @returns {boolean} true if the note was sent, false if the other side is not subscribed to the topic
+		 */
+		publish(topic, payload, opt={}, cbAck=(errCode, errMsg)=>{}){
+			let subscribed = false;
+			for (let pattern of this.remoteSubscriptions){
+				if (wsProcessor.topicMatches(pattern, topic)){
+					subscribed = true;
+					break;
+				}
+			}
+			if (!subscribed){
+				return false;
+			}
+			opt.topic = topic;
+			this.sendNote(payload, opt, cbAck);
+			return true;
+		}
+
+		/**
+		 * sendSubscription: send a subscription control message
+		 * @param {string} type "subscribe" or "unsubscribe"
+		 * @param {string} topic The topic (pattern)
+		 */
+		sendSubscription(type, topic){
+			let mess = {
+				type: type,
+				topic: topic,
+			};
+			let messString = this.encode(mess);
+			this.logger(3, `Subscription sent per ws: ${messString}`);
+			this.sendMessage(messString);
+		}
+
+		/**
+		 * topicMatches: check whether the topic matches the pattern (see subscribe)
+		 * @param {string} pattern The topic pattern, e.g. "sensors/+/temperature" or "sensors/#"
+		 * @param {string} topic The topic, e.g. "sensors/kitchen/temperature"
+		 * @returns {boolean}
+		 */
+		static topicMatches(pattern, topic){
+			let p = pattern.split('/');
+			let t = topic.split('/');
+			for (let i=0; i<p.length; i++){
+				if (p[i]=='#'){
+					return true;
+				}
+				if (i>=t.length || (p[i]!='+' && p[i]!=t[i])){
+					return false;
+				}
+			}
+			return p.length==t.length;
+		}
+
+		/**
+		 * callNoteHandler: call a note handler and make sure that an error in the handler (synchronous or asynchronous) does not break the processing of further messages.
+		 * @param {function} handler The handler
+		 * @param {any} data The data of the note
+		 * @param {object} context The context given as second parameter to the handler
+		 * @param {string} messageRaw The raw message (for logging)
+		 */
+		callNoteHandler(handler, data, context, messageRaw){
+			try{
+				let ret = handler(data, context);
+				if (ret && typeof(ret.then)=='function'){
+					ret.then(undefined, (err)=>{
+						this.logger(0, `The note handler failed asynchronously: ${err}. Note: ${messageRaw}`);
+					})
+				}
+			} catch (err){
+				this.logger(0, `The note handler failed: ${err}. Note: ${messageRaw}`);
+			}
+		}
+
+		/**
+		 * scheduleIncoming: start the handler of an incoming request, if less than maxConcurrentIncoming handlers are running; otherwise, put it into the incoming queue (in the order of arrival or by priority, see opt.incomingQueue) or, if the queue is full, answer it with failureCodes.busy.
+		 * @param {object} incoming The entry of the request in stackIncoming, with run() (starts the handler) and priority
+		 * @param {function} responseFunc The response function of the request
+		 */
+		scheduleIncoming(incoming, responseFunc){
+			if (this.incomingRunning<this.maxConcurrentIncoming){
+				this.startIncoming(incoming);
+				return;
+			}
+			if (this.incomingQueue.length>=this.incomingQueueOpt.maxLength){
+				this.incomingStats.rejected++;
+				let msg = `Too many requests are being processed (${this.incomingRunning} running, ${this.incomingQueue.length} waiting). Retry later.`;
+				this.logger(1, `${msg} The request ${incoming.stamp} is rejected (${this.incomingStats.rejected} so far).`);
+				responseFunc(msg, wsProcessor.failureCodes.busy);
+				return;
+			}
+			let i = -1;
+			if (this.incomingQueueOpt.order=='priority'){
+				// behind the requests with the same or higher priority
+				i = this.incomingQueue.findIndex((queued)=>queued.priority<incoming.priority);
+			}
+			this.incomingQueue.splice(i<0 ? this.incomingQueue.length : i, 0, incoming);
+			incoming.queued = true;
+			this.reportIncoming();
+		}
+
+		/**
+		 * startIncoming: start the handler of an incoming request (see scheduleIncoming)
+		 * @param {object} incoming The entry of the request in stackIncoming
+		 */
+		startIncoming(incoming){
+			incoming.queued = false;
+			incoming.running = true;
+			this.incomingRunning++;
+			incoming.run();
+		}
+
+		/**
+		 * releaseIncoming: an incoming request is finished (responded, cancelled or the connection closed): remove it from the incoming queue or, if it was running, start the next requests in the queue. Can be called several times.
+		 * @param {object} incoming The entry of the request in stackIncoming
+		 */
+		releaseIncoming(incoming){
+			clearTimeout(incoming.deadlineHandle);
+			if (incoming.queued){
+				this.incomingQueue.splice(this.incomingQueue.indexOf(incoming), 1);
+				incoming.queued = false;
+				this.reportIncoming();
+				return;
+			}
+			if (!incoming.running){
+				return;
+			}
+			incoming.running = false;
+			this.incomingRunning--;
+
+			// handlers responding synchronously would release the next request recursively; the loop below takes care of them
+			if (this.startingIncoming){
+				return;
+			}
+			this.startingIncoming = true;
+			try {
+				let started = false;
+				while (this.incomingQueue.length>0 && this.incomingRunning<this.maxConcurrentIncoming){
+					started = true;
+					this.startIncoming(this.incomingQueue.shift());
+				}
+				if (started){
+					this.reportIncoming();
+				}
+			} finally {
+				this.startingIncoming = false;
+			}
+		}
+
+		/**
+		 * reportIncoming: report the depth of the incoming queue (see maxConcurrentIncoming) to the logger, incomingStats and opt.incomingQueue.onDepth
+		 */
+		reportIncoming(){
+			let stats = this.incomingStats;
+			stats.queued = this.incomingQueue.length;
+			stats.maxQueued = Math.max(stats.maxQueued, stats.queued);
+			this.logger(3, `Incoming requests: ${this.incomingRunning} running, ${stats.queued} waiting.`);
+			try {
+				this.incomingQueueOpt.onDepth(stats.queued, this.incomingRunning);
+			} catch (err){
+				this.logger(0, `incomingQueue.onDepth failed: ${err}`);
+			}
+		}
+
+		/**
+		 * takeToken: take tokens from a token bucket; the bucket is refilled with rate tokens per second up to burst tokens.
+		 * @param {object} bucket {rate, burst, tokens, time}
+		 * @param {number} n Optional, default=1; the number of tokens
+		 * @returns {number} 0 if the tokens were taken; the seconds until they are available otherwise (Infinity if n is larger than burst)
+		 */
+		takeToken(bucket, n=1){
+			let now = Date.now();
+			bucket.tokens = Math.min(bucket.burst, bucket.tokens + (now-bucket.time)/1000*bucket.rate);
+			bucket.time = now;
+			if (bucket.tokens>=n){
+				bucket.tokens -= n;
+				return 0;
+			}
+			if (n>bucket.burst){
+				return Infinity;
+			}
+			return (n-bucket.tokens)/bucket.rate;
+		}
+
+		/**
+		 * checkRateLimit: check the rate limits (opt.rateLimit) of an incoming request or note. A message must be within all its limits (the one of its kind and the one of its method); a limited message does not use up tokens. A batch counts as one request per item, each with the method of the item. Closes the connection, if the other side exceeds the limits repeatedly (closeAfter).
+		 * @param {string} kind "request" or "note"
+		 * @param {string / array} method The method of the message (if any); for batches the methods of all items
+		 * @returns {number} 0 if the message may be processed; otherwise the seconds after which it may be sent again (retryAfter; Infinity if a batch has more items than a limit allows at once)
+		 */
+		checkRateLimit(kind, method){
+			if (!this.rateLimit){
+				return 0;
+			}
+			// the number of tokens needed per bucket
+			let tokens = new Map();
+			for (let m of (Array.isArray(method) ? method : [method])){
+				for (let bucket of [this.rateLimit[kind], this.rateLimit.methods.get(m)]){
+					if (bucket!==undefined){
+						tokens.set(bucket, (tokens.get(bucket) || 0) + 1);
+					}
+				}
+			}
+			let buckets = Array.from(tokens.keys());
+			let retryAfter = 0;
+			for (let i=0; i<buckets.length; i++){
+				retryAfter = this.takeToken(buckets[i], tokens.get(buckets[i]));
+				if (retryAfter>0){
+					// give back the tokens taken so far
+					for (let j=0; j<i; j++){
+						buckets[j].tokens += tokens.get(buckets[j]);
+					}
+					break;
+				}
+			}
+			if (retryAfter==0){
+				return 0;
+			}
+
+			this.rateLimitStats[kind=='request' ? 'requests' : 'notes']++;
+			if (this.rateLimit.offenses && this.takeToken(this.rateLimit.offenses)>0 && !this.closing){
+				let reason = `The rate limits were exceeded repeatedly.`;
+				this.logger(0, `${reason} The connection is closed (${this.rateLimitStats.requests} requests and ${this.rateLimitStats.notes} notes limited so far).`);
+				this.closingFunc(wsProcessor.closeCodes.rateLimited, reason);
+				this.close();
+			}
+			// rounded up to ms
+			return Math.ceil(retryAfter*1000)/1000;
+		}
+
+		/**
+		 * isDuplicateNote: check whether a note with this stamp was already received (within duplicateRetention) and remember the stamp otherwise.
+		 * @param {string} stamp The stamp of the note
+		 * @returns {boolean} true if the note is a duplicate
+		 */
+		isDuplicateNote(stamp){
+			if (this.duplicateCacheSize<=0 || stamp===undefined){
+				return false;
+			}
+
+			// remove the expired stamps (the oldest are first)
+			let now = new Date().getTime();
+			for (let [s, time] of this.receivedNotes){
+				if (now - time <= this.duplicateRetention*1000){
+					break;
+				}
+				this.receivedNotes.delete(s);
+			}
+
+			if (this.receivedNotes.has(stamp)){
+				return true;
+			}
+
+			this.receivedNotes.set(stamp, now);
+			if (this.receivedNotes.size>this.duplicateCacheSize){
+				// delete the oldest
+				this.receivedNotes.delete(this.receivedNotes.keys().next().value);
+			}
+			return false;
+		}
+
+		/**
+		 * sendError: send an error message back to the client
+		 * @param {string} error The error message to be sent 
+		 */
+		sendError(error){
+			var mess = {};
+			mess.type = "error";
+			mess.data = error;
+			let messStr = this.encode(mess);
+			this.logger(3, `Error sent per ws: ${messStr}` )
+			this.transmit(messStr);
+		}
+	
+		/**
+		 * sendNote: send a note with or without acknwoledgement to B. The parameters are mostly the same as for the response of a request
+		 * On success (=message recieved by B and on ws-extended-level successfully parsed), the cbAck (errCode, errMsg) callback is executed with errCode=0. If the connection closes before the ack arrives, errCode=2. If there is no ack arriving within the given timeout (by default 5s), cbAck is called with errCode=1. 
+		 * Failure codes:  
+		 * - fail 1: ack does not arrive on time (to be handled here)
+ 		 * - fail 2: before timeout, the connection is deemed broken (to be handled in close)
+		 * @param {string / binary} message The message to be sent: anything that can be stringified to JSON or binary data (Buffer, ArrayBuffer, typed array or DataView), which is sent as binary frame and arrives as the same type (a Buffer arrives as Uint8Array in the browser). 
+		 * @param {object} opt Optional; Object storing parameters for the transmission.:
+		 * @param {boolead} opt.sendAck Optional; default=false; Whether the request shall be acknowledged, i.e. cbAck callback is called with errCode=0 when the requestAck arrives. 
+		 * @param {number} opt.ackTimeout (default=5s) The duration in seconds to wait for an ack. If the ack did not yet arrive after this duration, the chAck-callback is raised with code 1. 
+		 * @param {string} opt.method Optional; The method of the note, selecting the note handler on the receiver (see onNote).
+		 * @param {string} opt.topic Optional; The topic of the note; set by publish.
+		 * @param {object / boolean} opt.retry Optional; Send the note again (with the same stamp), when the ack did not arrive; only useful with opt.sendAck=true. true for the default settings or an object: see retryOptions; by default, only code 2 (ack timeout) is retried. cbAck is only called with the final outcome.
+		 * @param {string} opt.stamp Optional; The stamp of the note; default: a new uuid. (Used for retries.)
+		 * @param {number} opt.priority Optional, default=0; The priority of the note (see wsProcessor.priorities): notes and requests with higher priority leave the send queue (opt.priorityQueue and flow control) and the outbox first. Without priorityQueue and flow control, notes and requests are sent in the order of the calls. The priority is given to the receiver in the context of the handler.
+		 * @param {boolean / string} opt.ordered Optional; Deliver the note in order with the other ordered notes of the same channel (true = channel "default", or the name of the channel): the note gets a sequence number and the receiver gives the notes of a channel to the handlers in this order (see opt.ordering of the constructor).
+		 * @param {callback} cbAck Only if opt.sendAck = true. A callback called when the requestAck arrives. ("err"Code, errMsg)=>{}. errCode = 0 if the ack arrived successfully. errCode=1 if cbAck is called due to the timeout (if set), errCode=2 if the connection is lost before the ack arrived. If the other side rejected the note (e.g. failureCodes.validationFailed), errCode is the failureCode, errMsg the data of the nack and the third argument is true.
+		 * @returns {boolean} true if the note was given to the sendingFunc; false if it waits in the send queue (priorityQueue or flow control, see drained) or in the outbox.
+		 */
+		sendNote(note, opt={}, cbAck=(errCode, errMsg)=>{}){
 
-			var uuid = this.uuidv4(); // get the unique ID for this transmission
+			if (opt.retry){
+				return this.sendNoteWithRetry(note, opt, cbAck);
+			}
+
+			// initialize the options of the response
+			opt.sendAck = opt.sendAck || false;
+			opt.ackTimeout = opt.ackTimeout || 5; // The duration in seconds to wait for an ack. 
+			opt.priority = opt.priority || 0;
+
+			var uuid = opt.stamp || this.uuidv4(); // get the unique ID for this transmission
 			// prepare message to be sent
-			let mess = {};
-			mess.type = "request"; 
-			mess.sendAck = opt.sendAck; 
+			var mess = {}
+			mess.type = "note"; // will be answered with noteAck, if everything goes as expected
+			mess.sendAck = opt.sendAck;
 			mess.stamp = uuid;
-			mess.data = request;
-			
-			let messString = JSON.stringify(mess);
+			if (opt.priority!=0){
+				mess.priority = opt.priority;
+			}
+			if (opt.method!==undefined){
+				mess.method = opt.method;
+			}
+			if (opt.topic!==undefined){
+				mess.topic = opt.topic;
+			}
+			mess.data = note;
 
-			// create the object for the stack: stores everything needed/defined in this message
-			let stackObj = {};
-			stackObj.cbSuccess = cbSuccess;
-			stackObj.cbFailure = cbFailure;
-			stackObj.cbAck = cbAck;
-			stackObj.message = messString; 
-			stackObj.stamp = uuid;
-			
-			stackObj.opt = opt;
+			// throws if the message would be rejected by the outbox
+			this.checkOutbox();
+
+			// ordered delivery: sequence number per channel (retries keep the number of the first attempt)
+			let channel;
+			if (opt.ordered){
+				channel = opt.ordered===true ? 'default' : String(opt.ordered);
+				mess.channel = channel;
+				mess.seq = opt.seq || this.nextSequence(channel);
+				opt.seq = mess.seq;
+			}
+			let messString = this.encode(mess);
+			if (channel!==undefined){
+				this.keepOrdered(channel, mess.seq, messString);
+			}
+	
+			let stackObj = {}
+			if (opt.sendAck){
+				// create everything needed to wait for the ack
+				stackObj.cbAck = cbAck;
+				stackObj.message = messString;
+				stackObj.stamp = uuid;
+				stackObj.opt = opt;
+				this.stackNote[uuid] = stackObj;
+
+				// start the timeout for the ack. In contrast to the request 
+				stackObj.startTimeouts = ()=>{
+					stackObj.ackTimeoutHandle = setTimeout(()=>{
+
+						let errMsg = `No ack arrived within the timeout (${opt.ackTimeout}s) of message ${stackObj.message}. `;
+						stackObj.cbAck(2, errMsg)
+
+						this.logger(1, errMsg) // write message to log. Only in debugging-mode, as in general the sending function should decide to log or not in the failure callback
+
+						// delete the stackObject
+						delete this.stackNote[uuid];
+
+					},opt.ackTimeout*1000)
+				}
+
+			} else {
+				stackObj.startTimeouts = ()=>{};
+			}
+
+			let item = {
+				message: messString,
+				codec: this.codecSend.name,
+				stamp: uuid,
+				priority: opt.priority,
+				awaitsAnswer: opt.sendAck,
+				pending: ()=>{
+					return !opt.sendAck || this.stackNote[uuid]===stackObj;
+				},
+				startTimeouts: stackObj.startTimeouts,
+				onDropped: (errMsg)=>{
+					if (opt.sendAck && this.stackNote[uuid]===stackObj){
+						clearTimeout(stackObj.ackTimeoutHandle);
+						delete this.stackNote[uuid];
+						cbAck(1, errMsg);
+					}
+				},
+			}
+
+			if (this.closing && this.outboxOpt){
+				// the connection is not open: add to the outbox
+				this.enqueue(item);
+				return false;
+			}
+
+			// flow control: wait in the send queue, if the limits are reached
+			if (this.queueIfBusy(item)){
+				return false;
+			}
+			
+			// send the message
+			this.logger(3, `NoteAck sent per ws: ${messString}` )
+			this.sendItem(item);
+			return true;
+		}
+
+		/**
+		 * sendRequest: send a request. wait for an answer for some seconds
+		 * @param {string / object / binary} message The request to be sent: anything that can be stringified to JSON or binary data (Buffer, ArrayBuffer, typed array or DataView), which is sent as binary frame and arrives as the same type. 
+		 * @param {callback} cbSuccess A callback with the response as parameter.
+		 * @param {callback} cbFailure A callback with the parameters: errorCode (int), errorMessage (string), remote (boolean; true if the failure code was sent by the responding party, false for the failure codes 1.x and 2.x raised locally)
+		 * @param {object} opt Optional; Object storing parameters for the transmission.:
+		 * @param {number} opt.requestTimeout Optional; default=10s; The duration in seconds to wait for the response. It is sent with the request (except for streamed requests and with progressExtendsTimeout), so that the responding party knows its deadline (see the context of the request handler).
+		 * @param {number} opt.deadline Optional; The point in time (ms since 1.1.1970, like Date.now()) when the response must have arrived, e.g. context.deadline of an incoming request, to pass its remaining time on to a nested request. The requestTimeout is reduced accordingly (without requestTimeout, it is the time left until the deadline); if the deadline already passed, cbFailure is called with code 2 immediately.
+		 * @param {boolead} opt.sendAck Optional; default=false; Whether the request shall be acknowledged, i.e. cbAck callback is called with errCode=0 when the requestAck arrives. 
+		 * @param {number} opt.ackTimeout (default=0=no timeout) The duration in seconds to wait for an ack. If the ack did not yet arrive after this duration, the chAck-callback is raised with code 1. This does NOT delete the request from the stack, i.e. the timeout for the actual request keeps running! The request is never stopped before the requestTimeout, connection failure or when the request arrives. 
+		 * @param {string} opt.method Optional; The method of the request, selecting the request handler on the responding party (see handle).
+		 * @param {AbortSignal} opt.signal Optional; When the signal is aborted, the request is cancelled (see cancel).
+		 * @param {boolean} opt.stream Optional; default=false; Request a streamed response: the responding party may send any number of chunks before the final response. Every chunk is given to opt.onChunk; the final response is given to cbSuccess (or cbFailure) as usual. For streamed requests, the requestTimeout is an inactivity timeout, i.e. it is restarted on every chunk. 
+		 * @param {function} opt.onChunk Optional; (chunk)=>{}; called for every chunk of a streamed response.
+		 * @param {function} opt.onProgress Optional; (value, message)=>{}; called for every progress update sent by the request handler (context.progress).
+		 * @param {boolean} opt.progressExtendsTimeout Optional; default=false; If true, the requestTimeout is restarted on every progress update, i.e. a long running request does not time out as long as it reports progress.
+		 * @param {number} opt.priority Optional, default=0; The priority of the request (see wsProcessor.priorities): requests and notes with higher priority leave the send queue (opt.priorityQueue and flow control) and the outbox first (see opt.priority of sendNote). The priority is given to the responding party in the context of the handler (e.g. to process urgent requests first).
+		 * @param {object / boolean} opt.retry Optional; Send the request again (with the same stamp, so that the responding party does not process it twice while it is still processing it) after a failure. true for the default settings or an object: see retryOptions; by default, the codes 2 and 2.3 are retried. cbFailure is only called with the final outcome; cbAck is called once with code 0 and with an ack timeout only in the last attempt.
+		 * @param {string} opt.stamp Optional; The stamp of the request; default: a new uuid. (Used for retries.)
+		 * @param {boolean} opt.batch Optional; default=false; The request is a batch of requests (an array of {method, data}); see sendBatch.
+		 * @param {callback} cbAck Only if opt.acknowledge = true. A callback called when the requestAck arrives. (errCode, errMsg)=>{}. errCode = 0 if the ack arrived successfully. errCode=1 if cback is called due to the timeout (if set)
+		 * @returns {string} The stamp of the request, e.g. to cancel it.
+		 */
+		sendRequest (request, cbSuccess=(response)=>{}, cbFailure=(errCode, errMsg, remote)=>{}, opt={}, cbAck=(statusCode, statusMsg)=>{}){
+
+			if (opt.retry){
+				return this.sendRequestWithRetry(request, cbSuccess, cbFailure, opt, cbAck);
+			}
+
+			// initialize the options of the request
+			let progress = opt.onProgress!==undefined; // the requesting party wants progress updates (see autoRespond)
+			let timeLeft = opt.deadline!==undefined ? (opt.deadline-Date.now())/1000 : Infinity; // the time in seconds until the deadline
+			opt.requestTimeout = Math.min(opt.requestTimeout || (opt.deadline!==undefined ? timeLeft : 10), timeLeft); // The duration in seconds to wait for an answer
+			opt.sendAck = opt.sendAck || false;
+			opt.ackTimeout = opt.ackTimeout || 0; // The duration in seconds to wait for an ack. 
+			opt.stream = opt.stream || false;
+			opt.onChunk = opt.onChunk || ((chunk)=>{});
+			opt.onProgress = opt.onProgress || ((value, message)=>{});
+			opt.progressExtendsTimeout = opt.progressExtendsTimeout || false;
+			opt.priority = opt.priority || 0;
+
+			var uuid = opt.stamp || this.uuidv4(); // get the unique ID for this transmission
+
+			// the request might be cancelled already before it is sent
+			if (opt.signal && opt.signal.aborted){
+				cbFailure(3, `The request was cancelled before it was sent.`);
+				return uuid;
+			}
+
+			// no time left (e.g. the deadline of an incoming request was passed on)
+			if (opt.requestTimeout<=0){
+				cbFailure(2, `The deadline passed before the request was sent.`);
+				return uuid;
+			}
+
+			// prepare message to be sent
+			let mess = {};
+			mess.type = "request"; 
+			mess.sendAck = opt.sendAck; 
+			mess.stamp = uuid;
+			if (opt.method!==undefined){
+				mess.method = opt.method;
+			}
+			mess.data = request;
+			if (opt.stream){
+				mess.stream = true;
+			}
+			if (progress){
+				mess.progress = true;
+			}
+			if (opt.batch){
+				mess.batch = true;
+			}
+			if (opt.priority!=0){
+				mess.priority = opt.priority;
+			}
+			if (!opt.stream && !opt.progressExtendsTimeout){
+				// the time the responding party has (the requestTimeout is not a deadline, when it is restarted on chunks/progress)
+				mess.timeout = opt.requestTimeout;
+			}
+			
+			let messString = this.encode(mess);
+
+			// throws if the message would be rejected by the outbox
+			this.checkOutbox();
+
+			// create the object for the stack: stores everything needed/defined in this message
+			let stackObj = {};
+			stackObj.cbSuccess = cbSuccess;
+			stackObj.cbFailure = cbFailure;
+			stackObj.cbAck = cbAck;
+			stackObj.message = messString; 
+			stackObj.stamp = uuid;
+			
+			stackObj.opt = opt;
+
+			// add to stack
+			this.stackRequest[uuid] = stackObj;
+
+			// start the timeout until which the response must have arrived or otherwise the failureCB is raised
+			// (the function is stored on the stackObj, since streamed requests restart the timeout on every chunk)
+			stackObj.onRequestTimeout = ()=>{
+/*
+				*      - fail 2: (1) request timed out
+				*        - fail 2.1: (2+3) ... after ack arrived
+				*        - fail 2.2: (2) ... before ack arrived
+				*                    (3) ... before ack arrived and before ack timed out; this should not exist, since the ackTimeout should be smaller than the requestTimeout; thus, if the request times out, the ack already has timed out.
+				*        - fail 2.3: (3) ... after ack timed out
+*/
+				let errMsg;
+				if (stackObj.opt.sendAck){
+					
+					if (stackObj.opt.ackArrived){	
+						errMsg = `No response arrived within the timeout (${opt.requestTimeout}s), after the ack did arrive of message ${stackObj.message}.`;
+						stackObj.cbFailure(2.1, errMsg);
+					} else {
+						if (stackObj.opt.ackTimeout>0){
+							// an ack timeout was set
+
+							// when the request times out, the acknowledgement should actually already have timed out. However, check it here.
+							if (stackObj.opt.ackTimedOut){
+								errMsg = `No response arrived within the timeout (${opt.requestTimeout}s)  and also no ack arrived within the ackTimeout (${opt.ackTimeout}s) of message ${stackObj.message}. `;
+								stackObj.cbFailure(2.3, errMsg);
+							} else {
+								// should not occure
+
+								// delete the timeout
+								clearTimeout(stackObj.ackTimeoutHandle);
+
+								errMsg = `No response arrived within the timeout (${opt.requestTimeout}s), but the ackTimeout (${opt.ackTimeout}s) did not yet time out (should not happen, since the ackTimeout should always be smaller than the requestTimeout) of message ${stackObj.message}. `;
+								stackObj.cbFailure(2.2, errMsg);
+							}
+							
+						} else {
+							// ack would have been requested (without timeout), but did not arrive
+							errMsg = `No response arrived within the timeout (${opt.requestTimeout}s) and also no ack arrived so far of message ${stackObj.message}. `;
+							stackObj.cbFailure(2.2, errMsg);
+						}
+					}
+
+				} else {
+					
+					errMsg = `No response arrived within the request timeout (${opt.requestTimeout}s) of message ${stackObj.message}. `;
+					stackObj.cbFailure(2, errMsg)
+
+				}
+
+				this.logger(1, errMsg) // write message to log. 
+
+				// delete the object from the stack
+				this.removeAbortListener(stackObj);
+				delete this.stackRequest[stackObj.stamp];
+
+			}
+
+			// add an additional property to keep track of the ackStatus
+			if (opt.sendAck){
+				opt.ackArrived = false;
+			}
+
+			// the timeouts are started when the request is sent or, if the request is put into the outbox, depending on outboxOpt.timeoutStart
+			stackObj.startTimeouts = ()=>{
+				stackObj.requestTimeoutHandle = setTimeout(stackObj.onRequestTimeout, opt.requestTimeout*1000);
+				if (mess.timeout!==undefined){
+					// the point in time when the request times out (see updateTimeout)
+					stackObj.deadline = Date.now() + opt.requestTimeout*1000;
+				}
+
+				// timeout for the ack if opt.ackTimeout>0
+				if (opt.ackTimeout>0 && opt.sendAck){
+
+					opt.ackTimedOut = false;
+
+					stackObj.ackTimeoutHandle = setTimeout(()=>{
+						let statusMsg = `No ack arrived within the timeout (${opt.ackTimeout}s) of message ${stackObj.message}. `;
+						stackObj.cbAck(1, statusMsg)
+		
+						this.logger(1, statusMsg) // write message to log. Only in debugging-mode, as in general the sending function should decide to log or not in the failure callback
+
+						// delete the ackTimeoutHandle
+						delete stackObj.ackTimeoutHandle;
+
+						// note that the ack timedout 
+						opt.ackTimedOut=true;
+		
+					}, opt.ackTimeout*1000)
+				}
+			}
+
+			// cancel the request when the signal is aborted
+			if (opt.signal){
+				stackObj.abortListener = ()=>{
+					this.cancel(uuid);
+				}
+				opt.signal.addEventListener('abort', stackObj.abortListener);
+			}
+
+			let item = {
+				message: messString,
+				codec: this.codecSend.name,
+				stamp: uuid,
+				priority: opt.priority,
+				awaitsAnswer: true,
+				pending: ()=>{
+					return this.stackRequest[uuid]===stackObj;
+				},
+				startTimeouts: stackObj.startTimeouts,
+				onDropped: (errMsg)=>{
+					if (this.stackRequest[uuid]===stackObj){
+						clearTimeout(stackObj.requestTimeoutHandle);
+						clearTimeout(stackObj.ackTimeoutHandle);
+						this.removeAbortListener(stackObj);
+						delete this.stackRequest[uuid];
+						cbFailure(1, errMsg);
+					}
+				},
+			}
+
+			if (this.closing && this.outboxOpt){
+				// the connection is not open: add to the outbox
+				this.enqueue(item);
+				return uuid;
+			}
+
+			// flow control: wait in the send queue, if the limits are reached; the timeouts start when the request leaves the queue
+			if (this.queueIfBusy(item)){
+				return uuid;
+			}
+			
+			// finally, send the request
+			this.logger(3, `Request sent per ws: ${messString}` )
+			this.sendItem(item);
+
+			return uuid;
+		}
+
+		/**
+		 * checkOutbox: throw an OutboxFullError, if a note or request would be added to the outbox, but the outbox is full and its overflow policy is "reject".
+		 */
+		checkOutbox(){
+			if (this.closing && this.outboxOpt && this.outboxOpt.overflow=='reject' && this.outbox.length>=this.outboxOpt.maxSize){
+				let errMsg = `The connection is not open and the outbox is full (${this.outboxOpt.maxSize} messages). The message is rejected.`;
+				this.logger(1, errMsg);
+				throw new OutboxFullError(1, errMsg);
+			}
+		}
+
+		/**
+		 * enqueue: add a note or request to the outbox; it is sent on open.
+		 * @param {object} item The outbox item: 
+		 * @param {string} item.message The message to be sent
+		 * @param {string} item.codec The name of the codec of the message
+		 * @param {number} item.priority The priority (see wsProcessor.priorities)
+		 * @param {boolean} item.awaitsAnswer Whether a response or ack is expected (counted by flow control until it arrives)
+		 * @param {function} item.pending ()=>{return boolean}; whether the message still needs to be sent (e.g. false when the request timed out or was cancelled in the meantime)
+		 * @param {function} item.startTimeouts Starts the ack and request timeouts (when sent, if outboxOpt.timeoutStart='send'; immediately otherwise)
+		 * @param {function} item.onDropped (errMsg)=>{}; called when the message is dropped (overflow, expiry); calls the failure callbacks
+		 * @param {boolean} item.waited Set by flushOutbox, if the timeouts started in the outbox (see sendMessage)
+		 */
+		enqueue(item){
+
+			if (this.outboxOpt.timeoutStart!='send'){
+				item.startTimeouts();
+			}
+
+			if (this.outbox.length>=this.outboxOpt.maxSize){
+				if (this.outboxOpt.overflow=='dropOldest'){
+					this.dropFromOutbox(this.outbox.shift(), `The message was dropped from the outbox, since the outbox was full (${this.outboxOpt.maxSize} messages).`);
+				} else {
+					// dropNewest
+					this.dropFromOutbox(item, `The message was not added to the outbox, since the outbox is full (${this.outboxOpt.maxSize} messages).`);
+					return;
+				}
+			}
+
+			if (this.outboxOpt.expiry>0){
+				item.expiryHandle = setTimeout(()=>{
+					let i = this.outbox.indexOf(item);
+					if (i>=0){
+						this.outbox.splice(i, 1);
+					}
+					this.dropFromOutbox(item, `The message expired in the outbox after ${this.outboxOpt.expiry}s.`);
+				}, this.outboxOpt.expiry*1000);
+			}
+
+			this.outbox.push(item);
+			this.logger(3, `Message added to the outbox (${this.outbox.length} messages): ${item.message}`);
+		}
+
+		/**
+		 * dropFromOutbox: drop a message (already removed from the outbox) and call its failure callbacks
+		 * @param {object} item The outbox item
+		 * @param {string} errMsg The reason
+		 */
+		dropFromOutbox(item, errMsg){
+			clearTimeout(item.expiryHandle);
+			this.logger(1, `${errMsg} Message: ${item.message}`);
+			item.onDropped(errMsg);
+		}
+
+		/**
+		 * flushOutbox: send all messages in the outbox by priority and in order; called on open.
+		 */
+		flushOutbox(){
+			// higher priority first; otherwise in order
+			let items = this.outbox.sort((a, b)=>b.priority-a.priority);
+			this.outbox = [];
+			for (let item of items){
+				clearTimeout(item.expiryHandle);
+				if (!item.pending()){
+					continue;
+				}
+				if (this.outboxOpt.timeoutStart!='send'){
+					// already started when added to the outbox; thus, a request is sent with the time left
+					item.startTimeouts = ()=>{};
+					item.waited = true;
+				}
+				if (this.queueIfBusy(item)){
+					continue;
+				}
+				this.logger(3, `Message sent from the outbox: ${item.message}`);
+				this.sendItem(item);
+			}
+		}
+
+		/**
+		 * sendItem: send a note or request (see enqueue for the item) and start its timeouts
+		 * @param {object} item
+		 */
+		sendItem(item){
+			item.startTimeouts();
+			if (this.flowControl && item.awaitsAnswer){
+				this.inFlight.add(item);
+			}
+			this.sendMessage(item.message, item.codec, item.stamp, item.waited);
+		}
+
+		/**
+		 * queueIfBusy: with flow control, add a note or request to the send queue, if the limits are reached (see hasCapacity) or other messages are already waiting; with priorityQueue, always. The send queue is ordered by priority; control messages (heartbeats, acks, responses) are never queued.
+		 * @param {object} item The item (see enqueue)
+		 * @returns {boolean} true if the item was queued
+		 */
+		queueIfBusy(item){
+			if (!this.priorityQueue && (!this.flowControl || (this.sendQueue.length==0 && this.hasCapacity()))){
+				return false;
+			}
+			// behind the messages with the same or higher priority
+			let i = this.sendQueue.findIndex((queued)=>queued.priority<item.priority);
+			this.sendQueue.splice(i<0 ? this.sendQueue.length : i, 0, item);
+			this.logger(3, `Message added to the send queue (${this.sendQueue.length} messages): ${item.message}`);
+			// with priorityQueue, the messages of this call stack are sorted before they are sent
+			this.scheduleDrain(this.priorityQueue ? 0 : undefined);
+			return true;
+		}
+
+		/**
+		 * hasCapacity: whether another note or request can be sent now: with flow control, less than flowControl.maxInFlight messages are waiting for their response/ack and the websocket buffers at most flowControl.maxBufferedAmount bytes (if opt.bufferedAmount is given); with priorityQueue, the websocket buffers at most priorityQueue.maxBufferedAmount bytes
+		 * @returns {boolean}
+		 */
+		hasCapacity(){
+			let buffered = this.bufferedAmount ? this.bufferedAmount() : 0;
+			if (this.priorityQueue && buffered>this.priorityQueue.maxBufferedAmount){
+				return false;
+			}
+			if (!this.flowControl){
+				return true;
+			}
+			// forget the messages that got their response/ack, timed out or were cancelled in the meantime
+			for (let item of this.inFlight){
+				if (!item.pending()){
+					this.inFlight.delete(item);
+				}
+			}
+			if (this.inFlight.size>=this.flowControl.maxInFlight){
+				return false;
+			}
+			if (buffered>this.flowControl.maxBufferedAmount){
+				return false;
+			}
+			return true;
+		}
+
+		/**
+		 * scheduleDrain: check the send queue again after the pollInterval (of flowControl or priorityQueue; e.g. for timed out requests and the buffered amount, which do not raise an event)
+		 * @param {number} delay Optional, default = the pollInterval; the delay in seconds
+		 */
+		scheduleDrain(delay=(this.flowControl || this.priorityQueue).pollInterval){
+			if (this.drainHandle===undefined){
+				this.drainHandle = setTimeout(()=>{
+					this.drainHandle = undefined;
+					this.drainQueue();
+				}, delay*1000);
+			}
+		}
+
+		/**
+		 * drainQueue: send the messages waiting in the send queue, as far as the limits allow; resolve the Promises of drained when the queue is empty. Called when responses/acks arrive, on open and periodically while messages are waiting.
+		 */
+		drainQueue(){
+			if ((!this.flowControl && !this.priorityQueue) || this.closing){
+				return;
+			}
+			let bytes = 0;
+			while (this.sendQueue.length>0 && this.hasCapacity()){
+				if (this.priorityQueue && bytes>=this.priorityQueue.bytesPerTick){
+					// continue after the timers (e.g. the heartbeats) had their turn
+					this.scheduleDrain(0);
+					return;
+				}
+				let item = this.sendQueue.shift();
+				if (!item.pending()){
+					continue;
+				}
+				this.logger(3, `Message sent from the send queue: ${item.message}`);
+				bytes += typeof(item.message)=='string' ? item.message.length : item.message.byteLength;
+				this.sendItem(item);
+			}
+			if (this.sendQueue.length>0){
+				this.scheduleDrain();
+				return;
+			}
+			this.resolveDrained();
+		}
+
+		/**
+		 * resolveDrained: resolve the Promises returned by drained
+		 */
+		resolveDrained(){
+			let waiting = this.drainWaiting;
+			this.drainWaiting = [];
+			for (let resolve of waiting){
+				resolve();
+			}
+		}
+
+		/**
+		 * drained: wait until all notes and requests in the send queue (priorityQueue or flow control) have been sent. Producers sending many messages should wait for it when sendNote returns false.
+		 * @returns {Promise} Resolves when the send queue is empty (immediately, if it is empty already).
+		 */
+		drained(){
+			if (this.sendQueue.length==0){
+				return Promise.resolve();
+			}
+			return new Promise((resolve)=>{
+				this.drainWaiting.push(resolve);
+			});
+		}
+
+		/**
+		 * sendNoteWithRetry: sendNote with opt.retry; see sendNote
+		 */
+		sendNoteWithRetry(note, opt, cbAck){
+			let retry = wsProcessor.retryOptions(opt.retry, [2]);
+			let stamp = opt.stamp || this.uuidv4();
+			let seq = opt.seq; // the sequence number of ordered notes, assigned in the first attempt
+			let attempt = 0;
+			let sent;
+
+			let run = ()=>{
+				attempt++;
+				// every attempt gets its own options object, since sendNote stores the state in it
+				let optAttempt = Object.assign({}, opt, {retry: false, stamp: stamp, seq: seq});
+				sent = this.sendNote(note, optAttempt, (errCode, errMsg, remote=false)=>{
+					if (errCode!=0 && !remote && this.scheduleRetry(stamp, retry, attempt, errCode, errMsg, run, undefined, cbAck)){
+						return;
+					}
+					cbAck(errCode, errMsg, remote);
+				})
+				seq = optAttempt.seq;
+			}
+			run();
+			return sent;
+		}
+
+		/**
+		 * sendRequestWithRetry: sendRequest with opt.retry; see sendRequest
+		 * @returns {string} The stamp of the request (the same for all attempts)
+		 */
+		sendRequestWithRetry(request, cbSuccess, cbFailure, opt, cbAck){
+			let retry = wsProcessor.retryOptions(opt.retry, [2, 2.3]);
+			let stamp = opt.stamp || this.uuidv4();
+			let attempt = 0;
+			let ackReported = false;
+
+			let run = ()=>{
+				attempt++;
+				// every attempt gets its own options object, since sendRequest stores the state of the request in it
+				let optAttempt = Object.assign({}, opt, {retry: false, stamp: stamp});
+				this.sendRequest(request, cbSuccess, (errCode, errMsg, remote=false)=>{
+					if (!remote && this.scheduleRetry(stamp, retry, attempt, errCode, errMsg, run, opt.signal, cbFailure)){
+						return;
+					}
+					cbFailure(errCode, errMsg, remote);
+				}, optAttempt, (statusCode, statusMsg)=>{
+					if (statusCode==0){
+						if (!ackReported){
+							ackReported = true;
+							cbAck(statusCode, statusMsg);
+						}
+					} else if (attempt>=retry.attempts){
+						cbAck(statusCode, statusMsg);
+					}
+				})
+			}
+			run();
+
+			return stamp;
+		}
+
+		/**
+		 * scheduleRetry: start the next attempt after the backoff delay, if the failure code shall be retried, there are attempts left and the connection is not closing.
+		 * @param {string} stamp The stamp of the note/request
+		 * @param {object} retry The retry options (see retryOptions)
+		 * @param {number} attempt The number of the failed attempt (starting at 1)
+		 * @param {number} errCode The failure code of the attempt
+		 * @param {string} errMsg The failure message of the attempt
+		 * @param {function} run The function starting the next attempt
+		 * @param {AbortSignal} signal Optional; the signal of the request; aborting it stops the retries
+		 * @param {function} fail (errCode, errMsg)=>{}; called when the retries are stopped by close (code 1), cancel or signal (code 3) while waiting for the next attempt
+		 * @returns {boolean} true if the next attempt is scheduled
+		 */
+		scheduleRetry(stamp, retry, attempt, errCode, errMsg, run, signal, fail){
+			if (this.closing || attempt>=retry.attempts || !retry.codes.includes(errCode) || (signal && signal.aborted)){
+				return false;
+			}
+
+			let delay = wsProcessor.backoffDelay(retry, attempt);
+
+			this.logger(1, `Attempt ${attempt} of ${stamp} failed (${errCode}: ${errMsg}). Next attempt in ${delay.toFixed(3)}s.`);
+			try {
+				retry.onAttempt(attempt, errCode, errMsg, delay);
+			} catch (err){
+				this.logger(0, `The onAttempt callback failed: ${err}`);
+			}
+
+			let entry = {};
+			let finish = ()=>{
+				clearTimeout(entry.timeoutHandle);
+				if (signal){
+					signal.removeEventListener('abort', entry.stop3);
+				}
+				delete this.pendingRetries[stamp];
+			}
+			entry.stop = (code, msg)=>{
+				finish();
+				fail(code, msg);
+			}
+			entry.stop3 = ()=>{
+				entry.stop(3, `The request ${stamp} was cancelled while waiting for the next attempt.`);
+			}
+			entry.timeoutHandle = setTimeout(()=>{
+				finish();
+				run();
+			}, delay*1000);
+			if (signal){
+				signal.addEventListener('abort', entry.stop3);
+			}
+			this.pendingRetries[stamp] = entry;
+
+			return true;
+		}
+
+		/**
+		 * backoffDelay: exponential backoff with jitter: min(maxDelay, base*factor^(attempt-1)) +- jitter
+		 * @param {object} opt {base, factor, maxDelay, jitter}; see retryOptions
+		 * @param {number} attempt The number of the failed attempt (starting at 1)
+		 * @returns {number} The delay in seconds
+		 */
+		static backoffDelay(opt, attempt){
+			let delay = Math.min(opt.maxDelay, opt.base * opt.factor**(attempt-1));
+			return delay * (1 + opt.jitter*(2*Math.random()-1));
+		}
+
+		/**
+		 * retryOptions: complete the retry options with the defaults
+		 * @param {object / boolean} retry true or the options object:
+		 * @param {number} retry.attempts Optional; default=3; The maximum number of attempts (including the first).
+		 * @param {number} retry.base Optional; default=1; The delay in seconds before the first retry.
+		 * @param {number} retry.factor Optional; default=2; The factor by which the delay increases for every further retry.
+		 * @param {number} retry.maxDelay Optional; default=30; The maximum delay in seconds.
+		 * @param {number} retry.jitter Optional; default=0.1; The delay is varied randomly by +-jitter*delay.
+		 * @param {array} retry.codes Optional; The failure codes to retry; the default depends on notes/requests.
+		 * @param {function} retry.onAttempt Optional; (attempt, errCode, errMsg, delay)=>{}; called for every failed attempt that is retried.
+		 * @param {array} defaultCodes The default failure codes to retry
+		 * @returns {object} The complete retry options
+		 */
+		static retryOptions(retry, defaultCodes){
+			if (typeof(retry)!='object'){
+				retry = {};
+			}
+			return {
+				attempts: retry.attempts || 3,
+				base: ("base" in retry) ? retry.base : 1,
+				factor: retry.factor || 2,
+				maxDelay: retry.maxDelay || 30,
+				jitter: ("jitter" in retry) ? retry.jitter : 0.1,
+				codes: retry.codes || defaultCodes,
+				onAttempt: retry.onAttempt || ((attempt, errCode, errMsg, delay)=>{}),
+			}
+		}
+
+		/**
+		 * restartRequestTimeout: restart the requestTimeout of a pending request, e.g. when a chunk of a streamed response or a progress update arrived.
+		 * @param {object} stackObj The object of the request on stackRequest
+		 */
+		restartRequestTimeout(stackObj){
+			clearTimeout(stackObj.requestTimeoutHandle);
+			stackObj.requestTimeoutHandle = setTimeout(stackObj.onRequestTimeout, stackObj.opt.requestTimeout*1000);
+		}
+
+		/**
+		 * cancel: cancel a pending request. The request is removed from the stack, its timeouts are stopped and cbFailure is called with code 3. The responding party is notified with a "cancel" message, which aborts the signal given to its request handler; a response sent afterwards is ignored. 
+		 * @param {string} stamp The stamp of the request, as returned by sendRequest. 
+		 * @returns {boolean} true if the request was pending and is now cancelled, false otherwise.
+		 */
+		cancel(stamp){
+			if (stamp in this.pendingRetries){
+				// the request waits for the next attempt
+				this.pendingRetries[stamp].stop(3, `The request ${stamp} was cancelled while waiting for the next attempt.`);
+				return true;
+			}
+
+			let stackObj = this.stackRequest[stamp];
+			if (!stackObj){
+				this.logger(3, `The request ${stamp} cannot be cancelled, since it is not pending (anymore).`);
+				return false;
+			}
+
+			// stop the timeouts and remove from the stack
+			clearTimeout(stackObj.requestTimeoutHandle);
+			clearTimeout(stackObj.ackTimeoutHandle);
+			this.removeAbortListener(stackObj);
+			delete this.stackRequest[stamp];
+
+			// a response might already be on its way; remember the stamp until the request would have timed out, to not raise an error when the response arrives
+			this.cancelledRequests[stamp] = setTimeout(()=>{
+				delete this.cancelledRequests[stamp];
+			}, stackObj.opt.requestTimeout*1000);
+
+			// notify the responding party
+			if (this.canSend()){
+				let mess = {
+					type: 'cancel',
+					stamp: stamp,
+				};
+				this.sendMessage(this.encode(mess), undefined, stamp);
+			}
+
+			let errMsg = `The request was cancelled: ${stackObj.message}`;
+			this.logger(3, errMsg);
+			stackObj.cbFailure(3, errMsg);
+
+			return true;
+		}
+
+		/**
+		 * removeAbortListener: remove the listener on opt.signal of a request (if any), when the request is not pending anymore.
+		 * @param {object} stackObj The object of the request on stackRequest
+		 */
+		removeAbortListener(stackObj){
+			if (stackObj.abortListener){
+				stackObj.opt.signal.removeEventListener('abort', stackObj.abortListener);
+				delete stackObj.abortListener;
+			}
+		}
+
+		/**
+		 * request: Promise based version of sendRequest.
+		 * @param {string / object / binary} request The request to be sent.
+		 * @param {object} opt Optional; the same options as for sendRequest (requestTimeout, sendAck, ackTimeout).
+		 * @returns {Promise} Resolves with the response. Rejects with a WsProcessorError: ConnectionClosedError (code 1, 1.1, 1.2, 1.3), RequestTimeoutError (code 2, 2.1, 2.2, 2.3), CancelledError (code 3; request cancelled through opt.signal) or RemoteError (failureCode sent by the responding party). If opt.sendAck=true, the returned promise has the additional property "ack", a promise that resolves as soon as the requestAck arrives. It rejects with an AckTimeoutError (code 1), when the ackTimeout is reached, or with the same error as the request, when the request fails before the ack arrived.
+		 */
+		request(request, opt={}){
+
+			let ack, ackResolve, ackReject;
+			if (opt.sendAck){
+				ack = new Promise((resolve, reject)=>{
+					ackResolve = resolve;
+					ackReject = reject;
+				})
+				// the caller is not forced to listen to the ack; thus prevent unhandled rejections
+				ack.catch(()=>{});
+			}
+
+			let prom = new Promise((resolve, reject)=>{
+				this.sendRequest(request, resolve, (errCode, errMsg, remote=false)=>{
+					let err = remote ? new RemoteError(errCode, errMsg) : wsProcessor.requestError(errCode, errMsg);
+					if (ack){
+						// does nothing if the ack already arrived
+						ackReject(err);
+					}
+					reject(err);
+				}, opt, (statusCode, statusMsg)=>{
+					if (statusCode==0){
+						ackResolve(statusMsg);
+					} else {
+						ackReject(new AckTimeoutError(statusCode, statusMsg));
+					}
+				})
+			})
+
+			if (ack){
+				prom.ack = ack;
+			}
+			return prom;
+		}
+
+		/**
+		 * note: Promise based version of sendNote.
+		 * @param {string / object / binary} note The note to be sent.
+		 * @param {object} opt Optional; the same options as for sendNote (sendAck, ackTimeout).
+		 * @returns {Promise} Without ack, resolves as soon as the note is sent (with flow control: when the send queue is drained). With opt.sendAck=true, resolves when the noteAck arrives and rejects with ConnectionClosedError (code 1) or AckTimeoutError (code 2).
+		 */
+		note(note, opt={}){
+			return new Promise((resolve, reject)=>{
+				let sent = this.sendNote(note, opt, (errCode, errMsg, remote=false)=>{
+					if (errCode==0){
+						resolve(errMsg);
+					} else if (remote){
+						reject(new RemoteError(errCode, errMsg));
+					} else if (errCode==1){
+						reject(new ConnectionClosedError(errCode, errMsg));
+					} else {
+						reject(new AckTimeoutError(errCode, errMsg));
+					}
+				})
+				if (!opt.sendAck){
+					// with flow control, wait until the note has left the send queue
+					if (sent || this.closing){
+						resolve();
+					} else {
+						this.drained().then(resolve);
+					}
+				}
+			})
+		}
+
+		/**
+		 * sendBatch: send several requests in one message. The responding party gives them to its batch handler (see handleBatch; typically all-or-nothing, e.g. in one database transaction) or, if there is none, processes them one by one with its request handlers. The batch is answered with one response with the results of all requests. Ack, timeouts, retries, priority, deadline and the limits of the responding party (rate limit, concurrency) apply to the batch as a whole.
+		 * @param {array} requests The requests: [{method, data}]; the method is optional (see opt.method of sendRequest)
+		 * @param {object} opt Optional; the same options as for request (except method and stream)
+		 * @returns {Promise} Resolves with the results of the requests in the same order: [{failureCode, data}], failureCode=0 for success. Rejects like request, e.g. with a RemoteError when the batch handler failed the batch as a whole. With opt.sendAck=true, the promise has the property "ack" (see request).
+		 */
+		sendBatch(requests, opt={}){
+			let items = requests.map((request)=>{
+				let item = {data: request.data};
+				if (request.method!==undefined){
+					item.method = request.method;
+				}
+				return item;
+			});
+			return this.request(items, Object.assign({}, opt, {batch: true, method: undefined, stream: false}));
+		}
+
+		/**
+		 * requestStream: request a streamed response (see opt.stream of sendRequest) and get the chunks as async iterator. 
+		 * @param {string / object / binary} request The request to be sent.
+		 * @param {object} opt Optional; the same options as for sendRequest (opt.stream and opt.onChunk are set automatically).
+		 * @returns {object} An async iterable, yielding the chunks in the order of arrival; the iteration ends with the final response (which is the return value of the iterator) and throws the same errors as request(). Stopping the iteration early (e.g. break in for await) cancels the request. The stamp of the request is stored in the property "stamp".
+		 */
+		requestStream(request, opt={}){
+
+			let chunks = []; // chunks not consumed yet
+			let finished = false;
+			let endData;
+			let error;
+			let wakeUp; // resolve function of the promise the iterator is waiting for
+
+			let notify = ()=>{
+				if (wakeUp){
+					let w = wakeUp;
+					wakeUp = undefined;
+					w();
+				}
+			}
+
+			opt.stream = true;
+			opt.onChunk = (chunk)=>{
+				chunks.push(chunk);
+				notify();
+			}
+
+			let stamp = this.sendRequest(request, (response)=>{
+				endData = response;
+				finished = true;
+				notify();
+			}, (errCode, errMsg, remote=false)=>{
+				error = remote ? new RemoteError(errCode, errMsg) : wsProcessor.requestError(errCode, errMsg);
+				finished = true;
+				notify();
+			}, opt);
+
+			let processor = this;
+			return {
+				stamp: stamp,
+				[Symbol.asyncIterator]: async function*(){
+					try {
+						while (true){
+							if (chunks.length>0){
+								yield chunks.shift();
+							} else if (error){
+								throw error;
+							} else if (finished){
+								return endData;
+							} else {
+								await new Promise((resolve)=>{wakeUp = resolve});
+							}
+						}
+					} finally {
+						// the consumer stopped early
+						if (!finished){
+							processor.cancel(stamp);
+						}
+					}
+				}
+			}
+		}
+
+		/**
+		 * text: the TextEncoder and TextDecoder used for binary frames, fragments and codecs (globals in browsers and nodejs>=11; from the util module in older nodejs versions)
+		 */
+		static get text(){
+			if (!wsProcessor.textCoders){
+				let lib = typeof(TextEncoder)!='undefined' ? {TextEncoder: TextEncoder, TextDecoder: TextDecoder} : require('util');
+				wsProcessor.textCoders = {encoder: new lib.TextEncoder(), decoder: new lib.TextDecoder()};
+			}
+			return wsProcessor.textCoders;
+		}
+
+		/**
+		 * global: the global object (globalThis does not exist in nodejs<12)
+		 */
+		static get global(){
+			if (typeof(globalThis)!='undefined'){
+				return globalThis;
+			}
+			return typeof(window)!='undefined' ? window : global;
+		}
+
+		/**
+		 * sessionId: create a new session id (uuid v4) from a cryptographically secure random number generator (crypto.getRandomValues in browsers and nodejs>=19, the crypto module otherwise). The stamps (uuidv4) use Math.random, whose state could be recovered from the stamps sent to a client; the session ids of other clients must not be predictable, since they allow to take over the session.
+		 * @returns {string}
+		 */
+		static sessionId(){
+			let bytes;
+			if (typeof(crypto)!='undefined' && typeof(crypto.getRandomValues)=='function'){
+				bytes = crypto.getRandomValues(new Uint8Array(16));
+			} else {
+				bytes = new Uint8Array(require('crypto').randomBytes(16));
+			}
+			// version 4, variant 1
+			bytes[6] = (bytes[6] & 0x0f) | 0x40;
+			bytes[8] = (bytes[8] & 0x3f) | 0x80;
+			let hex = Array.from(bytes, (b)=>b.toString(16).padStart(2, '0')).join('');
+			return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+		}
+
+		/**
+		 * sessions: the default store for the sessions of wsProcessors with session role "server": session id --> wsProcessor
+		 */
+		static get sessions(){
+			if (!wsProcessor.sessionStore){
+				wsProcessor.sessionStore = new Map();
+			}
+			return wsProcessor.sessionStore;
+		}
+
+		/**
+		 * priorities: named priorities of notes and requests (opt.priority; any number can be used, higher first; applied in the send queue, see opt.priorityQueue, and in the outbox). Control messages (heartbeats, acks, responses) are always sent immediately.
+		 */
+		static get priorities(){
+			return {
+				high: 1,
+				normal: 0,
+				low: -1,
+			};
+		}
+
+		/**
+		 * failureCodes: the failureCodes of responses created by the wsProcessor itself (and not by the application).
+		 * - methodNotFound (404): there is no request handler for the method of the request
+		 * - validationFailed (422): the request (or note; sent in the nack) does not match the schema; the data is {message, errors: [{path, message}]}
+		 * - rateLimited (429): the request (or note; sent in the nack) exceeds the rate limits of the other side; the data is {message, retryAfter (seconds)}
+		 * - busy (503): the incoming queue of the responding party is full (see maxConcurrentIncoming)
+		 * - handlerError (500): the request handler threw an error without a numeric code
+		 */
+		static get failureCodes(){
+			return {
+				methodNotFound: 404,
+				validationFailed: 422,
+				rateLimited: 429,
+				busy: 503,
+				handlerError: 500,
+			};
+		}
+
+		/**
+		 * failureFromError: translate an error thrown by a request handler to the failureCode and message sent with the failure response. The failureCode is taken from err.failureCode or err.code, if it is a number other than 0, and is failureCodes.handlerError otherwise.
+		 * @param {any} err The thrown error (or rejection reason)
+		 * @returns {object} {failureCode, message}
+		 */
+		static failureFromError(err){
+			let failureCode = wsProcessor.failureCodes.handlerError;
+			if (err && typeof(err.failureCode)=='number' && err.failureCode!=0){
+				failureCode = err.failureCode;
+			} else if (err && typeof(err.code)=='number' && err.code!=0){
+				failureCode = err.code;
+			}
+			let message = (err && err.message!==undefined) ? err.message : String(err);
+			return {failureCode, message};
+		}
+
+		/**
+		 * requestError: create the WsProcessorError corresponding to a (local) failure code of a request, as given to cbFailure.
+		 * @param {number} errCode The failure code
+		 * @param {string} errMsg The failure message
+		 * @returns {WsProcessorError}
+		 */
+		static requestError(errCode, errMsg){
+			if (errCode>=1 && errCode<2){
+				return new ConnectionClosedError(errCode, errMsg);
+			} else if (errCode>=2 && errCode<3){
+				return new RequestTimeoutError(errCode, errMsg);
+			} else if (errCode==3){
+				return new CancelledError(errCode, errMsg);
+			}
+			return new WsProcessorError(errCode, errMsg);
+		}
+
+	
+		/**
+		 * uuidv4: Creates a unique ID according to RFC 4122, version 4. Credits go to: https://stackoverflow.com/questions/105034/create-guid-uuid-in-javascript#2117523
+		 * This id shall be used for stamps.
+		 */
+		uuidv4() {
+			return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+					var r = Math.random() * 16 | 0, v = c == 'x' ? r : (r & 0x3 | 0x8);
+					return v.toString(16);
+			});
+		}
+	
+	
+		/**
+		 * encode: serialize a message for sending with the codec negotiated for this direction (see codecs)
+		 * @param {object} mess The message
+		 * @returns {string / Uint8Array} The message to be given to the sendingFunc
+		 */
+		encode(mess){
+			let encoded = this.codecSend.encode(mess);
+			if (typeof(encoded)!='string' && encoded[0]>=1 && encoded[0]<=3){
+				// see the reserved leading bytes in jsonCodec
+				throw new Error(`The codec ${this.codecSend.name} returned a binary message starting with the reserved byte ${encoded[0]}.`);
+			}
+			return encoded;
+		}
+
+		/**
+		 * decode: parse an incoming message with the codec negotiated for this direction; throws if the message cannot be parsed.
+		 * @param {string / Buffer / ArrayBuffer / Uint8Array} messageRaw The message as received from the websocket. Binary messages must not be Blobs (in browsers: set binaryType='arraybuffer' on the websocket).
+		 * @returns {object} The message
+		 */
+		decode(messageRaw){
+			return this.codecReceive.decode(messageRaw);
+		}
+
+		/**
+		 * recode: encode a message that was encoded earlier with another codec (e.g. in the outbox or the session buffer) with the current codec
+		 * @param {string / Uint8Array} message The encoded message
+		 * @param {string} codecName The name of the codec used to encode the message
+		 * @returns {string / Uint8Array} The message encoded with the current codec
+		 */
+		recode(message, codecName){
+			if (codecName===undefined || codecName==this.codecSend.name){
+				return message;
+			}
+			return this.encode(this.codecs.get(codecName).decode(message));
+		}
+
+		/**
+		 * selectCodec: the first of the own codecs that the other side supports
+		 * @param {array} names The names of the codecs of the other side
+		 * @returns {string} The name of the codec; json, if there is no other common codec
+		 */
+		selectCodec(names){
+			for (let own of this.codecs.keys()){
+				if (names.includes(own)){
+					return own;
+				}
+			}
+			return 'json';
+		}
+
+		/**
+		 * greetPeer: process the hello of the other side: check the version (and call onPeer), select the codec and the compression for sending and answer with welcome. Incompatible peers get a welcome with the error and the connection is closed (see closeCodes).
+		 * @param {object} hello The hello message
+		 */
+		greetPeer(hello){
+			let peer = {
+				version: hello.version,
+				features: Array.isArray(hello.features) ? hello.features : [],
+				name: hello.name,
+				meta: hello.meta,
+				protocol: hello.protocol,
+			};
+			this.peer = peer;
+
+			// the hello starts a new connection of the other side, which announces its subscriptions again
+			this.remoteSubscriptions.clear();
+
+			let closeCode, error;
+			if (String(hello.version).split('.')[0]!==wsProcessor.protocolVersion.split('.')[0]){
+				closeCode = wsProcessor.closeCodes.incompatibleVersion;
+				error = `The protocol version ${hello.version} of the other side is incompatible with ${wsProcessor.protocolVersion}.`;
+			} else {
+				try {
+					let reason = this.onPeer(peer);
+					if (typeof(reason)=='string'){
+						closeCode = wsProcessor.closeCodes.peerRejected;
+						error = reason;
+					}
+				} catch (err){
+					closeCode = wsProcessor.closeCodes.peerRejected;
+					error = `onPeer failed: ${err.message}`;
+				}
+			}
+			if (error){
+				this.logger(0, `The other side${peer.name ? ` (${peer.name})` : ''} is rejected: ${error}`);
+				this.transmit(this.encode({type: 'welcome', error: error, closeCode: closeCode}));
+				this.closingFunc(closeCode, wsProcessor.closeReason(error));
+				this.close();
+				return;
+			}
+
+			let codec = this.selectCodec(Array.isArray(hello.codecs) ? hello.codecs : []);
+			let compress = this.compression!==undefined && Array.isArray(hello.compression) && hello.compression.includes('deflate');
+			// the welcome is sent with the old codec behind the messages in the fragmentQueue, which were encoded with the old codec as well; all later messages use the new codec and must not overtake the welcome
+			this.transmit(this.encode({type: 'welcome', codec: codec, compression: compress}), true, undefined, true);
+			this.codecSend = this.codecs.get(codec);
+			this.compressSend = compress;
+			this.logger(3, `Connected to the other side${peer.name ? ` (${peer.name})` : ''} (version ${peer.version}); codec for sending: ${codec}${compress ? `; messages with at least ${this.compression.threshold} characters/bytes are sent compressed` : ''}.`);
+		}
 
-			// add to stack
-			this.stackRequest[uuid] = stackObj;
+		/**
+		 * binaryType: the name of the type of binary data
+		 * @param {any} data
+		 * @returns {string} "Buffer", "ArrayBuffer", "DataView", the name of the typed array (e.g. "Uint8Array") or undefined if the data is not binary
+		 */
+		static binaryType(data){
+			if (typeof(Buffer)!='undefined' && Buffer.isBuffer(data)){
+				return 'Buffer';
+			}
+			if (data instanceof ArrayBuffer){
+				return 'ArrayBuffer';
+			}
+			if (ArrayBuffer.isView(data)){
+				return data.constructor.name;
+			}
+			return undefined;
+		}
 
-			// start the timeout until which the response must have arrived or otherwise the failureCB is raised
-			stackObj.requestTimeoutHandle = setTimeout(()=>{
-/*
-				*      - fail 2: (1) request timed out
-				*        - fail 2.1: (2+3) ... after ack arrived
-				*        - fail 2.2: (2) ... before ack arrived
-				*                    (3) ... before ack arrived and before ack timed out; this should not exist, since the ackTimeout should be smaller than the requestTimeout; thus, if the request times out, the ack already has timed out.
-				*        - fail 2.3: (3) ... after ack timed out
-*/
-				let errMsg;
-				if (stackObj.opt.sendAck){
-					
-					if (stackObj.opt.ackArrived){	
-						errMsg = `No response arrived within the timeout (${opt.requestTimeout}s), after the ack did arrive of message ${stackObj.message}.`;
-						stackObj.cbFailure(2.1, errMsg);
-					} else {
-						if (stackObj.opt.ackTimeout>0){
-							// an ack timeout was set
+		/**
+		 * binaryBytes: the bytes of binary data (without copying)
+		 * @param {ArrayBuffer / Buffer / typed array / DataView} data
+		 * @returns {Uint8Array}
+		 */
+		static binaryBytes(data){
+			if (data instanceof ArrayBuffer){
+				return new Uint8Array(data);
+			}
+			return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+		}
 
-							// when the request times out, the acknowledgement should actually already have timed out. However, check it here.
-							if (stackObj.opt.ackTimedOut){
-								errMsg = `No response arrived within the timeout (${opt.requestTimeout}s)  and also no ack arrived within the ackTimeout (${opt.ackTimeout}s) of message ${stackObj.message}. `;
-								stackObj.cbFailure(2.3, errMsg);
-							} else {
-								// should not occure
+		/**
+		 * messageBytes: the bytes of an incoming binary message; throws for other types (e.g. Blob)
+		 * @param {Buffer / ArrayBuffer / Uint8Array} messageRaw
+		 * @returns {Uint8Array}
+		 */
+		static messageBytes(messageRaw){
+			if (messageRaw instanceof ArrayBuffer || ArrayBuffer.isView(messageRaw)){
+				return wsProcessor.binaryBytes(messageRaw);
+			}
+			throw new Error(`Unsupported type of message: ${Object.prototype.toString.call(messageRaw)}`);
+		}
 
-								// delete the timeout
-								clearTimeout(stackObj.ackTimeoutHandle);
+		/**
+		 * restoreBinary: create binary data of the given type (see binaryType) from bytes
+		 * @param {Uint8Array} bytes
+		 * @param {string} type The type of the data, as returned by binaryType
+		 * @returns {any} The binary data; types not available here (e.g. Buffer in the browser) are returned as Uint8Array
+		 */
+		static restoreBinary(bytes, type){
+			// copy the data into its own ArrayBuffer (the alignment of typed arrays requires it anyway)
+			let data = bytes.slice().buffer;
+			if (type=='Buffer' && typeof(Buffer)!='undefined'){
+				return Buffer.from(data);
+			} else if (type=='ArrayBuffer'){
+				return data;
+			} else if (type=='DataView'){
+				return new DataView(data);
+			} else if (/^(Big)?(Int|Uint|Float)(8|16|32|64)(Clamped)?Array$/.test(type) && typeof(wsProcessor.global[type])=='function'){
+				return new wsProcessor.global[type](data);
+			}
+			return new Uint8Array(data);
+		}
 
-								errMsg = `No response arrived within the timeout (${opt.requestTimeout}s), but the ackTimeout (${opt.ackTimeout}s) did not yet time out (should not happen, since the ackTimeout should always be smaller than the requestTimeout) of message ${stackObj.message}. `;
-								stackObj.cbFailure(2.2, errMsg);
-							}
-							
-						} else {
-							// ack would have been requested (without timeout), but did not arrive
-							errMsg = `No response arrived within the timeout (${opt.requestTimeout}s) and also no ack arrived so far of message ${stackObj.message}. `;
-							stackObj.cbFailure(2.2, errMsg);
-						}
-					}
+		/**
+		 * protocolVersion: the version of the wire protocol ("major.minor"); the versions of both sides are compatible if the major version is the same.
+		 */
+		static get protocolVersion(){
+			return '2.0';
+		}
 
-				} else {
-					
-					errMsg = `No response arrived within the request timeout (${opt.requestTimeout}s) of message ${stackObj.message}. `;
-					stackObj.cbFailure(2, errMsg)
+		/**
+		 * features: the built-in features announced in the handshake
+		 */
+		static get features(){
+			return ['binary', 'cancel', 'stream', 'progress', 'router', 'pubsub', 'sessions', 'compression', 'fragments', 'batch'];
+		}
+
+		/**
+		 * subprotocol: the websocket subprotocol (Sec-WebSocket-Protocol) for this major version of the protocol
+		 */
+		static get subprotocol(){
+			return `wsprocessor.v${wsProcessor.protocolVersion.split('.')[0]}`;
+		}
 
+		/**
+		 * selectSubprotocol: select the subprotocol on the server out of the subprotocols offered by the client, e.g. as handleProtocols of ws: new WebSocketServer({handleProtocols: (protocols)=>wsProcessor.selectSubprotocol(protocols)})
+		 * @param {Set / array} protocols The offered subprotocols
+		 * @returns {string / boolean} The subprotocol of this version (wsProcessor.subprotocol) or false, if it is not offered
+		 */
+		static selectSubprotocol(protocols){
+			for (let protocol of protocols){
+				if (protocol==wsProcessor.subprotocol){
+					return protocol;
 				}
+			}
+			return false;
+		}
 
-				this.logger(1, errMsg) // write message to log. 
+		/**
+		 * closeCodes: the websocket close codes given to the closingFunc, when the handshake fails or the other side is closed for other reasons
+		 * - incompatibleVersion (4001): the protocol versions (major) of both sides differ
+		 * - peerRejected (4003): onPeer rejected the other side
+		 * - rateLimited (4029): the other side exceeded the rate limits repeatedly (opt.rateLimit.closeAfter)
+		 */
+		static get closeCodes(){
+			return {
+				incompatibleVersion: 4001,
+				peerRejected: 4003,
+				rateLimited: 4029,
+			}
+		}
 
-				// delete the object from the stack
-				delete this.stackRequest[stackObj.stamp];
+		/**
+		 * closeReason: a close reason the websocket accepts: a string without control characters of at most 123 bytes (UTF-8); longer reasons are shortened
+		 * @param {any} reason
+		 * @returns {string}
+		 */
+		static closeReason(reason){
+			let text = String(reason).replace(/[\u0000-\u001f\u007f]/g, ' ');
+			let bytes = wsProcessor.text.encoder.encode(text);
+			if (bytes.length<=123){
+				return text;
+			}
+			// cut before a character, not within
+			let end = 120;
+			while ((bytes[end] & 0xc0)==0x80){
+				end--;
+			}
+			return wsProcessor.text.decoder.decode(bytes.subarray(0, end)) + '...';
+		}
 
-			}, opt.requestTimeout*1000)
+		/**
+		 * validator: create a validate function from a schema
+		 * @param {object / function} schema A JSON schema (see validateSchema for the supported subset) or a function (data)=>{} returning the errors: undefined, null, true or an empty array if the data is valid; false, a string (the error message) or an array of errors ({path, message} or strings) otherwise.
+		 * @returns {function} (data)=>[{path, message}]; an empty array if the data is valid
+		 */
+		static validator(schema){
+			if (typeof(schema)!='function'){
+				return (data)=>wsProcessor.validateSchema(schema, data);
+			}
+			return (data)=>{
+				let result;
+				try {
+					result = schema(data);
+				} catch (err){
+					return [{path: '', message: err.message}];
+				}
+				if (result===undefined || result===null || result===true){
+					return [];
+				}
+				if (result===false){
+					return [{path: '', message: 'The data is invalid.'}];
+				}
+				if (!Array.isArray(result)){
+					result = [result];
+				}
+				return result.map((e)=>typeof(e)=='string' ? {path: '', message: e} : e);
+			}
+		}
 
-			// add an additional property to keep track of the ackStatus
-			if (opt.sendAck){
-				opt.ackArrived = false;
+		/**
+		 * validateSchema: validate data with a JSON schema. Supported keywords: type (string or array; object, array, string, number, integer, boolean, null), enum, const, properties, required, additionalProperties (boolean or schema), items (schema), minItems, maxItems, minLength, maxLength, pattern, minimum, maximum, exclusiveMinimum, exclusiveMaximum (numbers), multipleOf, anyOf, oneOf, allOf, not. Other keywords are ignored.
+		 * @param {object} schema The schema
+		 * @param {any} data The data
+		 * @param {string} path Optional, default=""; The path of the data (JSON pointer), used in the errors.
+		 * @returns {array} The errors: [{path, message}]; an empty array if the data is valid
+		 */
+		static validateSchema(schema, data, path=''){
+			let errors = [];
+			let error = (message)=>errors.push({path: path, message: message});
+			if (schema===true || schema===undefined){
+				return errors;
+			}
+			if (schema===false){
+				error('No value is allowed.');
+				return errors;
 			}
 
-			// timeout for the ack if opt.ackTimeout>0
-			if (opt.ackTimeout>0 && opt.sendAck){
+			let typeOf = (value)=>{
+				if (value===null) return 'null';
+				if (Array.isArray(value)) return 'array';
+				return typeof(value);
+			}
+			let type = typeOf(data);
+
+			if (schema.type!==undefined){
+				let types = Array.isArray(schema.type) ? schema.type : [schema.type];
+				let matches = types.some((t)=>t==type || (t=='integer' && Number.isInteger(data)));
+				if (!matches){
+					error(`Must be of type ${types.join(' or ')}.`);
+					return errors;
+				}
+			}
+			if (schema.enum!==undefined && !schema.enum.some((v)=>wsProcessor.deepEqual(v, data))){
+				error(`Must be one of ${JSON.stringify(schema.enum)}.`);
+			}
+			if ("const" in schema && !wsProcessor.deepEqual(schema.const, data)){
+				error(`Must be ${JSON.stringify(schema.const)}.`);
+			}
 
-				opt.ackTimedOut = false;
+			if (type=='string'){
+				if (schema.minLength!==undefined && data.length<schema.minLength){
+					error(`Must have at least ${schema.minLength} characters.`);
+				}
+				if (schema.maxLength!==undefined && data.length>schema.maxLength){
+					error(`Must have at most ${schema.maxLength} characters.`);
+				}
+				if (schema.pattern!==undefined && !new RegExp(schema.pattern, 'u').test(data)){
+					error(`Must match the pattern ${schema.pattern}.`);
+				}
+			} else if (type=='number'){
+				if (schema.minimum!==undefined && data<schema.minimum){
+					error(`Must be >= ${schema.minimum}.`);
+				}
+				if (schema.maximum!==undefined && data>schema.maximum){
+					error(`Must be <= ${schema.maximum}.`);
+				}
+				if (schema.exclusiveMinimum!==undefined && data<=schema.exclusiveMinimum){
+					error(`Must be > ${schema.exclusiveMinimum}.`);
+				}
+				if (schema.exclusiveMaximum!==undefined && data>=schema.exclusiveMaximum){
+					error(`Must be < ${schema.exclusiveMaximum}.`);
+				}
+				if (schema.multipleOf!==undefined && !Number.isInteger(data/schema.multipleOf)){
+					error(`Must be a multiple of ${schema.multipleOf}.`);
+				}
+			} else if (type=='array'){
+				if (schema.minItems!==undefined && data.length<schema.minItems){
+					error(`Must have at least ${schema.minItems} items.`);
+				}
+				if (schema.maxItems!==undefined && data.length>schema.maxItems){
+					error(`Must have at most ${schema.maxItems} items.`);
+				}
+				if (schema.items!==undefined){
+					data.forEach((item, i)=>{
+						errors.push(...wsProcessor.validateSchema(schema.items, item, `${path}/${i}`));
+					});
+				}
+			} else if (type=='object'){
+				for (let key of (schema.required || [])){
+					if (!(key in data)){
+						errors.push({path: `${path}/${key}`, message: 'Is required.'});
+					}
+				}
+				let properties = schema.properties || {};
+				for (let key of Object.keys(data)){
+					if (key in properties){
+						errors.push(...wsProcessor.validateSchema(properties[key], data[key], `${path}/${key}`));
+					} else if (schema.additionalProperties===false){
+						errors.push({path: `${path}/${key}`, message: 'Is not allowed.'});
+					} else if (typeof(schema.additionalProperties)=='object'){
+						errors.push(...wsProcessor.validateSchema(schema.additionalProperties, data[key], `${path}/${key}`));
+					}
+				}
+			}
 
-				stackObj.ackTimeoutHandle = setTimeout(()=>{
-					let statusMsg = `No ack arrived within the timeout (${opt.ackTimeout}s) of message ${stackObj.message}. `;
-					stackObj.cbAck(1, statusMsg)
-	
-					this.logger(1, statusMsg) // write message to log. Only in debugging-mode, as in general the sending function should decide to log or not in the failure callback
+			if (schema.allOf!==undefined){
+				for (let sub of schema.allOf){
+					errors.push(...wsProcessor.validateSchema(sub, data, path));
+				}
+			}
+			if (schema.anyOf!==undefined && !schema.anyOf.some((sub)=>wsProcessor.validateSchema(sub, data, path).length==0)){
+				error('Must match at least one of the schemas in anyOf.');
+			}
+			if (schema.oneOf!==undefined && schema.oneOf.filter((sub)=>wsProcessor.validateSchema(sub, data, path).length==0).length!=1){
+				error('Must match exactly one of the schemas in oneOf.');
+			}
+			if (schema.not!==undefined && wsProcessor.validateSchema(schema.not, data, path).length==0){
+				error('Must not match the schema in not.');
+			}
+			return errors;
+		}
 
-					// delete the ackTimeoutHandle
-					delete stackObj.ackTimeoutHandle;
+		/**
+		 * deepEqual: compare two JSON values
+		 * @returns {boolean}
+		 */
+		static deepEqual(a, b){
+			if (a===b){
+				return true;
+			}
+			if (typeof(a)!='object' || typeof(b)!='object' || a===null || b===null || Array.isArray(a)!=Array.isArray(b)){
+				return false;
+			}
+			let keys = Object.keys(a);
+			if (keys.length!=Object.keys(b).length){
+				return false;
+			}
+			return keys.every((key)=>wsProcessor.deepEqual(a[key], b[key]));
+		}
 
-					// note that the ack timedout 
-					opt.ackTimedOut=true;
-	
-				}, opt.ackTimeout*1000)
+		/**
+		 * isCompressedFrame: whether an incoming binary message is a compressed frame (see compress)
+		 * @param {Buffer / ArrayBuffer / Uint8Array} messageRaw
+		 * @returns {boolean}
+		 */
+		static isCompressedFrame(messageRaw){
+			let bytes = wsProcessor.messageBytes(messageRaw);
+			return bytes.length>0 && (bytes[0]==1 || bytes[0]==2);
+		}
+
+		/**
+		 * compressor: the available deflate implementation: {sync, compress(bytes, level), decompress(bytes, maxLength)}, returning Uint8Arrays (sync=true: zlib in nodejs) or Promises (sync=false: CompressionStream in browsers); null if there is none
+		 */
+		static get compressor(){
+			if (wsProcessor.compressorImpl===undefined){
+				wsProcessor.compressorImpl = null;
+				let zlib;
+				try {
+					zlib = typeof(require)=='function' ? require('zlib') : undefined;
+				} catch (err){
+					// not available
+				}
+				if (zlib){
+					wsProcessor.compressorImpl = {
+						sync: true,
+						compress: (bytes, level)=>zlib.deflateSync(bytes, level!==undefined ? {level: level} : {}),
+						decompress: (bytes, maxLength)=>zlib.inflateSync(bytes, {maxOutputLength: maxLength}),
+					}
+				} else if (typeof(CompressionStream)!='undefined'){
+					let pipe = (bytes, transform)=>new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer().then((buffer)=>new Uint8Array(buffer));
+					// read chunk by chunk, to stop as soon as maxLength is exceeded
+					let inflate = (bytes, maxLength)=>{
+						let reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate')).getReader();
+						let chunks = [];
+						let length = 0;
+						let read = ()=>reader.read().then((result)=>{
+							if (result.done){
+								let decompressed = new Uint8Array(length);
+								let pos = 0;
+								for (let chunk of chunks){
+									decompressed.set(chunk, pos);
+									pos += chunk.byteLength;
+								}
+								return decompressed;
+							}
+							length += result.value.byteLength;
+							if (length>maxLength){
+								reader.cancel();
+								throw new RangeError(`Cannot create a buffer larger than ${maxLength} bytes`);
+							}
+							chunks.push(result.value);
+							return read();
+						});
+						return read();
+					}
+					wsProcessor.compressorImpl = {
+						sync: false,
+						compress: (bytes, level)=>pipe(bytes, new CompressionStream('deflate')),
+						decompress: inflate,
+					}
+				}
 			}
+			return wsProcessor.compressorImpl;
+		}
 
-			
-			// finally, send the request
-			this.logger(3, `Request sent per ws: ${messString}` )
-			this.sendingFunc(messString);
+		/**
+		 * codecs: the built-in codecs: json (default; JSON text, binary data as binary frame) and msgpack (MessagePack)
+		 */
+		static get codecs(){
+			if (!wsProcessor.codecStore){
+				wsProcessor.codecStore = {
+					json: new jsonCodec(),
+					msgpack: new msgpackCodec(),
+				};
+			}
+			return wsProcessor.codecStore;
 		}
 	
-	
 		/**
-		 * uuidv4: Creates a unique ID according to RFC 4122, version 4. Credits go to: https://stackoverflow.com/questions/105034/create-guid-uuid-in-javascript#2117523
-		 * This id shall be used for stamps.
+		 * onMessage: to be called with every incoming message; reassembles fragmented messages (see sendFrame), decompresses compressed messages (see compress) and processes the messages in the order of arrival.
+		 * @param {string / Buffer / ArrayBuffer / Uint8Array} messageRaw The message as received from the websocket
 		 */
-		uuidv4() {
-			return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-					var r = Math.random() * 16 | 0, v = c == 'x' ? r : (r & 0x3 | 0x8);
-					return v.toString(16);
+		onMessage(messageRaw){
+			let bytes;
+			if (typeof(messageRaw)!='string'){
+				try {
+					bytes = wsProcessor.messageBytes(messageRaw);
+				} catch (err){
+					// e.g. a Blob, when the binaryType of the websocket is not "arraybuffer"
+					let msg = `Message could not be processed: ${err.message}`;
+					this.logger(0, msg);
+					this.sendError(msg);
+					return;
+				}
+				if (bytes[0]===3){
+					this.reassemble(bytes);
+					return;
+				}
+			}
+			// compressed frames are only expected, if the other side announced to compress in its welcome
+			let compressed = this.compressReceive && bytes!==undefined && wsProcessor.isCompressedFrame(bytes);
+			if (!this.receiveChain && (!compressed || wsProcessor.compressor.sync)){
+				let message = compressed ? this.decompress(bytes) : messageRaw;
+				if (message===undefined){
+					return;
+				}
+				this.processMessage(message);
+				// responses and acks make room for the messages in the send queue
+				this.drainQueue();
+				return;
+			}
+
+			// wait for the previous asynchronous decompression
+			let chain = (this.receiveChain || Promise.resolve()).then(()=>{
+				return compressed ? this.decompress(bytes) : messageRaw;
+			}).then((message)=>{
+				if (message===undefined){
+					return;
+				}
+				this.processMessage(message);
+				this.drainQueue();
+			}).catch((err)=>{
+				this.logger(0, `Processing an incoming message failed: ${err}`);
+			}).then(()=>{
+				if (this.receiveChain===chain){
+					this.receiveChain = undefined;
+				}
 			});
+			this.receiveChain = chain;
 		}
-	
-	
+
 		// the function that processes the incoming messages
-		onMessage(messageRaw){
+		processMessage(messageRaw){
 	
 			/* 
 			every message should have:
-			- type: note, noteAck, request, requestAck, response, responseAck, ping, pong, error
+			- type: hello, welcome, sessionHello, sessionWelcome, note, noteAck, resend, subscribe, unsubscribe, request, requestAck, requestProgress, response, responseChunk, responseAck, cancel, ping, pong, error
 			if needed also:
 			- stamp: a unique hash
 			*/
@@ -535,7 +3325,7 @@
 	
 			var message = {}
 			try{
-				message = JSON.parse(messageRaw); 
+				message = this.decode(messageRaw); 
 			}catch(error){
 				// send Error to client
 				// use the error function
@@ -556,23 +3346,71 @@
 			if (this.cbTest(message)){
 				return;
 			}
+
+			// count the session messages, to know which ones must be resent on resumption
+			if (this.session && !['ping', 'pong', 'error', 'sessionHello', 'sessionWelcome', 'hello', 'welcome'].includes(message.type)){
+				this.session.received++;
+			}
 	
 			var messagetypes = {
 				note: ()=>{ 
 					// process the message (make sure we did not already receive it!) and respond with noteAck
 
+					// rate limit: drop the note (before it is remembered as received, so that it can be sent again)
+					let retryAfter = this.checkRateLimit('note', message.method);
+					if (retryAfter>0){
+						this.logger(3, `The note is dropped, since the rate limit is exceeded (${this.rateLimitStats.notes} notes dropped so far): ${messageRaw}`);
+						if (message.sendAck && !this.closing){
+							let nack = {
+								type: 'noteAck',
+								stamp: message.stamp,
+								failureCode: wsProcessor.failureCodes.rateLimited,
+								data: {message: `Too many notes. Retry after ${retryAfter}s.`, retryAfter: retryAfter},
+							};
+							this.sendMessage(this.encode(nack), undefined, message.stamp);
+						}
+						return;
+					}
+
+					// validate the note (only notes with method; published notes have no schema)
+					let validate = message.topic===undefined ? this.noteSchemas.get(message.method) : undefined;
+					let errors = validate ? validate(message.data) : [];
+
 					if (message.sendAck){
 						let respond = {};
 						respond.type = "noteAck";
 						respond.stamp = message.stamp;
+						if (errors.length>0){
+							// nack
+							respond.failureCode = wsProcessor.failureCodes.validationFailed;
+							respond.data = {message: `The note with method ${message.method} is invalid.`, errors: errors};
+						}
 						
-						// acknowledge receiving the message
-						this.sendingFunc(JSON.stringify(respond));
+						// acknowledge receiving the message (also for duplicates, since the first ack might have been lost)
+						this.sendMessage(this.encode(respond), undefined, message.stamp);
 
 					}
-					
-					// process the message
-					this.incomingNoteFunc(message.data);
+
+					if (errors.length>0){
+						this.logger(1, `The note with method ${message.method} is invalid and thus dropped: ${errors.map(e=>`${e.path}: ${e.message}`).join('; ')}. Note: ${messageRaw}`);
+					}
+
+					if (this.isDuplicateNote(message.stamp)){
+						this.duplicateNotes++;
+						this.logger(1, `Duplicate note is not processed again (${this.duplicateNotes} duplicates so far): ${messageRaw}`);
+						return;
+					}
+
+					if (message.seq!==undefined){
+						// invalid notes are not processed, but must fill their place in the sequence
+						this.receiveOrdered(message, messageRaw, errors.length==0);
+					} else if (errors.length==0){
+						this.dispatchNote(message, messageRaw);
+					}
+				},
+				resend: ()=>{
+					// the other side misses ordered notes
+					this.resendOrdered(message.channel, message.from, message.to);
 				},
 				noteAck: ()=>{
 					// check validity
@@ -586,8 +3424,13 @@
 
 							let stackObj = this.stackNote[message.stamp];
 
-							// call the success-callback
-							stackObj.cbAck(0, 'Note successfully acknowledged.');
+							if (message.failureCode){
+								// nack: the other side rejected the note
+								stackObj.cbAck(message.failureCode, message.data, true);
+							} else {
+								// call the success-callback
+								stackObj.cbAck(0, 'Note successfully acknowledged.');
+							}
 							
 							// stop the timeout and delete the open MessSyn-element in the queue
 							clearTimeout(stackObj.ackTimeoutHandle);
@@ -620,16 +3463,53 @@
 								type: 'requestAck',
 								stamp: message.stamp,
 							};
-							let messageString = JSON.stringify(ack);
-							this.sendingFunc(messageString);
+							let messageString = this.encode(ack);
+							this.sendMessage(messageString, undefined, message.stamp);
+						}
+
+						// a retry of a request that is still processed: do not process it twice; the response will be sent with the same stamp
+						if (message.stamp in this.stackIncoming){
+							this.logger(1, `The request ${message.stamp} is already being processed. The repeated request is not processed again.`);
+							return;
 						}
 
 						// ---------------------------------
 						// start processing:
 
+						// there must not be more than one response per request
+						let responded = false;
+
+						// the schemas of the request and the response (see handle; the requests of a batch are validated one by one)
+						let schemas = message.batch ? undefined : this.requestSchemas.get(message.method);
+
+						// keep track of the running request, so that it can be cancelled by the requesting party
+						let incoming = {stamp: message.stamp, cancelled: false};
+						if (typeof(AbortController)!='undefined'){
+							incoming.controller = new AbortController();
+						}
+						this.stackIncoming[message.stamp] = incoming;
+
+						// the deadline of the requesting party: drop the request, if it is still waiting in the incoming queue then (the requesting party does not wait for the response anymore); otherwise abort the signal of the handler
+						if (typeof(message.timeout)=='number'){
+							incoming.deadline = Date.now() + message.timeout*1000;
+							incoming.deadlineHandle = setTimeout(()=>{
+								if (incoming.queued){
+									this.releaseIncoming(incoming);
+									incoming.cancelled = true;
+									delete this.stackIncoming[message.stamp];
+									this.logger(1, `The request ${message.stamp} expired while waiting in the incoming queue and is dropped.`);
+									return;
+								}
+								this.logger(3, `The deadline of the request ${message.stamp} passed.`);
+								if (incoming.controller){
+									incoming.controller.abort();
+								}
+							}, message.timeout*1000);
+						}
+
 						/**
 						 * The response function to be called with the response or error to respond. The function handling the request can decide whether the response shall be acknowledged or not. The function is identical for incoming requests and requestSyn.
-						 * @param {*} response The response to send
+						 * @param {*} response The response to send; can also be binary data (see sendRequest)
 						 * @param {*} failureCode The error code (0=no error=default)
 						 * @param {object} opt Optional; Object storing parameters for the transmission.:
 						 * @param {boolead} opt.sendAck Optional; default=false; Whether the request shall be acknowledged, i.e. cbAck callback is called with errCode=0 when the requestAck arrives. 
@@ -643,6 +3523,35 @@
 						 */
 						let responseFunc = (response, failureCode=0, opt={}, cbAck=(statusCode, statusMsg)=>{})=>{
 
+							if (responded){
+								this.logger(1, `There was already a response to the request ${message.stamp}. The additional response is not sent: ${response}`);
+								return;
+							}
+							if (incoming.cancelled){
+								this.logger(3, `The request ${message.stamp} was cancelled by the requesting party. The response is not sent: ${response}`);
+								return;
+							}
+							responded = true;
+							delete this.stackIncoming[message.stamp];
+							// the next request may start (see maxConcurrentIncoming)
+							this.releaseIncoming(incoming);
+
+							// the batch handler responds with the responses of all requests of the batch: send them as results
+							if (incoming.batchHandler && failureCode==0 && Array.isArray(response)){
+								response = response.map((data)=>({failureCode: 0, data: data===undefined ? null : data}));
+							}
+
+							// validate the response
+							if (failureCode==0 && schemas && schemas.response){
+								let errors = schemas.response(response);
+								if (errors.length>0){
+									let msg = `The response to the request with method ${message.method} is invalid.`;
+									this.logger(0, `${msg} ${errors.map(e=>`${e.path}: ${e.message}`).join('; ')}. Response: ${response}`);
+									response = {message: msg, errors: errors};
+									failureCode = wsProcessor.failureCodes.handlerError;
+								}
+							}
+
 							// initialize the options of the response
 							opt.sendAck = opt.sendAck || false;
 							opt.ackTimeout = opt.ackTimeout || 5; // The duration in seconds to wait for an ack. 
@@ -661,7 +3570,7 @@
 							// there are several ways to overcome the problem: 
 							// - add a virtual property in the model:     newProp: {type: DataTypes.VIRTUAL, allowNull: false, defaultValue: false } OR
 							// - add an instanceMethod in the model: sequelize.define('tablename', {properties}, {instanceMethods:{toJSON: function(){...}}})
-							let messString = JSON.stringify(mess);
+							let messString = this.encode(mess);
 
 
 							// the stackObj is actually only used when the response shall be acknowledged
@@ -678,38 +3587,207 @@
 
 
 							// check if there is a connection
-							if (this.closing){
+							if (!this.canSend()){
 								
 								cbAck(3, `The connection was closed before the response (${messString}) was sent.`)
 								if (opt.sendAck){
 									// clean up the stack
 									delete this.stackResponse[stackObj.stamp];
 								}
-								return;
+								return;
+							}
+
+							// start a timeout after which, without responseAck, failure is called
+							if (opt.sendAck){
+								stackObj.ackTimeoutHandle = setTimeout(()=>{
+
+									let errMsg = `The following response timed out and is now considered failed: ${stackObj.message}`;
+									this.logger(1, errMsg);
+	
+									stackObj.cbAck(2, errMsg) // failure callback
+	
+									// delete the object from the stack
+									delete this.stackResponse[stackObj.stamp];
+	
+								}, opt.ackTimeout*1000);
+							}
+
+							// finally, send the request
+							this.sendMessage(messString, undefined, message.stamp);
+
+						}
+
+						// the context given to the request handler
+						let context = {
+							stamp: message.stamp,
+							method: message.method,
+							priority: message.priority || 0,
+							signal: incoming.controller ? incoming.controller.signal : undefined,
+							deadline: incoming.deadline,
+							/**
+							 * timeLeft: the time until the deadline of the requesting party
+							 * @returns {number} The time left in seconds (0 if the deadline passed; Infinity if the requesting party did not send its timeout)
+							 */
+							timeLeft: ()=>{
+								return incoming.deadline===undefined ? Infinity : Math.max(0, (incoming.deadline-Date.now())/1000);
+							},
+							/**
+							 * progress: report the progress of the request; can be called any number of times before the response is sent.
+							 * @param {any} value The progress, e.g. a number between 0 and 1
+							 * @param {string} msg Optional; A message describing the progress
+							 * @returns {boolean} false if the progress could not be sent, since the response was already sent, the request was cancelled or the connection is closed; true otherwise.
+							 */
+							progress: (value, msg)=>{
+								if (responded || incoming.cancelled || !this.canSend()){
+									this.logger(3, `Progress of the request ${message.stamp} is not sent, since the request is finished, cancelled or the connection closed.`);
+									return false;
+								}
+								let mess = {
+									type: 'requestProgress',
+									stamp: message.stamp,
+									data: {value: value, message: msg},
+								};
+								this.sendMessage(this.encode(mess), undefined, message.stamp);
+								return true;
+							},
+						};
+
+						// streamed response: the writer sends chunks; the stream is finished with the regular response
+						if (message.stream){
+							context.stream = {
+								/**
+								 * write: send a chunk of the streamed response
+								 * @param {any} chunk The data of the chunk
+								 * @returns {boolean} false if the chunk could not be sent, since the response was already sent, the request was cancelled or the connection is closed; true otherwise.
+								 */
+								write: (chunk)=>{
+									if (responded || incoming.cancelled || !this.canSend()){
+										this.logger(3, `Chunk of the request ${message.stamp} is not sent, since the stream is finished, cancelled or the connection closed.`);
+										return false;
+									}
+									let mess = {
+										type: 'responseChunk',
+										stamp: message.stamp,
+										data: chunk,
+									};
+									this.sendMessage(this.encode(mess), undefined, message.stamp);
+									return true;
+								},
+								/**
+								 * end: finish the stream; identical to responseFunc(data, 0, opt, cbAck)
+								 */
+								end: (data=null, opt={}, cbAck=(statusCode, statusMsg)=>{})=>{
+									responseFunc(data, 0, opt, cbAck);
+								},
+								/**
+								 * error: finish the stream with a failure; identical to responseFunc(errMsg, failureCode, opt, cbAck)
+								 */
+								error: (errMsg, failureCode=wsProcessor.failureCodes.handlerError, opt={}, cbAck=(statusCode, statusMsg)=>{})=>{
+									responseFunc(errMsg, failureCode, opt, cbAck);
+								},
+							}
+						}
+
+						// errors in the request handler are sent back as failure response (if there was no response yet)
+						let handlerFailed = (err)=>{
+							this.logger(1, `The request handler failed: ${err}. Request: ${messageRaw}`);
+							if (!responded){
+								let failure = wsProcessor.failureFromError(err);
+								responseFunc(failure.message, failure.failureCode);
+							}
+						}
+
+						// rate limit: answer immediately; every request of a batch counts (with its method)
+						let batchItems = message.batch && Array.isArray(message.data) && message.data.length>0;
+						let retryAfter = this.checkRateLimit('request', batchItems ? message.data.map((item)=>item ? item.method : undefined) : message.method);
+						if (retryAfter==Infinity){
+							this.logger(3, `The batch is rejected, since it has more requests than the rate limit allows at once (${this.rateLimitStats.requests} requests rejected so far): ${messageRaw}`);
+							responseFunc({message: `The batch has more requests than the rate limit allows at once.`, retryAfter: null}, wsProcessor.failureCodes.rateLimited);
+							return;
+						} else if (retryAfter>0){
+							this.logger(3, `The request is rejected, since the rate limit is exceeded (${this.rateLimitStats.requests} requests rejected so far): ${messageRaw}`);
+							responseFunc({message: `Too many requests. Retry after ${retryAfter}s.`, retryAfter: retryAfter}, wsProcessor.failureCodes.rateLimited);
+							return;
+						}
+
+						// find the handler; answer immediately if there is none
+						let handler;
+						if (message.batch){
+							// batches go to the batch handler or are processed one by one
+							if (!Array.isArray(message.data) || message.data.length>this.maxBatchSize){
+								let msg = `A batch must be an array of at most ${this.maxBatchSize} requests.`;
+								this.logger(1, `${msg} Request: ${messageRaw}`);
+								responseFunc({message: msg, errors: [{path: '', message: msg}]}, wsProcessor.failureCodes.validationFailed);
+								return;
+							}
+							if (this.batchHandler){
+								// the batch handler only gets batches whose requests would be accepted one by one (handler and validation; see processBatchItem)
+								for (let index=0; index<message.data.length; index++){
+									let item = message.data[index] || {};
+									if (typeof(this.requestHandlers.get(item.method) || this.incomingRequestFunc)!='function'){
+										let msg = `There is no handler for the method ${item.method} of the request ${index} of the batch.`;
+										this.logger(1, `${msg} Request: ${messageRaw}`);
+										responseFunc(msg, wsProcessor.failureCodes.methodNotFound);
+										return;
+									}
+									let itemSchemas = this.requestSchemas.get(item.method);
+									let errors = itemSchemas && itemSchemas.request ? itemSchemas.request(item.data) : [];
+									if (errors.length>0){
+										let msg = `The request ${index} of the batch with method ${item.method} is invalid.`;
+										this.logger(1, `${msg} ${errors.map(e=>`${e.path}: ${e.message}`).join('; ')}. Request: ${messageRaw}`);
+										responseFunc({message: msg, errors: errors.map((e)=>Object.assign({}, e, {path: `/${index}/data${e.path}`}))}, wsProcessor.failureCodes.validationFailed);
+										return;
+									}
+								}
 							}
+							incoming.batchHandler = this.batchHandler!==undefined;
+							handler = this.batchHandler || ((items, responseFunc, context)=>this.processBatch(items, responseFunc, context));
+						} else {
+							handler = this.requestHandlers.get(message.method) || this.incomingRequestFunc;
+						}
+						if (typeof(handler)!='function'){
+							let msg = `There is no handler for the method ${message.method}.`;
+							this.logger(1, `${msg} Request: ${messageRaw}`);
+							responseFunc(msg, wsProcessor.failureCodes.methodNotFound);
+							return;
+						}
 
-							// start a timeout after which, without responseAck, failure is called
-							if (opt.sendAck){
-								stackObj.ackTimeoutHandle = setTimeout(()=>{
-
-									let errMsg = `The following response timed out and is now considered failed: ${stackObj.message}`;
-									this.logger(1, errMsg);
-	
-									stackObj.cbAck(2, errMsg) // failure callback
-	
-									// delete the object from the stack
-									delete this.stackResponse[stackObj.stamp];
-	
-								}, opt.ackTimeout*1000);
+						// validate the request
+						if (schemas && schemas.request){
+							let errors = schemas.request(message.data);
+							if (errors.length>0){
+								let msg = `The request with method ${message.method} is invalid.`;
+								this.logger(1, `${msg} ${errors.map(e=>`${e.path}: ${e.message}`).join('; ')}. Request: ${messageRaw}`);
+								responseFunc({message: msg, errors: errors}, wsProcessor.failureCodes.validationFailed);
+								return;
 							}
+						}
 
-							// finally, send the request
-							this.sendingFunc(messString);
+						// process the request (now or, if maxConcurrentIncoming handlers are running, when it leaves the incoming queue)
+						incoming.priority = context.priority;
+						incoming.run = ()=>{
+							let ret;
+							try {
+								ret = handler(message.data, responseFunc, context);
+							} catch (err){
+								handlerFailed(err);
+								return;
+							}
 
+							// handlers of streamed requests and of requests waiting for progress updates usually respond later (stream.end or responseFunc); their undefined is no response
+							let autoRespond = (value)=>{
+								if (this.autoRespond && !responded && !(value===undefined && (message.stream || message.progress))){
+									// undefined would not be transmitted
+									responseFunc(value===undefined ? null : value);
+								}
+							}
+							if (ret && typeof(ret.then)=='function'){
+								ret.then(autoRespond, handlerFailed);
+							} else {
+								autoRespond(ret);
+							}
 						}
-
-						// process the request
-						this.incomingRequestFunc(message.data, responseFunc);
+						this.scheduleIncoming(incoming, responseFunc);
 
 					} else {
 						let msg = "Request is not valid without stamp and data properties: " + messageRaw;
@@ -769,12 +3847,40 @@
 				},
 
 
+				// progress of the request sent to system A
+				requestProgress: ()=>{
+
+					if (!message.data || message.stamp==undefined){
+						let msg = "RequestProgress is not valid without stamp and data properties: " + messageRaw;
+						this.sendError(msg);
+						this.logger(0, msg);
+						return;
+					}
+
+					let stackObj = this.stackRequest[message.stamp];
+					if (!stackObj){
+						// the request might have timed out or been cancelled; a progress message is not worth an error
+						this.logger(1, `Could not process requestProgress because the request is not on the stack: ${messageRaw}`);
+						return;
+					}
+
+					if (stackObj.opt.progressExtendsTimeout){
+						this.restartRequestTimeout(stackObj);
+					}
+
+					try {
+						stackObj.opt.onProgress(message.data.value, message.data.message);
+					} catch (err){
+						this.logger(0, `The progress handler failed: ${err}. Progress: ${messageRaw}`);
+					}
+				},
+
 				// response sent to system A
 				response: ()=> {
 					// a response to a request is received, process it and finally delete the request from the stack
 
 					// check that the request has a data and a stamp property.
-					if ((message.data!=undefined) && (message.stamp!=undefined)){
+					if (('data' in message) && (message.stamp!=undefined)){
 
 						// the stackObj should obviously already exist
 						let stackObj;
@@ -790,8 +3896,8 @@
 									type: 'responseAck',
 									stamp: message.stamp,
 								};
-								let messageString = JSON.stringify(ack);
-								this.sendingFunc(messageString);
+								let messageString = this.encode(ack);
+								this.sendMessage(messageString, undefined, message.stamp);
 							}
 
 							// start processing the data
@@ -799,17 +3905,20 @@
 							// if the failurecode=0, everything is normal
 							// if there was an error, the failurecode is the respective code and the response is the error-message as string.
 							if (message.failureCode){ // failurecode is the statusCode; 0=no failure and the success-callback is called
-								// call the failure callback
-								stackObj.cbFailure(message.failureCode, message.data);
+								// call the failure callback; the third argument tells that the failure was reported by the responding party
+								stackObj.cbFailure(message.failureCode, message.data, true);
 							}else{
 								// call success callback
 								stackObj.cbSuccess(message.data);
 							}
 
 							// remove from stack
+							this.removeAbortListener(stackObj);
 							delete this.stackRequest[message.stamp];
 
 
+						} else if (message.stamp in this.cancelledRequests){
+							this.logger(3, `Response to the cancelled request ${message.stamp} arrived and is ignored.`);
 						} else {
 							// the ack cannot be processed
 							let msg = `Stamp was not on stack. This happens when 1) (unlikely) somebody tries to hack you or 2) (likely) the server was very busy and could not send you an answer within your default waiting time so you sent the requst again and the server finally also processed every request (n-1 or even n times (when none of the replys came within the time between the first and the last request) for nothing...) or 3) (little likely) two responses were sent for the same request and thus the request was already removed from the stack. It is not allowed to have more than one response (currently) and thus the now received (second or later) response is unhandled/deleted. Message: ${messageRaw}`;
@@ -826,6 +3935,38 @@
 
 				},
 
+				// chunk of a streamed response sent to system A; the stream is finished with the regular response
+				responseChunk: ()=>{
+
+					if (!('data' in message) || message.stamp==undefined){
+						let msg = "ResponseChunk is not valid without stamp and data properties: " + messageRaw;
+						this.sendError(msg);
+						this.logger(0, msg);
+						return;
+					}
+
+					let stackObj = this.stackRequest[message.stamp];
+					if (!stackObj || !stackObj.opt.stream){
+						if (message.stamp in this.cancelledRequests){
+							this.logger(3, `Chunk of the cancelled request ${message.stamp} arrived and is ignored.`);
+						} else {
+							let msg = `Could not process responseChunk because there is no streamed request with this stamp on the stack: ${messageRaw}`;
+							this.logger(0, msg);
+							this.sendError(msg);
+						}
+						return;
+					}
+
+					// the requestTimeout is an inactivity timeout for streamed requests
+					this.restartRequestTimeout(stackObj);
+
+					try {
+						stackObj.opt.onChunk(message.data);
+					} catch (err){
+						this.logger(0, `The chunk handler failed: ${err}. Chunk: ${messageRaw}`);
+					}
+				},
+
 				// response ack sent to system B (that processed the request and sent the response)
 				responseAck: ()=>{
 					
@@ -866,17 +4007,136 @@
 
 				},
 
+				// session handshake: sent by the client on open
+				sessionHello: ()=>{
+					if (!this.session || this.session.role!='server'){
+						this.logger(1, `SessionHello is ignored, since sessions are not enabled as server: ${messageRaw}`);
+						return;
+					}
+
+					let old = message.id ? this.session.store.get(message.id) : undefined;
+					if (old && old!==this && old.closing && old.session.graceHandle){
+						this.logger(3, `Session ${message.id} is resumed.`);
+						this.attachSession(old, message.received || 0);
+						return;
+					}
+
+					// new session
+					if (message.id){
+						this.logger(1, `Session ${message.id} cannot be resumed. A new session is started.`);
+					}
+					this.session.id = wsProcessor.sessionId();
+					this.session.store.set(this.session.id, this);
+					let mess = {
+						type: 'sessionWelcome',
+						id: this.session.id,
+						received: this.session.received,
+						resumed: false,
+					}
+					this.transmit(this.encode(mess));
+					this.resumeSession(0);
+				},
+
+				// session handshake: answer of the server
+				sessionWelcome: ()=>{
+					if (!this.session || this.session.role!='client'){
+						this.logger(1, `SessionWelcome is ignored, since sessions are not enabled as client: ${messageRaw}`);
+						return;
+					}
+
+					if (this.session.id && (!message.resumed || message.id!=this.session.id)){
+						// the server does not know the old session anymore
+						this.logger(1, `Session ${this.session.id} could not be resumed. Everything pending is failed.`);
+						this.endSession();
+					}
+					this.session.id = message.id;
+					this.resumeSession(message.received || 0);
+				},
+
+				// the other side subscribes to a topic (pattern)
+				subscribe: ()=>{
+					if (typeof(message.topic)!='string'){
+						let msg = "Subscribe is not valid without topic: " + messageRaw;
+						this.sendError(msg);
+						this.logger(0, msg);
+						return;
+					}
+					this.remoteSubscriptions.add(message.topic);
+				},
+
+				unsubscribe: ()=>{
+					if (typeof(message.topic)!='string'){
+						let msg = "Unsubscribe is not valid without topic: " + messageRaw;
+						this.sendError(msg);
+						this.logger(0, msg);
+						return;
+					}
+					this.remoteSubscriptions.delete(message.topic);
+				},
+
+				// the requesting party cancelled its request
+				cancel: ()=>{
+					if (!message.stamp){
+						let msg = "Cancel is not valid without stamp: " + messageRaw;
+						this.sendError(msg);
+						this.logger(0, msg);
+						return;
+					}
+
+					let incoming = this.stackIncoming[message.stamp];
+					if (incoming){
+						incoming.cancelled = true;
+						delete this.stackIncoming[message.stamp];
+						this.releaseIncoming(incoming);
+						if (incoming.controller){
+							incoming.controller.abort();
+						}
+						this.logger(3, `The request ${message.stamp} was cancelled by the requesting party.`);
+					} else {
+						// the response was probably already sent
+						this.logger(3, `The request ${message.stamp} to be cancelled is not processed (anymore).`);
+					}
+				},
+
 				error: ()=> {
 					this.logger(1, 'A client returned an error for a ws-package: ' + message.data.toString());
 				},
 
+				hello: ()=>{
+					this.greetPeer(message);
+				},
+				welcome: ()=>{
+					if (message.error){
+						// this side was rejected by the other side; the websocket throws for invalid close codes and reasons, thus only the own closeCodes are accepted
+						let closeCode = Object.values(wsProcessor.closeCodes).includes(message.closeCode) ? message.closeCode : wsProcessor.closeCodes.peerRejected;
+						this.logger(0, `The other side rejected the connection: ${message.error}`);
+						this.closingFunc(closeCode, wsProcessor.closeReason(message.error));
+						this.close();
+						return;
+					}
+					// the other side sends all further messages with this codec (and compressed, if both sides support it)
+					this.compressReceive = this.compression!==undefined && message.compression===true;
+					let codec = this.codecs.get(message.codec);
+					if (codec){
+						this.codecReceive = codec;
+						this.logger(3, `Codec for receiving: ${codec.name}`);
+					} else {
+						this.logger(0, `The other side switched to the unknown codec ${message.codec}.`);
+					}
+				},
 				ping: ()=>{
 					// directly send back the pong
 					let respond = {};
 					respond.type = "pong";
 					//respond.stamp = this.uuidv4(); // actually not really needed here, but soemwhere defined as a requirement
 					respond.data = message.data;
-					this.sendingFunc(JSON.stringify(respond));
+					if (this.session){
+						respond.received = this.session.received;
+						if (message.received!==undefined){
+							this.confirmSession(message.received);
+						}
+					}
+					this.transmit(this.encode(respond));
 
 					this.logger(4, `Ping ${message.data} arrived. Pong sent.`); 
 				},
@@ -891,6 +4151,10 @@
 						return;
 					}
 
+					if (this.session && message.received!==undefined){
+						this.confirmSession(message.received);
+					}
+
 					// calculate the RTT
 					let d = new Date();
 					let rtt = d.getTime() - HB.time; // in ms
@@ -924,4 +4188,601 @@
 	
 		}
 	
-	}
\ No newline at end of file
+	}
+
+
+	/**
+	 * Client for the browser (WebSocket API) and nodejs (e.g. ws), owning the websocket connection of a wsProcessor: connects, opens the wsProcessor and reconnects with exponential backoff when the connection is closed by the server or the heartbeats fail. The same wsProcessor (client.processor) is used for all connections; thus, it can be combined with the outbox and with sessions (role "client").
+	 */
+	class wsClient{
+
+		/**
+		 * wsClient constructor:
+		 * @param {string / function} url The URL of the websocket server or a factory function returning a new websocket (e.g. ()=>new WebSocket(url)), which must provide the properties onopen, onmessage, onclose, onerror and the functions send and close.
+		 * @param {function} incomingNoteFunc See wsProcessor
+		 * @param {function} incomingRequestFunc See wsProcessor
+		 * @param {function} logger Optional, see wsProcessor
+		 * @param {object} opt Optional, the options object
+		 * @param {object} opt.processor Optional, the options of the wsProcessor (openOnConstruct is always false; bufferedAmount is the bufferedAmount of the current websocket by default).
+		 * @param {function} opt.WebSocket Optional, default = the global WebSocket; the websocket class used with an URL, e.g. require('ws') in nodejs.
+		 * @param {string / array} opt.protocols Optional; the subprotocols given to the websocket constructor, e.g. wsProcessor.subprotocol. The subprotocol selected by the server is given to the wsProcessor (opt.protocol).
+		 * @param {object} opt.reconnect Optional; the backoff for reconnecting: {base (default=0.5s), factor (default=2), maxDelay (default=30s), jitter (default=0.3), attempts (maximum number of reconnection attempts in a row; default=Infinity)}
+		 * @param {function} opt.onStateChange Optional; (state, info)=>{}; called when the connection state changes; states: "connecting", "open", "waiting" (for the next reconnection attempt; info: {attempt, delay}), "closed" (no reconnection anymore).
+		 * @param {boolean} opt.connectOnConstruct Optional, default=true; connect immediately; otherwise call connect().
+		 */
+		constructor(url, incomingNoteFunc, incomingRequestFunc, logger=(logLevel, msg)=>{}, opt={}){
+			this.url = url;
+			this.logger = logger;
+			this.WebSocket = opt.WebSocket || (typeof(WebSocket)!='undefined' ? WebSocket : undefined);
+			this.protocols = opt.protocols;
+			this.onStateChange = opt.onStateChange || ((state, info)=>{});
+
+			let reconnect = opt.reconnect || {};
+			this.reconnect = {
+				base: ("base" in reconnect) ? reconnect.base : 0.5, // s
+				factor: reconnect.factor || 2,
+				maxDelay: reconnect.maxDelay || 30, // s
+				jitter: ("jitter" in reconnect) ? reconnect.jitter : 0.3,
+				attempts: reconnect.attempts || Infinity,
+			}
+
+			this.state = 'closed';
+			this.socket = undefined; // the current websocket
+			this.attempt = 0; // number of failed connection attempts in a row
+			this.stopped = false; // true after close()
+			this.reconnectHandle = undefined;
+
+			let processorOpt = Object.assign({}, opt.processor || {}, {openOnConstruct: false});
+			if (!processorOpt.bufferedAmount){
+				// for flow control
+				processorOpt.bufferedAmount = ()=>this.socket ? this.socket.bufferedAmount : 0;
+			}
+			this.processor = new wsProcessor((message)=>{
+				// the socket might already be closed or not yet open
+				if (this.socket && this.socket.readyState==1){
+					this.socket.send(message);
+				} else {
+					this.logger(1, `The connection is not open. The message is not sent: ${message}`);
+				}
+			}, (code, reason)=>{
+				// the heartbeats failed: do not wait for the closing of the (probably half-open) connection
+				// or the handshake failed: reconnecting would not help
+				if (code!==undefined){
+					this.stopped = true;
+				}
+				this.dropSocket(code, reason);
+			}, incomingNoteFunc, incomingRequestFunc, logger, processorOpt);
+
+			if (!("connectOnConstruct" in opt) || opt.connectOnConstruct){
+				this.connect();
+			}
+		}
+
+		/**
+		 * setState: change the connection state and notify onStateChange
+		 * @param {string} state
+		 * @param {object} info Optional
+		 */
+		setState(state, info={}){
+			this.state = state;
+			try {
+				this.onStateChange(state, info);
+			} catch (err){
+				this.logger(0, `The onStateChange callback failed: ${err}`);
+			}
+		}
+
+		/**
+		 * connect: create the websocket and link it with the wsProcessor
+		 */
+		connect(){
+			if (this.stopped || this.socket){
+				return;
+			}
+			clearTimeout(this.reconnectHandle);
+			this.setState('connecting', {attempt: this.attempt});
+
+			let socket;
+			try {
+				socket = typeof(this.url)=='function' ? this.url() : new this.WebSocket(this.url, this.protocols);
+			} catch (err){
+				this.logger(0, `The websocket could not be created: ${err}`);
+				this.scheduleReconnect();
+				return;
+			}
+			this.socket = socket;
+			// binary frames must be decoded synchronously (see wsProcessor.decode); the default of browsers would be Blob
+			socket.binaryType = 'arraybuffer';
+
+			// the handlers are not removed when the socket is dropped (ws would throw on an unhandled error event); thus, ignore events of old sockets
+			socket.onopen = ()=>{
+				if (this.socket!==socket){
+					return;
+				}
+				this.attempt = 0;
+				this.setState('open');
+				this.processor.protocol = socket.protocol || this.processor.protocol;
+				this.processor.open();
+			}
+			socket.onmessage = (event)=>{
+				if (this.socket!==socket){
+					return;
+				}
+				this.processor.onMessage(event.data);
+			}
+			socket.onclose = (event)=>{
+				if (this.socket===socket){
+					if (event && Object.values(wsProcessor.closeCodes).includes(event.code)){
+						// rejected in the handshake or for exceeding the rate limits
+						this.logger(0, `The connection was closed by the server: ${event.reason}`);
+						this.stopped = true;
+					}
+					this.dropSocket();
+				}
+			}
+			socket.onerror = (event)=>{
+				if (this.socket===socket){
+					this.logger(1, `Websocket error: ${event && event.message}`);
+					this.dropSocket();
+				}
+			}
+		}
+
+		/**
+		 * dropSocket: close the current socket (if not closed yet), close the wsProcessor and reconnect
+		 * @param {number} code Optional; the close code given to the socket
+		 * @param {string} reason Optional; the close reason given to the socket
+		 */
+		dropSocket(code, reason){
+			let socket = this.socket;
+			if (!socket){
+				return;
+			}
+			this.socket = undefined;
+			try {
+				socket.close(code, reason);
+			} catch (err){
+				// e.g. already closed
+			}
+			this.processor.close();
+			this.scheduleReconnect();
+		}
+
+		/**
+		 * scheduleReconnect: wait for the backoff delay and connect again
+		 */
+		scheduleReconnect(){
+			if (this.stopped){
+				this.setState('closed');
+				return;
+			}
+			this.attempt++;
+			if (this.attempt>this.reconnect.attempts){
+				this.logger(0, `The connection could not be established within ${this.reconnect.attempts} attempts. No further attempts are made.`);
+				this.stopped = true;
+				this.setState('closed');
+				return;
+			}
+			let delay = wsProcessor.backoffDelay(this.reconnect, this.attempt);
+			this.setState('waiting', {attempt: this.attempt, delay: delay});
+			this.reconnectHandle = setTimeout(()=>{
+				this.connect();
+			}, delay*1000);
+		}
+
+		/**
+		 * close: close the connection and stop reconnecting
+		 */
+		close(){
+			this.stopped = true;
+			clearTimeout(this.reconnectHandle);
+			if (this.socket){
+				this.dropSocket();
+			} else {
+				this.setState('closed');
+			}
+		}
+	}
+
+	/**
+	 * The default codec: messages as JSON text. Messages whose data is binary (Buffer, ArrayBuffer, typed array or DataView) are encoded as binary frame:
+	 * 1 byte 0x00 (distinguishes the frame from JSON text, which never starts with 0x00) | 4 bytes (uint32, big endian) length of the envelope | envelope (the message without data, but with the property binary, the type of the data, as JSON in UTF-8) | the raw bytes of the data
+	 * A codec must provide the name, encode(message) returning a string or Uint8Array and decode(rawMessage) returning the message; decode must throw if the message cannot be parsed. 
+	 * Binary messages of a codec must not start with the bytes 0x01, 0x02 (compressed frames, see wsProcessor.compress) or 0x03 (fragments, see wsProcessor.sendFrame), which are reserved for the frames of the wsProcessor itself; encoding such a message throws. 
+	 */
+	class jsonCodec{
+
+		get name(){
+			return 'json';
+		}
+
+		/**
+		 * encode
+		 * @param {object} mess The message
+		 * @returns {string / Uint8Array}
+		 */
+		encode(mess){
+			let binaryType = wsProcessor.binaryType(mess.data);
+			if (!binaryType){
+				return JSON.stringify(mess);
+			}
+			let envelope = Object.assign({}, mess, {binary: binaryType});
+			delete envelope.data;
+			let envelopeBytes = wsProcessor.text.encoder.encode(JSON.stringify(envelope));
+			let dataBytes = wsProcessor.binaryBytes(mess.data);
+
+			let frame = new Uint8Array(5 + envelopeBytes.length + dataBytes.length);
+			frame[0] = 0;
+			new DataView(frame.buffer).setUint32(1, envelopeBytes.length);
+			frame.set(envelopeBytes, 5);
+			frame.set(dataBytes, 5 + envelopeBytes.length);
+			return frame;
+		}
+
+		/**
+		 * decode
+		 * @param {string / Buffer / ArrayBuffer / Uint8Array} messageRaw
+		 * @returns {object} The message
+		 */
+		decode(messageRaw){
+			if (typeof(messageRaw)=='string'){
+				return JSON.parse(messageRaw);
+			}
+			let bytes = wsProcessor.messageBytes(messageRaw);
+			if (bytes.length==0 || bytes[0]!=0){
+				// text sent as binary (e.g. ws in nodejs provides text messages as Buffer)
+				return JSON.parse(wsProcessor.text.decoder.decode(bytes));
+			}
+
+			let envelopeLength = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(1);
+			let message = JSON.parse(wsProcessor.text.decoder.decode(bytes.subarray(5, 5 + envelopeLength)));
+			message.data = wsProcessor.restoreBinary(bytes.subarray(5 + envelopeLength), message.binary);
+			delete message.binary;
+			return message;
+		}
+	}
+
+	/**
+	 * Codec for MessagePack (https://msgpack.org), without dependencies. The values are converted like JSON.stringify does (toJSON is called, e.g. for Dates; undefined properties are omitted), but binary data is kept as bin (arriving as Uint8Array) and integers are not converted to text. If the data of the message itself is binary, it arrives as the same type (see wsProcessor.binaryType). 
+	 */
+	class msgpackCodec{
+
+		get name(){
+			return 'msgpack';
+		}
+
+		/**
+		 * encode
+		 * @param {object} mess The message
+		 * @returns {Uint8Array}
+		 */
+		encode(mess){
+			let binaryType = wsProcessor.binaryType(mess.data);
+			if (binaryType){
+				mess = Object.assign({}, mess, {binary: binaryType});
+			}
+			let writer = {bytes: new Uint8Array(256), view: undefined, length: 0};
+			writer.view = new DataView(writer.bytes.buffer);
+			this.write(writer, mess);
+			return writer.bytes.slice(0, writer.length);
+		}
+
+		/**
+		 * reserve: make sure that n more bytes fit into the writer; returns the position to write to
+		 */
+		reserve(writer, n){
+			if (writer.length + n > writer.bytes.length){
+				let bytes = new Uint8Array(Math.max(writer.bytes.length*2, writer.length + n));
+				bytes.set(writer.bytes);
+				writer.bytes = bytes;
+				writer.view = new DataView(bytes.buffer);
+			}
+			let pos = writer.length;
+			writer.length += n;
+			return pos;
+		}
+
+		/**
+		 * writeHeader: write the type byte and the length/value with 0, 1, 2 or 4 bytes
+		 */
+		writeHeader(writer, type, n, value){
+			let pos = this.reserve(writer, 1+n);
+			writer.bytes[pos] = type;
+			if (n==1){
+				writer.view.setUint8(pos+1, value);
+			} else if (n==2){
+				writer.view.setUint16(pos+1, value);
+			} else if (n==4){
+				writer.view.setUint32(pos+1, value);
+			}
+		}
+
+		/**
+		 * write: append a value
+		 */
+		write(writer, value){
+			if (value===null || value===undefined || typeof(value)=='function' || typeof(value)=='symbol'){
+				// undefined, functions and symbols only end up here in arrays, where JSON writes null as well
+				this.writeHeader(writer, 0xc0, 0);
+			} else if (value===false){
+				this.writeHeader(writer, 0xc2, 0);
+			} else if (value===true){
+				this.writeHeader(writer, 0xc3, 0);
+			} else if (typeof(value)=='number'){
+				if (Number.isInteger(value) && value>=0 && value<=0xffffffff){
+					if (value<128){
+						this.writeHeader(writer, value, 0);
+					} else if (value<0x100){
+						this.writeHeader(writer, 0xcc, 1, value);
+					} else if (value<0x10000){
+						this.writeHeader(writer, 0xcd, 2, value);
+					} else {
+						this.writeHeader(writer, 0xce, 4, value);
+					}
+				} else if (Number.isInteger(value) && value<0 && value>=-0x80000000){
+					if (value>=-32){
+						this.writeHeader(writer, value & 0xff, 0);
+					} else if (value>=-0x80){
+						let pos = this.reserve(writer, 2);
+						writer.bytes[pos] = 0xd0;
+						writer.view.setInt8(pos+1, value);
+					} else if (value>=-0x8000){
+						let pos = this.reserve(writer, 3);
+						writer.bytes[pos] = 0xd1;
+						writer.view.setInt16(pos+1, value);
+					} else {
+						let pos = this.reserve(writer, 5);
+						writer.bytes[pos] = 0xd2;
+						writer.view.setInt32(pos+1, value);
+					}
+				} else {
+					let pos = this.reserve(writer, 9);
+					writer.bytes[pos] = 0xcb;
+					writer.view.setFloat64(pos+1, value);
+				}
+			} else if (typeof(value)=='bigint'){
+				let pos = this.reserve(writer, 9);
+				if (value>=0){
+					writer.bytes[pos] = 0xcf;
+					writer.view.setBigUint64(pos+1, value);
+				} else {
+					writer.bytes[pos] = 0xd3;
+					writer.view.setBigInt64(pos+1, value);
+				}
+			} else if (typeof(value)=='string'){
+				let bytes = wsProcessor.text.encoder.encode(value);
+				let l = bytes.length;
+				if (l<32){
+					this.writeHeader(writer, 0xa0 | l, 0);
+				} else if (l<0x100){
+					this.writeHeader(writer, 0xd9, 1, l);
+				} else if (l<0x10000){
+					this.writeHeader(writer, 0xda, 2, l);
+				} else {
+					this.writeHeader(writer, 0xdb, 4, l);
+				}
+				let pos = this.reserve(writer, l);
+				writer.bytes.set(bytes, pos);
+			} else if (wsProcessor.binaryType(value)){
+				let bytes = wsProcessor.binaryBytes(value);
+				let l = bytes.length;
+				if (l<0x100){
+					this.writeHeader(writer, 0xc4, 1, l);
+				} else if (l<0x10000){
+					this.writeHeader(writer, 0xc5, 2, l);
+				} else {
+					this.writeHeader(writer, 0xc6, 4, l);
+				}
+				let pos = this.reserve(writer, l);
+				writer.bytes.set(bytes, pos);
+			} else if (typeof(value.toJSON)=='function'){
+				this.write(writer, value.toJSON());
+			} else if (Array.isArray(value)){
+				let l = value.length;
+				if (l<16){
+					this.writeHeader(writer, 0x90 | l, 0);
+				} else if (l<0x10000){
+					this.writeHeader(writer, 0xdc, 2, l);
+				} else {
+					this.writeHeader(writer, 0xdd, 4, l);
+				}
+				for (let v of value){
+					this.write(writer, v);
+				}
+			} else {
+				// like JSON: omit undefined, functions and symbols
+				let keys = Object.keys(value).filter(key=>value[key]!==undefined && typeof(value[key])!='function' && typeof(value[key])!='symbol');
+				let l = keys.length;
+				if (l<16){
+					this.writeHeader(writer, 0x80 | l, 0);
+				} else if (l<0x10000){
+					this.writeHeader(writer, 0xde, 2, l);
+				} else {
+					this.writeHeader(writer, 0xdf, 4, l);
+				}
+				for (let key of keys){
+					this.write(writer, key);
+					this.write(writer, value[key]);
+				}
+			}
+		}
+
+		/**
+		 * decode
+		 * @param {Buffer / ArrayBuffer / Uint8Array} messageRaw
+		 * @returns {object} The message
+		 */
+		decode(messageRaw){
+			let bytes = wsProcessor.messageBytes(messageRaw);
+			let reader = {bytes: bytes, view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), pos: 0};
+			let message = this.read(reader);
+			if (reader.pos!=bytes.length){
+				throw new Error(`${bytes.length-reader.pos} bytes left after decoding the message.`);
+			}
+			if (message && message.binary){
+				message.data = wsProcessor.restoreBinary(message.data, message.binary);
+				delete message.binary;
+			}
+			return message;
+		}
+
+		/**
+		 * read: read the next value
+		 */
+		read(reader){
+			let view = reader.view;
+			if (reader.pos>=reader.bytes.length){
+				throw new Error('Unexpected end of the message.');
+			}
+			let type = reader.bytes[reader.pos++];
+			// number of bytes after the type byte
+			let take = (n)=>{
+				let pos = reader.pos;
+				reader.pos += n;
+				if (reader.pos>reader.bytes.length){
+					throw new Error('Unexpected end of the message.');
+				}
+				return pos;
+			}
+			let str = (l)=>wsProcessor.text.decoder.decode(reader.bytes.subarray(take(l), reader.pos));
+			let bin = (l)=>reader.bytes.slice(take(l), reader.pos);
+			let arr = (l)=>{
+				let a = [];
+				for (let i=0; i<l; i++){
+					a.push(this.read(reader));
+				}
+				return a;
+			}
+			let map = (l)=>{
+				let o = {};
+				for (let i=0; i<l; i++){
+					let key = this.read(reader);
+					// like JSON.parse: a key "__proto__" becomes an own property and does not set the prototype
+					Object.defineProperty(o, key, {value: this.read(reader), enumerable: true, writable: true, configurable: true});
+				}
+				return o;
+			}
+
+			if (type<0x80){
+				return type;
+			} else if (type<0x90){
+				return map(type & 0x0f);
+			} else if (type<0xa0){
+				return arr(type & 0x0f);
+			} else if (type<0xc0){
+				return str(type & 0x1f);
+			} else if (type>=0xe0){
+				return type - 0x100;
+			}
+			switch (type){
+				case 0xc0: return null;
+				case 0xc2: return false;
+				case 0xc3: return true;
+				case 0xc4: return bin(view.getUint8(take(1)));
+				case 0xc5: return bin(view.getUint16(take(2)));
+				case 0xc6: return bin(view.getUint32(take(4)));
+				case 0xca: return view.getFloat32(take(4));
+				case 0xcb: return view.getFloat64(take(8));
+				case 0xcc: return view.getUint8(take(1));
+				case 0xcd: return view.getUint16(take(2));
+				case 0xce: return view.getUint32(take(4));
+				case 0xcf: return msgpackCodec.fromBigInt(view.getBigUint64(take(8)));
+				case 0xd0: return view.getInt8(take(1));
+				case 0xd1: return view.getInt16(take(2));
+				case 0xd2: return view.getInt32(take(4));
+				case 0xd3: return msgpackCodec.fromBigInt(view.getBigInt64(take(8)));
+				case 0xd9: return str(view.getUint8(take(1)));
+				case 0xda: return str(view.getUint16(take(2)));
+				case 0xdb: return str(view.getUint32(take(4)));
+				case 0xdc: return arr(view.getUint16(take(2)));
+				case 0xdd: return arr(view.getUint32(take(4)));
+				case 0xde: return map(view.getUint16(take(2)));
+				case 0xdf: return map(view.getUint32(take(4)));
+			}
+			throw new Error(`Unsupported MessagePack type 0x${type.toString(16)}.`);
+		}
+
+		/**
+		 * fromBigInt: 64 bit integers are returned as number if they can be represented exactly, otherwise as BigInt
+		 */
+		static fromBigInt(value){
+			if (value>=Number.MIN_SAFE_INTEGER && value<=Number.MAX_SAFE_INTEGER){
+				return Number(value);
+			}
+			return value;
+		}
+	}
+
+	/**
+	 * Base class of all errors raised by the Promise based functions of the wsProcessor (request, note). The property "code" is the same numeric code as the one given to the callbacks of sendRequest and sendNote.
+	 */
+	class WsProcessorError extends Error{
+		/**
+		 * @param {number} code The numeric failure code.
+		 * @param {string} message The error message.
+		 */
+		constructor(code, message){
+			super(message);
+			this.name = this.constructor.name;
+			this.code = code;
+		}
+	}
+
+	/**
+	 * The connection was closed before the note/request was acknowledged or answered. Codes: 1, 1.1, 1.2, 1.3 (requests), 1 (notes)
+	 */
+	class ConnectionClosedError extends WsProcessorError{}
+
+	/**
+	 * No response arrived within the requestTimeout. Codes: 2, 2.1, 2.2, 2.3
+	 */
+	class RequestTimeoutError extends WsProcessorError{}
+
+	/**
+	 * The request was cancelled (opt.signal or cancel(stamp)). Code: 3
+	 */
+	class CancelledError extends WsProcessorError{}
+
+	/**
+	 * No ack arrived within the ackTimeout. Code 1 for requests (see cbAck of sendRequest), code 2 for notes.
+	 */
+	class AckTimeoutError extends WsProcessorError{}
+
+	/**
+	 * The note/request was not accepted by the outbox, since the outbox is full and its overflow policy is "reject". Code: 1
+	 */
+	class OutboxFullError extends WsProcessorError{}
+
+	/**
+	 * The responding party answered with a failureCode!=0. The code is the failureCode; the data sent with the response (typically the error message) is stored in the property "data".
+	 */
+	class RemoteError extends WsProcessorError{
+		/**
+		 * @param {number} failureCode The failureCode sent by the responding party.
+		 * @param {any} data The data sent with the failure response.
+		 */
+		constructor(failureCode, data){
+			let message = `The request failed on the remote side with failureCode ${failureCode}.`;
+			if (typeof(data)=='string'){
+				message = data;
+			} else if (data && typeof(data.message)=='string'){
+				message = data.message;
+			}
+			super(failureCode, message);
+			this.failureCode = failureCode;
+			this.data = data;
+		}
+	}
+
+// nodejs exports (not needed in the browser, where the classes are global)
+module.exports = wsProcessor;
+module.exports.wsClient = wsClient;
+module.exports.jsonCodec = jsonCodec;
+module.exports.msgpackCodec = msgpackCodec;
+module.exports.WsProcessorError = WsProcessorError;
+module.exports.ConnectionClosedError = ConnectionClosedError;
+module.exports.RequestTimeoutError = RequestTimeoutError;
+module.exports.CancelledError = CancelledError;
+module.exports.AckTimeoutError = AckTimeoutError;
+module.exports.OutboxFullError = OutboxFullError;
+module.exports.RemoteError = RemoteError;